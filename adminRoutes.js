@@ -0,0 +1,1014 @@
+import express from "express";
+import crypto from "crypto";
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { sessionWallet } from "./sessions.js";
+import { createPayload, sellOfferPayload } from "./xaman.js";
+import { reconcileSellOffers } from "./offerReconciler.js";
+import { kickMints, retryMintOffer } from "./mintJobs.js";
+import { getOrderFor, orderEvents, transitionOrder } from "./orderLifecycle.js";
+import { emitWebhookEvent } from "./partnerWebhooks.js";
+import { ELIGIBILITY_TYPES, listRewardRules } from "./rewards.js";
+import {
+  DENYLIST_KINDS,
+  denylistValue,
+  faucetSettings,
+  faucetUsage,
+  listDenylist,
+  listFaucetDecisions
+} from "./faucetGuard.js";
+import {
+  invalidateCurrencies,
+  listCurrencies,
+  nftPrices,
+  sellOfferAmount,
+  setNftPrice,
+  toLedgerCode
+} from "./currencies.js";
+
+// ------------------------------
+// ADMIN API (/api/admin/*)
+// Auth: X-Admin-Key header (admin_roles.api_key_hash, or the ADMIN_API_KEY
+// bootstrap key) or a wallet session whose wallet has an admin role.
+// Roles: viewer < operator < owner. Every change writes admin_audit_log.
+// ------------------------------
+
+const ROLE_RANK = { viewer: 1, operator: 2, owner: 3 };
+const DEAD_OFFER_STATUSES = ["CANCELLED", "EXPIRED", "USED", "ORPHANED"];
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function withoutSecrets(row) {
+  if (!row) return row;
+  const { api_key_hash, ...rest } = row;
+  return rest;
+}
+
+function sameSecret(a, b) {
+  const x = Buffer.from(hashKey(a));
+  const y = Buffer.from(hashKey(b));
+  return crypto.timingSafeEqual(x, y);
+}
+
+async function resolveAdmin(req) {
+  const key = req.get("x-admin-key");
+
+  if (key) {
+    if (process.env.ADMIN_API_KEY && sameSecret(key, process.env.ADMIN_API_KEY)) {
+      return { actor: "env:ADMIN_API_KEY", role: "owner" };
+    }
+
+    const r = await pool.query(
+      "SELECT id, label, role FROM admin_roles WHERE api_key_hash=$1 AND revoked_at IS NULL",
+      [hashKey(key)]
+    );
+    if (r.rows.length) {
+      return { actor: `key:${r.rows[0].id}${r.rows[0].label ? `:${r.rows[0].label}` : ""}`, role: r.rows[0].role };
+    }
+    return null;
+  }
+
+  const wallet = await sessionWallet(req);
+  if (!wallet) return null;
+
+  const r = await pool.query(
+    "SELECT role FROM admin_roles WHERE wallet=$1 AND revoked_at IS NULL",
+    [wallet]
+  );
+  return r.rows.length ? { actor: `wallet:${wallet}`, role: r.rows[0].role } : null;
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    const admin = await resolveAdmin(req);
+    if (!admin) {
+      return res.status(401).json({ error: "Admin authentication required" });
+    }
+    req.admin = admin;
+    next();
+  } catch (e) {
+    console.error("admin auth error:", e);
+    res.status(500).json({ error: "Admin auth failed" });
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (ROLE_RANK[req.admin.role] < ROLE_RANK[role]) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// mutating actions must say why
+function requireReason(req, res, next) {
+  if (!String(req.body?.reason || "").trim()) {
+    return res.status(400).json({ error: "Missing reason" });
+  }
+  next();
+}
+
+export async function recordAdminAction(db, admin, { action, targetType, targetId, before, after, reason }) {
+  await db.query(
+    `
+    INSERT INTO admin_audit_log
+      (actor, role, action, target_type, target_id, before, after, reason)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    `,
+    [
+      admin.actor,
+      admin.role,
+      action,
+      targetType || null,
+      targetId === undefined || targetId === null ? null : String(targetId),
+      before === undefined ? null : JSON.stringify(before),
+      after === undefined ? null : JSON.stringify(after),
+      reason || null
+    ]
+  );
+}
+
+// SELECT ... FOR UPDATE, apply `update`, audit before/after — one transaction.
+// `update(db, before)` returns the after row (or null to abort with 409).
+// `decorate(db, row)` adds related data to both snapshots.
+async function auditedChange(req, { action, table, id, update, decorate = async (_, row) => row }) {
+  if (!Number.isInteger(id)) return { status: 400 };
+
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    const cur = await db.query(`SELECT * FROM ${table} WHERE id=$1 FOR UPDATE`, [id]);
+    if (!cur.rows.length) {
+      await db.query("ROLLBACK");
+      return { status: 404 };
+    }
+
+    const before = withoutSecrets(await decorate(db, cur.rows[0]));
+    const updated = await update(db, cur.rows[0]);
+    if (!updated) {
+      await db.query("ROLLBACK");
+      return { status: 409 };
+    }
+    const after = withoutSecrets(await decorate(db, updated));
+
+    await recordAdminAction(db, req.admin, {
+      action,
+      targetType: table,
+      targetId: id,
+      before,
+      after,
+      reason: req.body.reason
+    });
+
+    await db.query("COMMIT");
+    return { status: 200, before, after };
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+function sendChange(res, result, notFound) {
+  if (result.status === 400) return res.status(400).json({ error: "Invalid id" });
+  if (result.status === 404) return res.status(404).json({ error: notFound });
+  if (result.status === 409) return res.status(409).json({ error: "Nothing to change" });
+  return res.json({ ok: true, before: result.before, after: result.after });
+}
+
+// onMarketChange: called after anything that alters what /api/market/all shows
+export function createAdminRouter({ onMarketChange = () => {} } = {}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get("/me", (req, res) => {
+    res.json(req.admin);
+  });
+
+  // ------------------------------
+  // LISTINGS
+  // ------------------------------
+  router.post("/force-delist", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { marketplace_nft_id, delisted = true } = req.body;
+
+      const result = await auditedChange(req, {
+        action: delisted ? "force_delist" : "force_relist",
+        table: "marketplace_nfts",
+        id: Number(marketplace_nft_id),
+        update: async db => {
+          const nft = (await db.query(
+            "UPDATE marketplace_nfts SET is_delisted=$2 WHERE id=$1 RETURNING *",
+            [Number(marketplace_nft_id), !!delisted]
+          )).rows[0];
+
+          if (nft && delisted) {
+            await emitWebhookEvent(db, {
+              type: "listing.delisted",
+              creatorWallet: nft.creator_wallet,
+              data: { marketplace_nft_id: nft.id, nftoken_id: nft.nftoken_id, name: nft.name, by: "admin" }
+            });
+          }
+          return nft;
+        }
+      });
+
+      if (result.status === 200) onMarketChange();
+      sendChange(res, result, "NFT not found");
+    } catch (e) {
+      console.error("admin force-delist error:", e);
+      res.status(500).json({ error: "Force delist failed" });
+    }
+  });
+
+  router.post("/reprice", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      // { prices: { CODE: amount | null } }; price_xrp / price_rlusd still accepted
+      const { marketplace_nft_id, price_xrp, price_rlusd } = req.body;
+      const prices = {
+        ...(price_xrp !== undefined ? { XRP: price_xrp } : {}),
+        ...(price_rlusd !== undefined ? { RLUSD: price_rlusd } : {}),
+        ...(req.body.prices || {})
+      };
+
+      if (!Object.keys(prices).length) {
+        return res.status(400).json({ error: "Missing prices" });
+      }
+
+      const known = new Set((await listCurrencies({ includeDisabled: true })).map(c => c.code));
+      for (const [code, p] of Object.entries(prices)) {
+        if (!known.has(code.toUpperCase())) {
+          return res.status(400).json({ error: `Unknown currency ${code}` });
+        }
+        if (p !== null && !(Number(p) > 0)) {
+          return res.status(400).json({ error: "Prices must be positive numbers" });
+        }
+      }
+
+      const result = await auditedChange(req, {
+        action: "reprice",
+        table: "marketplace_nfts",
+        id: Number(marketplace_nft_id),
+        decorate: async (db, row) => ({ ...row, prices: await nftPrices(db, row.id) }),
+        update: async (db, before) => {
+          for (const [code, p] of Object.entries(prices)) {
+            await setNftPrice(db, before.id, code, p === null ? null : String(p));
+          }
+          return (await db.query("SELECT * FROM marketplace_nfts WHERE id=$1", [before.id])).rows[0];
+        }
+      });
+
+      if (result.status === 200) onMarketChange();
+      sendChange(res, result, "NFT not found");
+    } catch (e) {
+      console.error("admin reprice error:", e);
+      res.status(500).json({ error: "Reprice failed" });
+    }
+  });
+
+  router.post("/adjust-quantity", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { marketplace_nft_id, quantity } = req.body;
+
+      if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+        return res.status(400).json({ error: "Invalid quantity" });
+      }
+
+      const result = await auditedChange(req, {
+        action: "adjust_quantity",
+        table: "marketplace_nfts",
+        id: Number(marketplace_nft_id),
+        update: async db => (await db.query(
+          "UPDATE marketplace_nfts SET quantity=$2 WHERE id=$1 RETURNING *",
+          [Number(marketplace_nft_id), Number(quantity)]
+        )).rows[0]
+      });
+
+      if (result.status === 200) onMarketChange();
+      sendChange(res, result, "NFT not found");
+    } catch (e) {
+      console.error("admin adjust-quantity error:", e);
+      res.status(500).json({ error: "Adjust quantity failed" });
+    }
+  });
+
+  // ------------------------------
+  // OFFERS
+  // ------------------------------
+  router.post("/offers/mark-dead", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { sell_offer_id, status = "CANCELLED" } = req.body;
+
+      if (!DEAD_OFFER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${DEAD_OFFER_STATUSES.join(", ")}` });
+      }
+
+      const result = await auditedChange(req, {
+        action: "mark_offer_dead",
+        table: "marketplace_sell_offers",
+        id: Number(sell_offer_id),
+        update: async db => (await db.query(
+          `
+          UPDATE marketplace_sell_offers
+          SET status=$2
+          WHERE id=$1 AND COALESCE(status,'OPEN')='OPEN'
+          RETURNING *
+          `,
+          [Number(sell_offer_id), status]
+        )).rows[0]
+      });
+
+      if (result.status === 200) onMarketChange();
+      sendChange(res, result, "Sell offer not found");
+    } catch (e) {
+      console.error("admin mark-dead error:", e);
+      res.status(500).json({ error: "Mark offer dead failed" });
+    }
+  });
+
+  router.post("/create-sell-offer", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { id, currency } = req.body;
+
+      const r = await pool.query(
+        "SELECT id, nftoken_id, creator_wallet FROM marketplace_nfts WHERE id=$1",
+        [id]
+      );
+
+      if (!r.rows.length) {
+        return res.status(404).json({ error: "NFT not found" });
+      }
+
+      const nft = r.rows[0];
+
+      const amount = await sellOfferAmount(pool, nft.id, currency);
+      if (!amount) {
+        return res.status(400).json({ error: `No ${currency} price set for this NFT` });
+      }
+
+      const xumm = await createPayload(sellOfferPayload({
+        account: nft.creator_wallet,
+        nftokenId: nft.nftoken_id,
+        amount,
+        blob: {
+          marketplace_nft_id: nft.id,
+          currency
+        }
+      }));
+
+      await recordAdminAction(pool, req.admin, {
+        action: "create_sell_offer_payload",
+        targetType: "marketplace_nfts",
+        targetId: nft.id,
+        after: { payload_uuid: xumm.uuid, currency },
+        reason: req.body.reason
+      });
+
+      res.json({ link: xumm.link });
+    } catch (e) {
+      console.error("admin create-sell-offer error:", e?.response?.data || e.message);
+      res.status(500).json({ error: "Failed to create sell offer" });
+    }
+  });
+
+  // dry run unless dry_run=false
+  router.post("/reconcile-offers", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const dryRun = req.body?.dry_run !== false;
+      const report = await reconcileSellOffers({ dryRun });
+
+      if (!dryRun) {
+        await recordAdminAction(pool, req.admin, {
+          action: "reconcile_offers",
+          targetType: "marketplace_sell_offers",
+          after: { changes: report.changes, inventory: report.inventory },
+          reason: req.body.reason
+        });
+        if (report.changes.length) onMarketChange();
+      }
+
+      res.json(report);
+    } catch (e) {
+      console.error("reconcile-offers error:", e);
+      res.status(500).json({ error: "Reconcile failed" });
+    }
+  });
+
+  // ------------------------------
+  // MINTS
+  // ------------------------------
+
+  // platform-minted editions whose transfer offer to the creator is parked
+  router.get("/mint-items/parked", async (_, res) => {
+    try {
+      const r = await pool.query(
+        `
+        SELECT i.*, j.submission_id, j.creator_wallet
+        FROM mint_job_items i
+        JOIN mint_jobs j ON j.id = i.job_id
+        WHERE j.minter_wallet IS NOT NULL AND i.status='MINTED' AND i.error IS NOT NULL
+        ORDER BY i.updated_at DESC
+        LIMIT 200
+        `
+      );
+      res.json(r.rows);
+    } catch (e) {
+      console.error("admin parked mints error:", e);
+      res.status(500).json({ error: "Failed to load mint items" });
+    }
+  });
+
+  // clears the error; the mint worker offers the edition again
+  router.post("/mint-items/:id/retry-offer", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const result = await auditedChange(req, {
+        action: "retry_mint_offer",
+        table: "mint_job_items",
+        id: Number(req.params.id),
+        update: async (db, item) => retryMintOffer(db, item.id)
+      });
+
+      if (result.status === 200) kickMints();
+      sendChange(res, result, "Mint item not found");
+    } catch (e) {
+      console.error("admin retry mint offer error:", e);
+      res.status(500).json({ error: "Retry failed" });
+    }
+  });
+
+  // ------------------------------
+  // ORDERS
+  // ------------------------------
+  router.get("/orders", async (req, res) => {
+    try {
+      const { wallet, status, marketplace_nft_id } = req.query;
+      const limit = Math.min(Number(req.query.limit) || 50, 200);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+      const r = await pool.query(
+        `
+        SELECT o.*, n.name, n.creator_wallet
+        FROM orders o
+        LEFT JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+        WHERE ($1::text IS NULL OR o.buyer_wallet = $1)
+          AND ($2::text IS NULL OR o.status = $2)
+          AND ($3::int IS NULL OR o.marketplace_nft_id = $3)
+        ORDER BY o.created_at DESC
+        LIMIT $4 OFFSET $5
+        `,
+        [wallet || null, status || null, marketplace_nft_id ? Number(marketplace_nft_id) : null, limit, offset]
+      );
+
+      res.json(r.rows);
+    } catch (e) {
+      console.error("admin orders error:", e);
+      res.status(500).json({ error: "Failed to load orders" });
+    }
+  });
+
+  router.get("/orders/:id/events", async (req, res) => {
+    try {
+      const order = await getOrderFor(req.params.id, { admin: req.admin });
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      res.json({ order, events: await orderEvents(order.id) });
+    } catch (e) {
+      console.error("admin order events error:", e);
+      res.status(500).json({ error: "Failed to load order history" });
+    }
+  });
+
+  // { status, note?, attachments?, refund_tx_hash? (REFUNDED), reason }
+  router.post("/orders/:id/transition", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { status, note, attachments, refund_tx_hash } = req.body;
+
+      if (refund_tx_hash && !/^[0-9A-Fa-f]{64}$/.test(String(refund_tx_hash))) {
+        return res.status(400).json({ error: "Invalid refund_tx_hash" });
+      }
+
+      const result = await transitionOrder({
+        orderId: req.params.id,
+        to: status,
+        actor: { admin: req.admin },
+        note: note ?? req.body.reason,
+        attachments,
+        extra: { refundTxHash: refund_tx_hash },
+        audit: (db, { order, event }) => recordAdminAction(db, req.admin, {
+          action: "order_transition",
+          targetType: "orders",
+          targetId: order.id,
+          before: { status: event.from_status },
+          after: { status: event.to_status, refund_tx_hash: order.refund_tx_hash },
+          reason: req.body.reason
+        })
+      });
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (e) {
+      console.error("admin order transition error:", e);
+      res.status(500).json({ error: "Order update failed" });
+    }
+  });
+
+  // ------------------------------
+  // AUDIT LOG
+  // ------------------------------
+  router.get("/audit", async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 100, 500);
+      const before = req.query.before_id ? Number(req.query.before_id) : null;
+
+      const r = await pool.query(
+        `
+        SELECT *
+        FROM admin_audit_log
+        WHERE ($1::bigint IS NULL OR id < $1)
+          AND ($2::text IS NULL OR target_type = $2)
+          AND ($3::text IS NULL OR target_id = $3)
+        ORDER BY id DESC
+        LIMIT $4
+        `,
+        [before, req.query.target_type || null, req.query.target_id || null, limit]
+      );
+
+      res.json(r.rows);
+    } catch (e) {
+      console.error("admin audit error:", e);
+      res.status(500).json({ error: "Failed to load audit log" });
+    }
+  });
+
+  // ------------------------------
+  // CURRENCIES
+  // ------------------------------
+  router.get("/currencies", async (_, res) => {
+    try {
+      res.json(await listCurrencies({ includeDisabled: true }));
+    } catch (e) {
+      console.error("admin currencies error:", e);
+      res.status(500).json({ error: "Failed to load currencies" });
+    }
+  });
+
+  // add or update a registry row; XRP itself can only be renamed/reordered
+  router.post("/currencies", requireRole("owner"), requireReason, async (req, res) => {
+    try {
+      const code = String(req.body.code || "").toUpperCase();
+      const { issuer, display_name, enabled = true, sort_order = 100 } = req.body;
+      const decimals = Number(req.body.decimals ?? 6);
+      const native = code === "XRP";
+
+      if (!/^[A-Z0-9]{3,20}$/.test(code)) {
+        return res.status(400).json({ error: "Invalid code" });
+      }
+      if (!native && !xrpl.isValidClassicAddress(String(issuer || ""))) {
+        return res.status(400).json({ error: "Invalid issuer" });
+      }
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > 15) {
+        return res.status(400).json({ error: "decimals must be 0-15" });
+      }
+
+      const ledgerCode = native ? null : (req.body.ledger_code || toLedgerCode(code));
+      if (!native && !/^([A-Z0-9]{3}|[0-9A-F]{40})$/.test(ledgerCode)) {
+        return res.status(400).json({ error: "Invalid ledger_code" });
+      }
+
+      const before = (await pool.query("SELECT * FROM currencies WHERE code=$1", [code])).rows[0] || null;
+
+      const r = await pool.query(
+        `
+        INSERT INTO currencies (code, ledger_code, issuer, decimals, display_name, enabled, sort_order)
+        VALUES ($1,$2,$3,$4,$5,$6,$7)
+        ON CONFLICT (code) DO UPDATE
+        SET ledger_code = EXCLUDED.ledger_code,
+            issuer = EXCLUDED.issuer,
+            decimals = EXCLUDED.decimals,
+            display_name = EXCLUDED.display_name,
+            enabled = EXCLUDED.enabled,
+            sort_order = EXCLUDED.sort_order
+        RETURNING *
+        `,
+        [
+          code,
+          ledgerCode,
+          native ? null : issuer,
+          native ? 6 : decimals,
+          display_name || code,
+          enabled !== false,
+          Number(sort_order)
+        ]
+      );
+
+      await recordAdminAction(pool, req.admin, {
+        action: before ? "update_currency" : "add_currency",
+        targetType: "currencies",
+        targetId: code,
+        before: before || undefined,
+        after: r.rows[0],
+        reason: req.body.reason
+      });
+
+      invalidateCurrencies();
+      onMarketChange();
+      res.json(r.rows[0]);
+    } catch (e) {
+      console.error("admin currency upsert error:", e);
+      res.status(500).json({ error: "Failed to save currency" });
+    }
+  });
+
+  // ------------------------------
+  // REWARD RULES
+  // ------------------------------
+  router.get("/rewards/rules", async (_, res) => {
+    try {
+      res.json(await listRewardRules({ includeDisabled: true }));
+    } catch (e) {
+      console.error("admin reward rules error:", e);
+      res.status(500).json({ error: "Failed to load reward rules" });
+    }
+  });
+
+  // add or update a rule by key
+  router.post("/rewards/rules", requireRole("owner"), requireReason, async (req, res) => {
+    try {
+      const key = String(req.body.key || "").toLowerCase();
+      const { name, eligibility = { type: "any" }, per_target = false, enabled = true } = req.body;
+      const currency = String(req.body.currency || "").toUpperCase();
+      const cooldown = req.body.cooldown_seconds ?? null;
+
+      if (!/^[a-z0-9_]{2,40}$/.test(key)) {
+        return res.status(400).json({ error: "Invalid key" });
+      }
+      if (!(await listCurrencies({ includeDisabled: true })).some(c => c.code === currency)) {
+        return res.status(400).json({ error: `Unknown currency ${currency}` });
+      }
+      if (!(Number(req.body.amount) > 0)) {
+        return res.status(400).json({ error: "amount must be a positive number" });
+      }
+      if (cooldown !== null && !(Number.isInteger(Number(cooldown)) && Number(cooldown) >= 0)) {
+        return res.status(400).json({ error: "cooldown_seconds must be a whole number or null" });
+      }
+      if (!ELIGIBILITY_TYPES.includes(eligibility?.type)) {
+        return res.status(400).json({ error: `eligibility.type must be one of ${ELIGIBILITY_TYPES.join(", ")}` });
+      }
+
+      const before = (await pool.query("SELECT * FROM reward_rules WHERE key=$1", [key])).rows[0] || null;
+
+      const r = await pool.query(
+        `
+        INSERT INTO reward_rules (key, name, currency, amount, cooldown_seconds, per_target, eligibility, enabled)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        ON CONFLICT (key) DO UPDATE
+        SET name = EXCLUDED.name,
+            currency = EXCLUDED.currency,
+            amount = EXCLUDED.amount,
+            cooldown_seconds = EXCLUDED.cooldown_seconds,
+            per_target = EXCLUDED.per_target,
+            eligibility = EXCLUDED.eligibility,
+            enabled = EXCLUDED.enabled,
+            updated_at = NOW()
+        RETURNING *
+        `,
+        [
+          key,
+          name || key,
+          currency,
+          String(req.body.amount),
+          cooldown === null ? null : Number(cooldown),
+          !!per_target,
+          JSON.stringify(eligibility),
+          enabled !== false
+        ]
+      );
+
+      await recordAdminAction(pool, req.admin, {
+        action: before ? "update_reward_rule" : "add_reward_rule",
+        targetType: "reward_rules",
+        targetId: key,
+        before: before || undefined,
+        after: r.rows[0],
+        reason: req.body.reason
+      });
+
+      res.json(r.rows[0]);
+    } catch (e) {
+      console.error("admin reward rule upsert error:", e);
+      res.status(500).json({ error: "Failed to save reward rule" });
+    }
+  });
+
+  // ------------------------------
+  // FAUCET (see faucetGuard.js)
+  // ------------------------------
+  router.get("/faucet", async (_, res) => {
+    try {
+      res.json(await faucetUsage());
+    } catch (e) {
+      console.error("admin faucet usage error:", e);
+      res.status(500).json({ error: "Failed to load faucet usage" });
+    }
+  });
+
+  // every claim attempt with why it was blocked; ?wallet ?ip ?fingerprint ?reason ?allowed ?before_id
+  router.get("/faucet/decisions", async (req, res) => {
+    try {
+      const { wallet, ip, fingerprint, reason, allowed } = req.query;
+      res.json(await listFaucetDecisions({
+        wallet,
+        ip,
+        fingerprint,
+        reason,
+        allowed: allowed === undefined ? null : allowed === "true",
+        beforeId: req.query.before_id ? Number(req.query.before_id) : null,
+        limit: Math.min(Number(req.query.limit) || 100, 500)
+      }));
+    } catch (e) {
+      console.error("admin faucet decisions error:", e);
+      res.status(500).json({ error: "Failed to load faucet decisions" });
+    }
+  });
+
+  // { paused, reason } — a manual pause stays until lifted
+  router.post("/faucet/pause", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const paused = req.body.paused !== false;
+      await faucetSettings();
+
+      const result = await auditedChange(req, {
+        action: paused ? "pause_faucet" : "resume_faucet",
+        table: "faucet_settings",
+        id: 1,
+        update: async (db, cur) => {
+          if (cur.paused === paused && !cur.paused_until) return null;
+          return (await db.query(
+            `
+            UPDATE faucet_settings
+            SET paused=$1,
+                paused_reason = CASE WHEN $1 THEN $2 END,
+                paused_by = CASE WHEN $1 THEN $3 END,
+                paused_at = CASE WHEN $1 THEN NOW() END,
+                paused_until = NULL,
+                updated_at=NOW()
+            WHERE id=1
+            RETURNING *
+            `,
+            [paused, req.body.reason, req.admin.actor]
+          )).rows[0];
+        }
+      });
+
+      sendChange(res, result, "Faucet settings not found");
+    } catch (e) {
+      console.error("admin faucet pause error:", e);
+      res.status(500).json({ error: "Failed to update faucet" });
+    }
+  });
+
+  // { daily_budget (null = FAUCET_DAILY_BUDGET, 0 = no budget), reason }
+  router.post("/faucet/budget", requireRole("owner"), requireReason, async (req, res) => {
+    try {
+      const budget = req.body.daily_budget ?? null;
+      if (budget !== null && !(Number(budget) >= 0)) {
+        return res.status(400).json({ error: "daily_budget must be a number >= 0 or null" });
+      }
+
+      const result = await auditedChange(req, {
+        action: "set_faucet_budget",
+        table: "faucet_settings",
+        id: 1,
+        update: async db => (await db.query(
+          "UPDATE faucet_settings SET daily_budget=$1, updated_at=NOW() WHERE id=1 RETURNING *",
+          [budget === null ? null : String(budget)]
+        )).rows[0]
+      });
+
+      sendChange(res, result, "Faucet settings not found");
+    } catch (e) {
+      console.error("admin faucet budget error:", e);
+      res.status(500).json({ error: "Failed to update faucet" });
+    }
+  });
+
+  router.get("/faucet/denylist", async (_, res) => {
+    try {
+      res.json(await listDenylist());
+    } catch (e) {
+      console.error("admin faucet denylist error:", e);
+      res.status(500).json({ error: "Failed to load denylist" });
+    }
+  });
+
+  // { kind: wallet | ip (address or CIDR) | fingerprint, value, expires_at?, reason }
+  router.post("/faucet/denylist", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { kind, expires_at } = req.body;
+      if (!DENYLIST_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${DENYLIST_KINDS.join(", ")}` });
+      }
+
+      const value = denylistValue(kind, req.body.value);
+      if (!value) {
+        return res.status(400).json({ error: `Invalid ${kind}` });
+      }
+
+      const expiresAt = expires_at ? new Date(expires_at) : null;
+      if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+        return res.status(400).json({ error: "Invalid expires_at" });
+      }
+
+      const r = await pool.query(
+        `
+        INSERT INTO faucet_denylist (kind, value, reason, created_by, expires_at)
+        VALUES ($1,$2,$3,$4,$5)
+        ON CONFLICT (kind, value) WHERE removed_at IS NULL DO UPDATE
+        SET reason = EXCLUDED.reason,
+            created_by = EXCLUDED.created_by,
+            expires_at = EXCLUDED.expires_at
+        RETURNING *
+        `,
+        [kind, value, req.body.reason, req.admin.actor, expiresAt]
+      );
+
+      await recordAdminAction(pool, req.admin, {
+        action: "faucet_deny",
+        targetType: "faucet_denylist",
+        targetId: r.rows[0].id,
+        after: r.rows[0],
+        reason: req.body.reason
+      });
+
+      res.json(r.rows[0]);
+    } catch (e) {
+      console.error("admin faucet deny error:", e);
+      res.status(500).json({ error: "Failed to update denylist" });
+    }
+  });
+
+  router.post("/faucet/denylist/:id/remove", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const result = await auditedChange(req, {
+        action: "faucet_undeny",
+        table: "faucet_denylist",
+        id: Number(req.params.id),
+        update: async db => (await db.query(
+          "UPDATE faucet_denylist SET removed_at=NOW() WHERE id=$1 AND removed_at IS NULL RETURNING *",
+          [Number(req.params.id)]
+        )).rows[0]
+      });
+
+      sendChange(res, result, "Denylist entry not found");
+    } catch (e) {
+      console.error("admin faucet undeny error:", e);
+      res.status(500).json({ error: "Failed to update denylist" });
+    }
+  });
+
+  // ------------------------------
+  // CREATORS
+  // ------------------------------
+  router.post("/creators/verify", requireRole("operator"), requireReason, async (req, res) => {
+    try {
+      const { wallet, verified = true } = req.body;
+
+      if (!xrpl.isValidClassicAddress(String(wallet || ""))) {
+        return res.status(400).json({ error: "Invalid wallet" });
+      }
+
+      const before = (await pool.query("SELECT * FROM creators WHERE wallet=$1", [wallet])).rows[0] || null;
+
+      const r = await pool.query(
+        `
+        INSERT INTO creators (wallet, verified, verified_at)
+        VALUES ($1, $2, CASE WHEN $2 THEN NOW() END)
+        ON CONFLICT (wallet) DO UPDATE
+        SET verified = EXCLUDED.verified,
+            verified_at = EXCLUDED.verified_at,
+            updated_at = NOW()
+        RETURNING *
+        `,
+        [wallet, !!verified]
+      );
+
+      await recordAdminAction(pool, req.admin, {
+        action: verified ? "verify_creator" : "unverify_creator",
+        targetType: "creators",
+        targetId: wallet,
+        before: before || undefined,
+        after: r.rows[0],
+        reason: req.body.reason
+      });
+
+      res.json(r.rows[0]);
+    } catch (e) {
+      console.error("admin creator verify error:", e);
+      res.status(500).json({ error: "Failed to update creator" });
+    }
+  });
+
+  // ------------------------------
+  // ROLES (owner only)
+  // ------------------------------
+  router.get("/roles", requireRole("owner"), async (_, res) => {
+    try {
+      const r = await pool.query(`
+        SELECT id, wallet, label, role, created_by, created_at, revoked_at,
+               (api_key_hash IS NOT NULL) AS has_api_key
+        FROM admin_roles
+        ORDER BY id
+      `);
+      res.json(r.rows);
+    } catch (e) {
+      console.error("admin roles error:", e);
+      res.status(500).json({ error: "Failed to load roles" });
+    }
+  });
+
+  // { wallet, role } or { api_key: true, role, label } — a new key is returned once
+  router.post("/roles", requireRole("owner"), requireReason, async (req, res) => {
+    try {
+      const { wallet, api_key, role, label } = req.body;
+
+      if (!ROLE_RANK[role]) {
+        return res.status(400).json({ error: "role must be owner, operator or viewer" });
+      }
+      if (!wallet && !api_key) {
+        return res.status(400).json({ error: "Missing wallet or api_key" });
+      }
+
+      const key = api_key ? crypto.randomBytes(24).toString("hex") : null;
+
+      // the grant and its audit row commit together
+      const db = await pool.connect();
+      let granted;
+      try {
+        await db.query("BEGIN");
+
+        const r = await db.query(
+          `
+          INSERT INTO admin_roles (wallet, api_key_hash, label, role, created_by)
+          VALUES ($1,$2,$3,$4,$5)
+          RETURNING id, wallet, label, role, created_at
+          `,
+          [wallet || null, key ? hashKey(key) : null, label || null, role, req.admin.actor]
+        );
+        granted = r.rows[0];
+
+        await recordAdminAction(db, req.admin, {
+          action: "grant_role",
+          targetType: "admin_roles",
+          targetId: granted.id,
+          after: granted,
+          reason: req.body.reason
+        });
+
+        await db.query("COMMIT");
+      } catch (e) {
+        await db.query("ROLLBACK");
+        throw e;
+      } finally {
+        db.release();
+      }
+
+      res.json({ ...granted, ...(key ? { api_key: key } : {}) });
+    } catch (e) {
+      if (e.code === "23505") {
+        return res.status(409).json({ error: "Wallet already has a role" });
+      }
+      console.error("admin grant role error:", e);
+      res.status(500).json({ error: "Failed to grant role" });
+    }
+  });
+
+  router.post("/roles/:id/revoke", requireRole("owner"), requireReason, async (req, res) => {
+    try {
+      const result = await auditedChange(req, {
+        action: "revoke_role",
+        table: "admin_roles",
+        id: Number(req.params.id),
+        update: async db => (await db.query(
+          "UPDATE admin_roles SET revoked_at=NOW() WHERE id=$1 AND revoked_at IS NULL RETURNING *",
+          [Number(req.params.id)]
+        )).rows[0]
+      });
+
+      sendChange(res, result, "Role not found");
+    } catch (e) {
+      console.error("admin revoke role error:", e);
+      res.status(500).json({ error: "Failed to revoke role" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,512 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { ledgerError, lookupTx, xrplRequest } from "./xrplPool.js";
+import {
+  acceptOfferPayload,
+  buyOfferPayload,
+  cancelOfferPayload,
+  createPayload,
+  getPayload
+} from "./xaman.js";
+import { offerIndexFromMeta, recordPurchase } from "./marketRecords.js";
+import {
+  amountToUnits,
+  currencyForAmount,
+  getCurrency,
+  ledgerAmount,
+  toUnits
+} from "./currencies.js";
+import { findEditions } from "./listingBatches.js";
+import { preflightPayment } from "./preflight.js";
+
+// ------------------------------
+// AUCTIONS
+// Bids are XRPL buy offers (NFTokenCreateOffer, no flags) signed in Xaman.
+// Each one is checked against the ledger when signed and again at close:
+// the offer must still exist, match the bid, and the bidder must be able
+// to pay. At close the creator gets an accept payload for the best valid
+// bid and every other bidder gets a cancel payload to free their reserve.
+// ------------------------------
+
+// bids lapse on-ledger this long after the auction ends (creator's window to accept)
+const SETTLE_WINDOW_MS = Number(process.env.AUCTION_SETTLE_HOURS || 72) * 60 * 60 * 1000;
+const CLOSING_RETRY_MS = 5 * 60 * 1000;
+
+export async function getAuction(auctionId) {
+  const r = await pool.query("SELECT * FROM auctions WHERE id=$1", [auctionId]);
+  return r.rows[0] || null;
+}
+
+// ------------------------------
+// CREATE
+// ------------------------------
+
+// `nftokenId` optional: defaults to the first edition with no open offer
+export async function createAuction({ nft, nftokenId, currency, reservePrice, startsAt, endsAt }) {
+  const cur = await getCurrency(currency);
+  if (!cur) return { error: "Unsupported currency" };
+
+  const busy = await pool.query(
+    `
+    SELECT UPPER(nftoken_id) AS nftoken_id
+    FROM marketplace_sell_offers
+    WHERE marketplace_nft_id=$1 AND COALESCE(status,'OPEN')='OPEN'
+    UNION
+    SELECT UPPER(nftoken_id)
+    FROM auctions
+    WHERE marketplace_nft_id=$1 AND status IN ('ACTIVE','CLOSING','SETTLING')
+    `,
+    [nft.id]
+  );
+  const taken = new Set(busy.rows.map(r => r.nftoken_id));
+
+  const held = await findEditions(nft.creator_wallet, nft.metadata_cid);
+  const token = nftokenId
+    ? held.find(id => id === String(nftokenId).toUpperCase())
+    : held.find(id => !taken.has(id));
+
+  if (!token) return { error: "No edition available for auction" };
+  if (taken.has(token)) return { error: "Edition is already listed or on auction" };
+
+  const r = await pool.query(
+    `
+    INSERT INTO auctions
+      (marketplace_nft_id, nftoken_id, creator_wallet, currency, reserve_price, starts_at, ends_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7)
+    RETURNING *
+    `,
+    [nft.id, token, nft.creator_wallet, cur.code, String(reservePrice), startsAt, endsAt]
+  );
+  return r.rows[0];
+}
+
+// ------------------------------
+// BIDS
+// ------------------------------
+export async function highBid(auctionId) {
+  const r = await pool.query(
+    `
+    SELECT id, bidder_wallet, amount, created_at
+    FROM bids
+    WHERE auction_id=$1 AND status='ACTIVE'
+    ORDER BY amount DESC, created_at ASC
+    LIMIT 1
+    `,
+    [auctionId]
+  );
+  return r.rows[0] || null;
+}
+
+// Returns { bid_id, link } or { error } (a preflight failure when the
+// bidder can't cover the bid).
+export async function placeBid({ auction, bidder, amount }) {
+  const now = Date.now();
+  if (auction.status !== "ACTIVE" || now < new Date(auction.starts_at).getTime()) {
+    return { error: "Auction is not open" };
+  }
+  if (now >= new Date(auction.ends_at).getTime()) {
+    return { error: "Auction has ended" };
+  }
+  if (bidder === auction.creator_wallet) {
+    return { error: "Creators can't bid on their own auction" };
+  }
+
+  const cur = await getCurrency(auction.currency);
+  if (!cur) return { error: "Auction currency is no longer enabled" };
+
+  const units = toUnits(cur, amount);
+  if (!(units > 0) || units < toUnits(cur, auction.reserve_price)) {
+    return { error: "Bid is below the reserve price" };
+  }
+
+  const high = await highBid(auction.id);
+  if (high && units <= toUnits(cur, high.amount)) {
+    return { error: "Bid must beat the current high bid" };
+  }
+
+  const cantPay = await preflightPayment({ wallet: bidder, cur, units });
+  if (cantPay) return cantPay;
+
+  const ins = await pool.query(
+    "INSERT INTO bids (auction_id, bidder_wallet, amount) VALUES ($1,$2,$3) RETURNING id",
+    [auction.id, bidder, String(amount)]
+  );
+  const bidId = ins.rows[0].id;
+
+  const xumm = await createPayload(buyOfferPayload({
+    account: bidder,
+    owner: auction.creator_wallet,
+    nftokenId: auction.nftoken_id,
+    amount: ledgerAmount(cur, units),
+    expiration: xrpl.unixTimeToRippleTime(new Date(auction.ends_at).getTime() + SETTLE_WINDOW_MS),
+    blob: {
+      action: "auction_bid",
+      auction_id: auction.id,
+      bid_id: bidId
+    },
+    returnTo: "buyer"
+  }));
+
+  await pool.query(
+    "UPDATE bids SET payload_uuid=$2, link=$3 WHERE id=$1",
+    [bidId, xumm.uuid, xumm.link]
+  );
+
+  return { bid_id: bidId, link: xumm.link };
+}
+
+// { ok } or { ok: false, reason }; network errors throw so the caller can retry
+async function verifyBid(auction, bid) {
+  let node;
+  try {
+    const r = await xrplRequest({
+      command: "ledger_entry",
+      index: bid.buy_offer_index,
+      ledger_index: "validated"
+    });
+    node = r.result.node;
+  } catch (e) {
+    if (ledgerError(e) === "entryNotFound") return { ok: false, reason: "offer not on ledger" };
+    throw e;
+  }
+
+  const cur = await getCurrency(auction.currency);
+
+  if (node?.LedgerEntryType !== "NFTokenOffer" || (Number(node.Flags) & 1)) {
+    return { ok: false, reason: "not a buy offer" };
+  }
+  if (String(node.NFTokenID).toUpperCase() !== auction.nftoken_id.toUpperCase()) {
+    return { ok: false, reason: "offer is for another token" };
+  }
+  if (node.Owner !== bid.bidder_wallet) {
+    return { ok: false, reason: "offer owner is not the bidder" };
+  }
+  if (!cur || (await currencyForAmount(node.Amount))?.code !== cur.code) {
+    return { ok: false, reason: "offer currency does not match" };
+  }
+
+  const units = amountToUnits(cur, node.Amount);
+  if (units !== toUnits(cur, bid.amount)) {
+    return { ok: false, reason: "offer amount does not match bid" };
+  }
+  if (node.Expiration && xrpl.rippleTimeToUnixTime(node.Expiration) <= Date.now()) {
+    return { ok: false, reason: "offer expired" };
+  }
+  if (node.Destination && node.Destination !== auction.creator_wallet) {
+    return { ok: false, reason: "offer is reserved for another account" };
+  }
+  const cantPay = await preflightPayment({ wallet: bid.bidder_wallet, cur, units, fix: false });
+  if (cantPay) {
+    return { ok: false, reason: `bidder can't cover the bid (${cantPay.code})` };
+  }
+
+  return { ok: true };
+}
+
+// webhook: a bid's buy offer was signed and validated
+export async function onBidOfferSigned({ bidId, buyOfferIndex, userToken }) {
+  const r = await pool.query(
+    `
+    UPDATE bids
+    SET buy_offer_index=$2, user_token=COALESCE($3, user_token)
+    WHERE id=$1 AND status='PENDING'
+    RETURNING *
+    `,
+    [bidId, String(buyOfferIndex), userToken || null]
+  );
+  if (!r.rows.length) return null;
+
+  const bid = r.rows[0];
+  const auction = await getAuction(bid.auction_id);
+  const check = await verifyBid(auction, bid);
+
+  const u = await pool.query(
+    `
+    UPDATE bids
+    SET status=$2, error=$3, verified_at=NOW()
+    WHERE id=$1
+    RETURNING *
+    `,
+    [bid.id, check.ok ? "ACTIVE" : "INVALID", check.ok ? null : check.reason]
+  );
+  return u.rows[0];
+}
+
+async function invalidateBid(bid, reason) {
+  await pool.query(
+    "UPDATE bids SET status='INVALID', error=$2, verified_at=NOW() WHERE id=$1 AND status='PENDING'",
+    [bid.id, reason]
+  );
+}
+
+async function refreshPendingBid(bid) {
+  const payload = await getPayload(bid.payload_uuid);
+  const txid = payload?.response?.txid;
+  if (!payload?.meta?.signed || !txid) return;
+
+  // signed but never validated: only drop it once the server has searched
+  // every ledger, otherwise leave it PENDING for the next sweep
+  const { tx, searchedAll } = await lookupTx(txid);
+  if (!tx) {
+    if (searchedAll) await invalidateBid(bid, "bid offer transaction not found on ledger");
+    return;
+  }
+  if (!tx.validated) return;
+  if (tx.meta?.TransactionResult !== "tesSUCCESS") {
+    await invalidateBid(bid, `bid offer failed (${tx.meta?.TransactionResult})`);
+    return;
+  }
+
+  const offerIndex = offerIndexFromMeta(tx.meta);
+  if (offerIndex) {
+    await onBidOfferSigned({
+      bidId: bid.id,
+      buyOfferIndex: offerIndex,
+      userToken: payload.application?.issued_user_token
+    });
+  }
+}
+
+// catch up signed bids whose webhook never arrived; one bid that can't be
+// checked is left PENDING rather than holding up the close
+async function refreshPendingBids(auctionId) {
+  const r = await pool.query(
+    "SELECT * FROM bids WHERE auction_id=$1 AND status='PENDING' AND payload_uuid IS NOT NULL",
+    [auctionId]
+  );
+
+  for (const bid of r.rows) {
+    try {
+      await refreshPendingBid(bid);
+    } catch (e) {
+      console.error("auction bid refresh error:", bid.id, e);
+    }
+  }
+}
+
+// ------------------------------
+// CLOSE
+// ------------------------------
+async function sendCancelPayload(bid) {
+  if (bid.cancel_payload_uuid || !bid.buy_offer_index) return;
+
+  const xumm = await createPayload(cancelOfferPayload({
+    account: bid.bidder_wallet,
+    offers: [bid.buy_offer_index],
+    blob: { action: "auction_bid_cancel", bid_id: bid.id },
+    returnTo: "buyer",
+    userToken: bid.user_token
+  }));
+
+  await pool.query(
+    "UPDATE bids SET cancel_payload_uuid=$2, cancel_link=$3 WHERE id=$1",
+    [bid.id, xumm.uuid, xumm.link]
+  );
+}
+
+// Picks the best bid the ledger still backs. Safe to re-run on a CLOSING auction.
+async function closeAuction(auction) {
+  await refreshPendingBids(auction.id);
+
+  const bids = await pool.query(
+    `
+    SELECT * FROM bids
+    WHERE auction_id=$1 AND status='ACTIVE'
+    ORDER BY amount DESC, created_at ASC
+    `,
+    [auction.id]
+  );
+
+  let winner = null;
+  for (const bid of bids.rows) {
+    const check = await verifyBid(auction, bid);
+    if (check.ok) {
+      winner = bid;
+      break;
+    }
+    await pool.query(
+      "UPDATE bids SET status='INVALID', error=$2, verified_at=NOW() WHERE id=$1",
+      [bid.id, check.reason]
+    );
+  }
+
+  if (winner) {
+    const xumm = await createPayload(acceptOfferPayload({
+      account: auction.creator_wallet,
+      buyOffer: winner.buy_offer_index,
+      blob: {
+        action: "auction_accept",
+        auction_id: auction.id,
+        bid_id: winner.id
+      },
+      returnTo: "creator"
+    }));
+
+    await pool.query(
+      `
+      UPDATE auctions
+      SET status='SETTLING', winning_bid_id=$2, accept_payload_uuid=$3, accept_link=$4, updated_at=NOW()
+      WHERE id=$1
+      `,
+      [auction.id, winner.id, xumm.uuid, xumm.link]
+    );
+  } else {
+    await pool.query(
+      "UPDATE auctions SET status='NO_SALE', updated_at=NOW() WHERE id=$1",
+      [auction.id]
+    );
+  }
+
+  // everyone else gets their offer back
+  await pool.query(
+    "UPDATE bids SET status='LOST' WHERE auction_id=$1 AND status='ACTIVE' AND id <> COALESCE($2, 0)",
+    [auction.id, winner?.id || null]
+  );
+  const losers = await pool.query(
+    "SELECT * FROM bids WHERE auction_id=$1 AND status IN ('LOST','INVALID')",
+    [auction.id]
+  );
+  for (const bid of losers.rows) {
+    await sendCancelPayload(bid);
+  }
+
+  console.log("AUCTION_CLOSED", { auction: auction.id, winner: winner?.id || null, losers: losers.rowCount });
+}
+
+// Sweeper: closes ended auctions (and retries ones stuck in CLOSING),
+// lapses SETTLING auctions whose accept window ran out.
+export async function closeDueAuctions() {
+  const due = await pool.query(
+    `
+    UPDATE auctions
+    SET status='CLOSING', updated_at=NOW()
+    WHERE (status='ACTIVE' AND ends_at <= NOW())
+       OR (status='CLOSING' AND updated_at < NOW() - ($1 || ' milliseconds')::interval)
+    RETURNING *
+    `,
+    [String(CLOSING_RETRY_MS)]
+  );
+
+  for (const auction of due.rows) {
+    try {
+      await closeAuction(auction);
+    } catch (e) {
+      console.error("auction close error:", auction.id, e);
+    }
+  }
+
+  await pool.query(
+    `
+    UPDATE auctions
+    SET status='UNSETTLED', updated_at=NOW()
+    WHERE status='SETTLING' AND ends_at < NOW() - ($1 || ' milliseconds')::interval
+    `,
+    [String(SETTLE_WINDOW_MS)]
+  );
+
+  return due.rowCount;
+}
+
+// ------------------------------
+// SETTLE
+// The creator accepted a bid's buy offer (webhook or ledger listener).
+// Returns true when the sale was recorded now.
+// ------------------------------
+export async function settleAuction({ buyOfferIndex, txHash }) {
+  const r = await pool.query(
+    `
+    SELECT b.*, a.marketplace_nft_id, a.currency
+    FROM bids b
+    JOIN auctions a ON a.id = b.auction_id
+    WHERE b.buy_offer_index=$1
+    `,
+    [String(buyOfferIndex)]
+  );
+  if (!r.rows.length) return false;
+
+  const bid = r.rows[0];
+  const client = await pool.connect();
+  let recorded;
+  try {
+    recorded = await recordPurchase(client, {
+      marketplaceNftId: bid.marketplace_nft_id,
+      buyer: bid.bidder_wallet,
+      currency: bid.currency,
+      txHash,
+      price: bid.amount,
+      saleMode: "AUCTION"
+    });
+  } finally {
+    client.release();
+  }
+
+  await pool.query("UPDATE bids SET status='WON' WHERE id=$1", [bid.id]);
+  await pool.query(
+    `
+    UPDATE auctions
+    SET status='SOLD', winning_bid_id=$2, tx_hash=$3, updated_at=NOW()
+    WHERE id=$1 AND status <> 'SOLD'
+    `,
+    [bid.auction_id, bid.id, txHash]
+  );
+
+  return recorded;
+}
+
+// creator cancel: only before any bid is live
+export async function cancelAuction(auctionId) {
+  const r = await pool.query(
+    `
+    UPDATE auctions
+    SET status='CANCELLED', updated_at=NOW()
+    WHERE id=$1 AND status='ACTIVE'
+      AND NOT EXISTS (SELECT 1 FROM bids WHERE auction_id=$1 AND status='ACTIVE')
+    `,
+    [auctionId]
+  );
+  return r.rowCount > 0;
+}
+
+// ------------------------------
+// READS
+// ------------------------------
+export async function auctionSummary(auctionId, { viewer } = {}) {
+  const auction = await getAuction(auctionId);
+  if (!auction) return null;
+
+  const counts = await pool.query(
+    `
+    SELECT COUNT(*)::int AS bids, COUNT(DISTINCT bidder_wallet)::int AS bidders
+    FROM bids
+    WHERE auction_id=$1 AND status IN ('ACTIVE','WON','LOST')
+    `,
+    [auctionId]
+  );
+
+  const { accept_payload_uuid, accept_link, ...pub } = auction;
+  return {
+    ...pub,
+    ...counts.rows[0],
+    high_bid: await highBid(auctionId),
+    // the accept link is only for the creator
+    ...(viewer && viewer === auction.creator_wallet ? { accept_link } : {})
+  };
+}
+
+// verified bids, newest first; a bidder also sees their own pending/cancel links
+export async function bidHistory(auctionId, { viewer, limit, offset }) {
+  const r = await pool.query(
+    `
+    SELECT id, bidder_wallet, amount, status, created_at, verified_at,
+           CASE WHEN bidder_wallet = $2 THEN link END AS link,
+           CASE WHEN bidder_wallet = $2 THEN cancel_link END AS cancel_link
+    FROM bids
+    WHERE auction_id=$1
+      AND (status <> 'PENDING' OR bidder_wallet = $2)
+    ORDER BY created_at DESC
+    LIMIT $3 OFFSET $4
+    `,
+    [auctionId, viewer || null, limit, offset]
+  );
+  return r.rows;
+}
@@ -0,0 +1,402 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { getXrplClient, ledgerError, lookupTx, nextSequence, xrplRequest } from "./xrplPool.js";
+import { buyOfferPayload, createPayload } from "./xaman.js";
+import { brokeredSaleFromTx, recordPurchase } from "./marketRecords.js";
+import {
+  amountToUnits,
+  fromUnits,
+  getCurrency,
+  ledgerAmount,
+  nftPrice,
+  toUnits
+} from "./currencies.js";
+
+// ------------------------------
+// BROKERED SALES
+// Creators list with a sell offer for their net (price × CREATOR_PERCENT)
+// whose Destination is the platform broker. Buyers sign a buy offer for the
+// full price; the broker matches both in one NFTokenAcceptOffer and keeps
+// price × PLATFORM_FEE_PERCENT as NFTokenBrokerFee.
+// XRPL_BROKER_SEED is the broker account's secret.
+// ------------------------------
+
+export const PLATFORM_FEE_PERCENT = 0.05;
+export const CREATOR_PERCENT = 0.95;
+
+let broker = null;
+
+export function brokerWallet() {
+  if (!process.env.XRPL_BROKER_SEED) return null;
+  if (!broker) broker = xrpl.Wallet.fromSeed(process.env.XRPL_BROKER_SEED);
+  return broker;
+}
+
+export function brokerAddress() {
+  return brokerWallet()?.address || null;
+}
+
+// brokered listing unless the request says otherwise; BROKERED_SALES=on makes it the default
+export function wantsBrokered(flag) {
+  if (flag === undefined || flag === null) return process.env.BROKERED_SALES === "on";
+  return flag === true || flag === "true";
+}
+
+// { cur, gross } in minor units, or null when the NFT has no price in `code`
+async function grossPrice(db, marketplaceNftId, code) {
+  const cur = await getCurrency(code);
+  const price = cur ? await nftPrice(db, marketplaceNftId, cur.code) : null;
+  return price === null ? null : { cur, gross: toUnits(cur, price) };
+}
+
+// what the creator's brokered sell offer asks for, or null when unpriced
+export async function brokeredSellAmount(db, marketplaceNftId, code) {
+  const p = await grossPrice(db, marketplaceNftId, code);
+  return p && ledgerAmount(p.cur, Math.floor(p.gross * CREATOR_PERCENT));
+}
+
+// price split the buyer sees before signing
+function feeBreakdown(cur, gross) {
+  const platformFee = Math.floor(gross * PLATFORM_FEE_PERCENT);
+  return {
+    gross: fromUnits(cur, gross),
+    platform_fee: fromUnits(cur, platformFee),
+    creator_net: fromUnits(cur, gross - platformFee)
+  };
+}
+
+// ------------------------------
+// CHECKOUT
+// ------------------------------
+
+// Reserves `offer` (an OPEN brokered sell offer) and returns the buyer's
+// buy offer payload for the full price.
+export async function startBrokeredSale({ nft, offer, currency }) {
+  const price = await grossPrice(pool, nft.id, currency);
+  if (!price) throw new Error(`No ${currency} price for marketplace NFT ${nft.id}`);
+
+  const ins = await pool.query(
+    `
+    INSERT INTO brokered_sales (marketplace_nft_id, nftoken_id, currency, sell_offer_index)
+    VALUES ($1,$2,$3,$4)
+    RETURNING id
+    `,
+    [nft.id, offer.nftoken_id, currency, offer.sell_offer_index]
+  );
+  const saleId = ins.rows[0].id;
+
+  try {
+    const xumm = await createPayload(buyOfferPayload({
+      owner: nft.creator_wallet,
+      nftokenId: offer.nftoken_id,
+      amount: ledgerAmount(price.cur, price.gross),
+      blob: {
+        action: "brokered_buy",
+        brokered_sale_id: saleId,
+        nft_id: nft.id,
+        currency
+      },
+      returnTo: "buyer"
+    }));
+
+    await pool.query(
+      "UPDATE brokered_sales SET payload_uuid=$2, updated_at=NOW() WHERE id=$1",
+      [saleId, xumm.uuid]
+    );
+
+    return { link: xumm.link, brokered_sale_id: saleId, fees: feeBreakdown(price.cur, price.gross) };
+  } catch (e) {
+    // free the offer for the next buyer
+    await pool.query(
+      "UPDATE brokered_sales SET status='FAILED', error=$2, updated_at=NOW() WHERE id=$1",
+      [saleId, "payload create failed"]
+    );
+    throw e;
+  }
+}
+
+// ------------------------------
+// MATCH
+// Webhook: the buyer's buy offer is on ledger, so the sale is QUEUED. The
+// match worker signs the broker's NFTokenAcceptOffer with an explicit
+// Sequence / LastLedgerSequence, stores the hash as MATCHING before it
+// submits, and writes the order once the ledger validates it. Expired
+// matches are re-signed (up to MAX_MATCH_ATTEMPTS) only after a full search
+// of their ledger range, as payouts are.
+// ------------------------------
+
+const LEDGER_WINDOW = 20;
+const MAX_MATCH_ATTEMPTS = 3;
+const MATCH_BATCH = 10;
+
+// how long a queued sale waits for its buy offer to show up validated
+const BUY_OFFER_GRACE = "2 minutes";
+
+// Returns the queued sale, or null when it was already taken.
+export async function queueBrokeredMatch({ saleId, buyer, buyOfferIndex }) {
+  const r = await pool.query(
+    `
+    UPDATE brokered_sales
+    SET status='QUEUED', buyer_wallet=$2, buy_offer_index=$3, updated_at=NOW()
+    WHERE id=$1 AND status='AWAITING_BUY'
+    RETURNING *
+    `,
+    [saleId, buyer, String(buyOfferIndex)]
+  );
+  if (!r.rows.length) return null;
+
+  kickBrokeredMatches();
+  return r.rows[0];
+}
+
+async function failSale(sale, error, engineResult = null) {
+  console.error("brokered match failed:", { id: sale.id, error });
+  await pool.query(
+    `
+    UPDATE brokered_sales
+    SET status='FAILED', error=$2, engine_result=COALESCE($3, engine_result), updated_at=NOW()
+    WHERE id=$1
+    `,
+    [sale.id, error, engineResult]
+  );
+}
+
+// validated tesSUCCESS: write the order with the fees the ledger moved
+async function completeSale(sale, tx) {
+  const fees = brokeredSaleFromTx(tx, tx.meta)?.fees || {
+    gross: sale.gross_amount,
+    platformFee: sale.platform_fee,
+    creatorNet: sale.creator_net
+  };
+
+  const client = await pool.connect();
+  try {
+    await recordPurchase(client, {
+      marketplaceNftId: sale.marketplace_nft_id,
+      buyer: sale.buyer_wallet,
+      currency: sale.currency,
+      txHash: tx.hash,
+      sellOfferIndex: sale.sell_offer_index,
+      fees
+    });
+  } finally {
+    client.release();
+  }
+
+  await pool.query(
+    `
+    UPDATE brokered_sales
+    SET status='MATCHED', engine_result='tesSUCCESS', gross_amount=$2, platform_fee=$3,
+        creator_net=$4, error=NULL, updated_at=NOW()
+    WHERE id=$1
+    `,
+    [sale.id, fees.gross, fees.platformFee, fees.creatorNet]
+  );
+}
+
+// MATCHING: finish from the ledger, resubmit inside the window, or queue a
+// re-sign once the window has passed and no ledger in it has the hash
+async function reconcileMatch(sale, validatedIndex) {
+  const lastLedger = Number(sale.last_ledger_sequence);
+  const { tx, searchedAll } = await lookupTx(sale.tx_hash, {
+    minLedger: Number(sale.signed_ledger_index || lastLedger - LEDGER_WINDOW),
+    maxLedger: lastLedger
+  });
+
+  if (tx?.validated) {
+    const code = tx.meta?.TransactionResult;
+    return code === "tesSUCCESS"
+      ? completeSale(sale, tx)
+      : failSale(sale, `NFTokenAcceptOffer ${code}`, code);
+  }
+
+  if (validatedIndex > lastLedger) {
+    if (!searchedAll) {
+      await pool.query(
+        "UPDATE brokered_sales SET error=$2, updated_at=NOW() WHERE id=$1",
+        [sale.id, "expired; waiting for a server with full history of its ledgers"]
+      );
+      return;
+    }
+    if (sale.attempts >= MAX_MATCH_ATTEMPTS) {
+      return failSale(sale, `gave up after ${sale.attempts} attempts`);
+    }
+    await pool.query(
+      `
+      UPDATE brokered_sales
+      SET status='QUEUED', tx_blob=NULL, tx_hash=NULL, sequence=NULL, last_ledger_sequence=NULL,
+          signed_ledger_index=NULL, error='expired before validation', updated_at=NOW()
+      WHERE id=$1 AND status='MATCHING'
+      `,
+      [sale.id]
+    );
+    return;
+  }
+
+  const r = await xrplRequest({ command: "submit", tx_blob: sale.tx_blob });
+  await pool.query(
+    "UPDATE brokered_sales SET engine_result=$2, updated_at=NOW() WHERE id=$1",
+    [sale.id, r.result.engine_result]
+  );
+}
+
+// the buyer's offer as validated, or null while it isn't
+async function validatedBuyOffer(index) {
+  try {
+    const r = await xrplRequest({ command: "ledger_entry", index, ledger_index: "validated" });
+    return r.result.node;
+  } catch (e) {
+    if (ledgerError(e) === "entryNotFound") return null;
+    throw e;
+  }
+}
+
+// QUEUED: price the broker fee off the buy offer, sign, persist, submit
+async function signMatch(sale, wallet, next) {
+  const cur = await getCurrency(sale.currency);
+  if (!cur) return failSale(sale, `Currency ${sale.currency} is not enabled`);
+
+  const offer = await validatedBuyOffer(sale.buy_offer_index);
+  if (!offer) {
+    const late = await pool.query(
+      "SELECT updated_at < NOW() - $2::interval AS late FROM brokered_sales WHERE id=$1",
+      [sale.id, BUY_OFFER_GRACE]
+    );
+    if (late.rows[0]?.late) await failSale(sale, "buy offer is not on ledger");
+    return;
+  }
+
+  const gross = amountToUnits(cur, offer.Amount);
+  const feeUnits = Math.floor(gross * PLATFORM_FEE_PERCENT);
+
+  const client = await getXrplClient();
+  const prepared = await client.autofill({
+    TransactionType: "NFTokenAcceptOffer",
+    Account: wallet.address,
+    NFTokenSellOffer: sale.sell_offer_index,
+    NFTokenBuyOffer: sale.buy_offer_index,
+    // a zero broker fee is malformed; omit it for dust prices
+    ...(feeUnits > 0 ? { NFTokenBrokerFee: ledgerAmount(cur, feeUnits) } : {}),
+    Sequence: next.sequence,
+    LastLedgerSequence: next.currentIndex + LEDGER_WINDOW
+  });
+  const signed = wallet.sign(prepared);
+
+  // the hash is on the row before the tx can reach the network
+  const claimed = await pool.query(
+    `
+    UPDATE brokered_sales
+    SET status='MATCHING', account=$2, sequence=$3, last_ledger_sequence=$4, tx_blob=$5,
+        tx_hash=$6, signed_ledger_index=$7, gross_amount=$8, platform_fee=$9, creator_net=$10,
+        attempts = attempts + 1, updated_at=NOW()
+    WHERE id=$1 AND status='QUEUED'
+    `,
+    [
+      sale.id,
+      wallet.address,
+      prepared.Sequence,
+      prepared.LastLedgerSequence,
+      signed.tx_blob,
+      signed.hash,
+      next.currentIndex,
+      fromUnits(cur, gross),
+      fromUnits(cur, feeUnits),
+      fromUnits(cur, gross - feeUnits)
+    ]
+  );
+  if (!claimed.rowCount) return;
+  next.sequence++;
+
+  const r = await xrplRequest({ command: "submit", tx_blob: signed.tx_blob });
+  const engineResult = r.result.engine_result;
+  await pool.query(
+    "UPDATE brokered_sales SET engine_result=$2, updated_at=NOW() WHERE id=$1",
+    [sale.id, engineResult]
+  );
+
+  // malformed: never applies and didn't consume the sequence
+  if (engineResult.startsWith("tem")) {
+    next.sequence--;
+    await failSale(sale, `rejected: ${engineResult}`, engineResult);
+  }
+}
+
+async function inFlightSequence(wallet) {
+  const r = await pool.query(
+    "SELECT MAX(sequence) AS seq FROM brokered_sales WHERE account=$1 AND status='MATCHING'",
+    [wallet.address]
+  );
+  return r.rows[0].seq;
+}
+
+let running = false;
+
+// One pass over brokered sales. Returns { checked, signed }.
+// Only one server signs for the broker at a time (advisory lock).
+export async function processBrokeredMatches() {
+  const wallet = brokerWallet();
+  if (!wallet || running) return { checked: 0, signed: 0 };
+  running = true;
+
+  let lock = null;
+  try {
+    lock = await pool.connect();
+    const got = await lock.query("SELECT pg_try_advisory_lock(hashtext('brokered_match_worker')) AS ok");
+    if (!got.rows[0].ok) return { checked: 0, signed: 0 };
+
+    try {
+      // claims left by the old in-request matcher never stored a hash
+      await pool.query(
+        `
+        UPDATE brokered_sales SET status='QUEUED', updated_at=NOW()
+        WHERE status='MATCHING' AND tx_hash IS NULL AND updated_at < NOW() - INTERVAL '10 minutes'
+        `
+      );
+
+      const state = await xrplRequest({ command: "ledger", ledger_index: "validated" });
+      const validatedIndex = Number(state.result.ledger_index);
+
+      const matching = await pool.query(
+        "SELECT * FROM brokered_sales WHERE status='MATCHING' AND tx_hash IS NOT NULL ORDER BY id"
+      );
+      for (const sale of matching.rows) {
+        try {
+          await reconcileMatch(sale, validatedIndex);
+        } catch (e) {
+          console.error("brokered reconcile error:", { id: sale.id, error: e?.message || e });
+        }
+      }
+
+      const queued = await pool.query(
+        "SELECT * FROM brokered_sales WHERE status='QUEUED' ORDER BY id LIMIT $1",
+        [MATCH_BATCH]
+      );
+      let signed = 0;
+      if (queued.rows.length) {
+        const next = await nextSequence(wallet.address, await inFlightSequence(wallet));
+        for (const sale of queued.rows) {
+          try {
+            await signMatch(sale, wallet, next);
+            signed++;
+          } catch (e) {
+            console.error("brokered match error:", { id: sale.id, error: e?.message || e });
+            break;
+          }
+        }
+      }
+
+      return { checked: matching.rows.length, signed };
+    } finally {
+      await lock.query("SELECT pg_advisory_unlock(hashtext('brokered_match_worker'))");
+    }
+  } finally {
+    lock?.release();
+    running = false;
+  }
+}
+
+export function kickBrokeredMatches() {
+  setImmediate(() => {
+    processBrokeredMatches().catch(e => console.error("brokered match worker error:", e));
+  });
+}
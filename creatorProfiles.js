@@ -0,0 +1,209 @@
+import { pool } from "./db.js";
+import { COUNTED_ORDERS } from "./creatorStats.js";
+
+// ------------------------------
+// CREATOR PROFILES & STOREFRONT
+// `creators` holds what a wallet says about itself (display name, bio,
+// avatar CID, links, plus a private notification email). Only a signed-in
+// session for that wallet can edit it;
+// `verified` is set by admins. Wallets without a row get an empty profile.
+// ------------------------------
+
+const MAX_NAME = 60;
+const MAX_BIO = 1000;
+const MAX_LINKS = 10;
+const STOREFRONT_LIMIT = 100;
+
+const PUBLIC_COLUMNS = "wallet, display_name, bio, avatar_cid, links, verified, created_at, updated_at";
+
+function emptyProfile(wallet) {
+  return {
+    wallet,
+    display_name: null,
+    bio: null,
+    avatar_cid: null,
+    links: [],
+    verified: false,
+    created_at: null,
+    updated_at: null
+  };
+}
+
+export async function getCreatorProfile(wallet) {
+  const r = await pool.query(`SELECT ${PUBLIC_COLUMNS} FROM creators WHERE wallet=$1`, [wallet]);
+  return r.rows[0] || emptyProfile(wallet);
+}
+
+function optionalText(raw, max) {
+  if (raw === undefined) return undefined;
+  if (raw === null) return null;
+  const s = String(raw).trim();
+  return s.length > max ? NaN : s || null;
+}
+
+// links: [{ label?, url }] with http(s) urls only
+function parseLinks(raw) {
+  if (raw === undefined) return undefined;
+  if (raw === null) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_LINKS) return null;
+
+  const links = [];
+  for (const link of raw) {
+    const url = typeof link === "string" ? link : link?.url;
+    let parsed;
+    try {
+      parsed = new URL(String(url));
+    } catch {
+      return null;
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) return null;
+
+    const label = typeof link === "object" && link.label ? String(link.label).trim().slice(0, MAX_NAME) : null;
+    links.push({ label, url: parsed.toString() });
+  }
+  return links;
+}
+
+// Partial update: only fields present in `body` change. Returns the
+// profile (with the owner's email) or { error }.
+export async function saveCreatorProfile(wallet, body) {
+  const displayName = optionalText(body.display_name, MAX_NAME);
+  const bio = optionalText(body.bio, MAX_BIO);
+  const avatarCid = optionalText(body.avatar_cid, 100);
+  const links = parseLinks(body.links);
+  const email = optionalText(body.email, 254);
+
+  if (Number.isNaN(displayName)) return { error: `display_name is limited to ${MAX_NAME} characters` };
+  if (Number.isNaN(bio)) return { error: `bio is limited to ${MAX_BIO} characters` };
+  if (Number.isNaN(avatarCid) || (avatarCid && !/^[A-Za-z0-9]+$/.test(avatarCid))) {
+    return { error: "Invalid avatar_cid" };
+  }
+  if (links === null) return { error: `links must be up to ${MAX_LINKS} http(s) urls` };
+  if (Number.isNaN(email) || (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email))) {
+    return { error: "Invalid email" };
+  }
+
+  const r = await pool.query(
+    `
+    INSERT INTO creators (wallet, display_name, bio, avatar_cid, links, email)
+    VALUES ($1, $2, $3, $4, COALESCE($5::jsonb, '[]'::jsonb), $10)
+    ON CONFLICT (wallet) DO UPDATE
+    SET display_name = CASE WHEN $6 THEN EXCLUDED.display_name ELSE creators.display_name END,
+        bio = CASE WHEN $7 THEN EXCLUDED.bio ELSE creators.bio END,
+        avatar_cid = CASE WHEN $8 THEN EXCLUDED.avatar_cid ELSE creators.avatar_cid END,
+        links = CASE WHEN $9 THEN EXCLUDED.links ELSE creators.links END,
+        email = CASE WHEN $11 THEN EXCLUDED.email ELSE creators.email END,
+        updated_at = NOW()
+    RETURNING ${PUBLIC_COLUMNS}, email
+    `,
+    [
+      wallet,
+      displayName ?? null,
+      bio ?? null,
+      avatarCid ?? null,
+      links === undefined ? null : JSON.stringify(links),
+      displayName !== undefined,
+      bio !== undefined,
+      avatarCid !== undefined,
+      links !== undefined,
+      email ?? null,
+      email !== undefined
+    ]
+  );
+  return r.rows[0];
+}
+
+// ------------------------------
+// STOREFRONT
+// ------------------------------
+const STOREFRONT_COLUMNS = `
+  n.id, n.name, n.description, n.category, n.image_cid, n.nftoken_id,
+  n.quantity AS quantity_remaining, COALESCE(n.sold_count,0) AS sold_count, n.created_at,
+  (
+    SELECT COALESCE(jsonb_object_agg(p.currency, p.amount), '{}'::jsonb)
+    FROM nft_prices p
+    JOIN currencies c ON c.code = p.currency AND c.enabled
+    WHERE p.marketplace_nft_id = n.id
+  ) AS prices
+`;
+
+// live (not delisted) items of one creator, sold out or not
+async function storefrontItems(wallet, soldOut) {
+  const r = await pool.query(
+    `
+    SELECT ${STOREFRONT_COLUMNS}
+    FROM marketplace_nfts n
+    WHERE n.creator_wallet = $1
+      AND n.minted = true
+      AND COALESCE(n.is_delisted, false) = false
+      AND (GREATEST(COALESCE(n.quantity,0),0)=0) = $2
+      AND ($2 OR n.sold = false)
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT $3
+    `,
+    [wallet, soldOut, STOREFRONT_LIMIT]
+  );
+  return r.rows;
+}
+
+// public view of a creator: profile, live listings, sold-out items, stats
+export async function creatorStorefront(wallet) {
+  const profile = await getCreatorProfile(wallet);
+  const listings = await storefrontItems(wallet, false);
+  const soldOut = await storefrontItems(wallet, true);
+
+  const counts = await pool.query(
+    `
+    SELECT
+      COUNT(*)::int AS items,
+      COUNT(*) FILTER (
+        WHERE COALESCE(is_delisted, false) = false AND sold = false
+          AND GREATEST(COALESCE(quantity,0),0) > 0
+      )::int AS active_listings,
+      COUNT(*) FILTER (WHERE GREATEST(COALESCE(quantity,0),0) = 0)::int AS sold_out_items,
+      MIN(created_at) AS first_listed_at
+    FROM marketplace_nfts
+    WHERE creator_wallet = $1 AND minted = true
+    `,
+    [wallet]
+  );
+
+  // primary sales per currency, at the price buyers paid; holder resales
+  // are the holder's sales, not the creator's
+  const sales = await pool.query(
+    `
+    SELECT
+      o.currency,
+      COUNT(*)::int AS sales,
+      SUM(COALESCE(o.gross_amount, o.price)) AS volume
+    FROM orders o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE n.creator_wallet = $1 AND o.sale_mode <> 'RESALE' AND ${COUNTED_ORDERS}
+    GROUP BY o.currency
+    ORDER BY o.currency
+    `,
+    [wallet]
+  );
+
+  const collectors = await pool.query(
+    `
+    SELECT COUNT(DISTINCT o.buyer_wallet)::int AS n
+    FROM orders o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE n.creator_wallet = $1 AND ${COUNTED_ORDERS}
+    `,
+    [wallet]
+  );
+
+  return {
+    profile,
+    listings,
+    sold_out: soldOut,
+    stats: {
+      ...counts.rows[0],
+      sales: sales.rows.reduce((sum, s) => sum + s.sales, 0),
+      collectors: collectors.rows[0].n,
+      volume: Object.fromEntries(sales.rows.map(s => [s.currency, s.volume]))
+    }
+  };
+}
@@ -0,0 +1,178 @@
+import { pool } from "./db.js";
+
+// ------------------------------
+// CREATOR SALES & EARNINGS
+// Read-only reporting over orders ⨝ marketplace_nfts for one creator.
+// Orders from before brokered sales have no fee breakdown: they count as
+// gross = creator net = price, no platform fee. Holder resales (sale_mode
+// RESALE) only count the creator's TransferFee royalty. Refunded orders
+// count nowhere; a rejected redemption (or a refund still only requested)
+// leaves the sale standing.
+// ------------------------------
+
+// per-order amounts, with the legacy fallback applied
+const ORDER_AMOUNTS = `
+  CASE WHEN o.sale_mode = 'RESALE' THEN o.creator_net
+       ELSE COALESCE(o.gross_amount, o.price) END AS gross,
+  COALESCE(o.platform_fee, 0) AS platform_fee,
+  COALESCE(o.creator_net, o.price) AS creator_net
+`;
+
+// orders whose money stayed with the creator
+export const COUNTED_ORDERS = "o.status <> 'REFUNDED'";
+
+const INTERVALS = new Set(["day", "week"]);
+
+// Parses the shared query params. Returns { error } on bad input.
+export function parseRange(query) {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return { error: "Invalid date" };
+  }
+  if (from && to && from > to) {
+    return { error: "from must be before to" };
+  }
+
+  return {
+    from,
+    to,
+    limit: Math.min(Number(query.limit) || 50, 200),
+    offset: Math.max(Number(query.offset) || 0, 0)
+  };
+}
+
+// One row per NFT: sales in range, revenue and fee split per currency
+// ({ CODE: { sales, gross, platform_fee, creator_net } }), remaining
+// inventory and current prices. NFTs without sales in range are included.
+export async function creatorSales(wallet, { from, to, limit, offset }) {
+  const r = await pool.query(
+    `
+    WITH sales AS (
+      SELECT o.marketplace_nft_id, o.currency, o.created_at, ${ORDER_AMOUNTS}
+      FROM orders o
+      JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+      WHERE n.creator_wallet = $1 AND ${COUNTED_ORDERS}
+        AND ($2::timestamptz IS NULL OR o.created_at >= $2)
+        AND ($3::timestamptz IS NULL OR o.created_at < $3)
+    ),
+    by_currency AS (
+      SELECT
+        marketplace_nft_id,
+        currency,
+        COUNT(*)::int AS sales,
+        SUM(gross) AS gross,
+        SUM(platform_fee) AS platform_fee,
+        SUM(creator_net) AS creator_net,
+        MAX(created_at) AS last_sale_at
+      FROM sales
+      GROUP BY marketplace_nft_id, currency
+    )
+    SELECT
+      n.id,
+      n.name,
+      n.image_cid,
+      (
+        SELECT COALESCE(jsonb_object_agg(p.currency, p.amount), '{}'::jsonb)
+        FROM nft_prices p
+        WHERE p.marketplace_nft_id = n.id
+      ) AS prices,
+      GREATEST(COALESCE(n.quantity,0),0) AS quantity_remaining,
+      COALESCE(n.sold_count,0) AS sold_count_total,
+      COALESCE(n.is_delisted,false) AS is_delisted,
+      COALESCE(SUM(b.sales),0)::int AS sales,
+      COALESCE(
+        jsonb_object_agg(
+          b.currency,
+          jsonb_build_object(
+            'sales', b.sales,
+            'gross', b.gross,
+            'platform_fee', b.platform_fee,
+            'creator_net', b.creator_net
+          )
+        ) FILTER (WHERE b.currency IS NOT NULL),
+        '{}'::jsonb
+      ) AS revenue,
+      MAX(b.last_sale_at) AS last_sale_at
+    FROM marketplace_nfts n
+    LEFT JOIN by_currency b ON b.marketplace_nft_id = n.id
+    WHERE n.creator_wallet = $1
+    GROUP BY n.id
+    ORDER BY COALESCE(SUM(b.sales),0) DESC, n.created_at DESC
+    LIMIT $4 OFFSET $5
+    `,
+    [wallet, from, to, limit, offset]
+  );
+
+  return r.rows;
+}
+
+// Totals by currency plus a day/week time series (newest bucket first).
+export async function creatorEarnings(wallet, { from, to, limit, offset, interval = "day" }) {
+  const bucket = INTERVALS.has(interval) ? interval : "day";
+  const params = [wallet, from, to];
+
+  const filtered = `
+    SELECT o.currency, o.created_at, ${ORDER_AMOUNTS}
+    FROM orders o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE n.creator_wallet = $1 AND ${COUNTED_ORDERS}
+      AND ($2::timestamptz IS NULL OR o.created_at >= $2)
+      AND ($3::timestamptz IS NULL OR o.created_at < $3)
+  `;
+
+  const totals = await pool.query(
+    `
+    SELECT
+      currency,
+      COUNT(*)::int AS sales,
+      SUM(gross) AS gross,
+      SUM(platform_fee) AS platform_fee,
+      SUM(creator_net) AS creator_net
+    FROM (${filtered}) s
+    GROUP BY currency
+    ORDER BY currency
+    `,
+    params
+  );
+
+  const series = await pool.query(
+    `
+    SELECT
+      date_trunc('${bucket}', created_at) AS period,
+      currency,
+      COUNT(*)::int AS sales,
+      SUM(gross) AS gross,
+      SUM(platform_fee) AS platform_fee,
+      SUM(creator_net) AS creator_net
+    FROM (${filtered}) s
+    GROUP BY 1, currency
+    ORDER BY 1 DESC, currency
+    LIMIT $4 OFFSET $5
+    `,
+    [...params, limit, offset]
+  );
+
+  const inventory = await pool.query(
+    `
+    SELECT
+      COUNT(*)::int AS nfts,
+      COALESCE(SUM(GREATEST(COALESCE(quantity,0),0)),0)::int AS remaining,
+      COALESCE(SUM(COALESCE(sold_count,0)),0)::int AS sold
+    FROM marketplace_nfts
+    WHERE creator_wallet = $1
+    `,
+    [wallet]
+  );
+
+  return {
+    wallet,
+    from,
+    to,
+    interval: bucket,
+    totals: totals.rows,
+    series: series.rows,
+    inventory: inventory.rows[0]
+  };
+}
@@ -0,0 +1,159 @@
+import { pool } from "./db.js";
+
+// ------------------------------
+// CURRENCY REGISTRY
+// Accepted currencies live in `currencies` (code, ledger code, issuer,
+// decimals, display name) and per-NFT prices in `nft_prices`. Taking CFC
+// or any other issued token is a row, not a code change.
+// XRP is the one row without an issuer; its amounts are drops.
+// ------------------------------
+
+const REGISTRY_TTL_MS = 60_000;
+const XRP_DECIMALS = 6; // 1 XRP = 1,000,000 drops
+
+// legacy marketplace_nfts columns still read by the old frontend
+const LEGACY_PRICE_COLUMNS = { XRP: "price_xrp", RLUSD: "price_rlusd" };
+
+let registry = { ts: 0, rows: null };
+
+async function loadRegistry() {
+  if (registry.rows && Date.now() - registry.ts < REGISTRY_TTL_MS) return registry.rows;
+
+  const r = await pool.query("SELECT * FROM currencies ORDER BY sort_order ASC, code ASC");
+  registry = { ts: Date.now(), rows: r.rows };
+  return r.rows;
+}
+
+export function invalidateCurrencies() {
+  registry = { ts: 0, rows: null };
+}
+
+export async function listCurrencies({ includeDisabled = false } = {}) {
+  const rows = await loadRegistry();
+  return includeDisabled ? rows : rows.filter(c => c.enabled);
+}
+
+// enabled currency by code, or null
+export async function getCurrency(code) {
+  if (!code) return null;
+  const rows = await listCurrencies();
+  return rows.find(c => c.code === String(code).toUpperCase()) || null;
+}
+
+export function isNative(cur) {
+  return !cur.issuer;
+}
+
+// XRPL currency field: 3-char codes as-is, longer ones as 40-char hex
+export function toLedgerCode(code) {
+  if (code.length === 3) return code;
+  return Buffer.from(code, "ascii").toString("hex").toUpperCase().padEnd(40, "0");
+}
+
+function decimalsOf(cur) {
+  return isNative(cur) ? XRP_DECIMALS : Number(cur.decimals);
+}
+
+// ------------------------------
+// AMOUNTS
+// Money math runs on whole minor units (drops, or 10^-decimals of a token)
+// so splits never round past the price.
+// ------------------------------
+export function toUnits(cur, value) {
+  return Math.round(Number(value) * 10 ** decimalsOf(cur));
+}
+
+export function fromUnits(cur, units) {
+  return Number(units) / 10 ** decimalsOf(cur);
+}
+
+// XRPL Amount: drops string for XRP, { currency, issuer, value } for tokens
+export function ledgerAmount(cur, units) {
+  if (isNative(cur)) return String(units);
+
+  const fixed = fromUnits(cur, units).toFixed(decimalsOf(cur));
+  const value = fixed.includes(".") ? fixed.replace(/\.?0+$/, "") : fixed;
+
+  return {
+    currency: cur.ledger_code,
+    issuer: cur.issuer,
+    value
+  };
+}
+
+export function amountToUnits(cur, amount) {
+  if (typeof amount === "string") return Number(amount);
+  return toUnits(cur, amount?.value || 0);
+}
+
+// registry row for a ledger Amount, or null if we don't accept it
+export async function currencyForAmount(amount) {
+  const rows = await listCurrencies();
+
+  if (typeof amount === "string") return rows.find(isNative) || null;
+
+  return rows.find(c =>
+    !isNative(c) &&
+    c.issuer === amount?.issuer &&
+    (c.ledger_code === amount?.currency || c.code === amount?.currency)
+  ) || null;
+}
+
+// ------------------------------
+// NFT PRICES
+// ------------------------------
+export async function nftPrice(db, marketplaceNftId, code) {
+  const r = await db.query(
+    "SELECT amount FROM nft_prices WHERE marketplace_nft_id=$1 AND currency=$2",
+    [marketplaceNftId, String(code).toUpperCase()]
+  );
+  return r.rows[0]?.amount ?? null;
+}
+
+// { CODE: "amount", ... }
+export async function nftPrices(db, marketplaceNftId) {
+  const r = await db.query(
+    "SELECT currency, amount FROM nft_prices WHERE marketplace_nft_id=$1 ORDER BY currency",
+    [marketplaceNftId]
+  );
+  return Object.fromEntries(r.rows.map(row => [row.currency, row.amount]));
+}
+
+// null amount removes the price; XRP/RLUSD also mirror to the legacy columns
+export async function setNftPrice(db, marketplaceNftId, code, amount) {
+  const currency = String(code).toUpperCase();
+
+  if (amount === null) {
+    await db.query(
+      "DELETE FROM nft_prices WHERE marketplace_nft_id=$1 AND currency=$2",
+      [marketplaceNftId, currency]
+    );
+  } else {
+    await db.query(
+      `
+      INSERT INTO nft_prices (marketplace_nft_id, currency, amount)
+      VALUES ($1,$2,$3)
+      ON CONFLICT (marketplace_nft_id, currency)
+      DO UPDATE SET amount = EXCLUDED.amount, updated_at = NOW()
+      `,
+      [marketplaceNftId, currency, String(amount)]
+    );
+  }
+
+  const legacy = LEGACY_PRICE_COLUMNS[currency];
+  if (legacy) {
+    await db.query(
+      `UPDATE marketplace_nfts SET ${legacy}=$2 WHERE id=$1`,
+      [marketplaceNftId, amount === null ? null : String(amount)]
+    );
+  }
+}
+
+// sell offer Amount for the NFT's price in `code`, or null when unpriced
+export async function sellOfferAmount(db, marketplaceNftId, code) {
+  const cur = await getCurrency(code);
+  const price = cur ? await nftPrice(db, marketplaceNftId, cur.code) : null;
+  if (price === null) return null;
+
+  return ledgerAmount(cur, toUnits(cur, price));
+}
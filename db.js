@@ -0,0 +1,14 @@
+import pg from "pg";
+import dotenv from "dotenv";
+
+// modules import the pool before server.js runs its own dotenv.config()
+dotenv.config();
+
+const { Pool } = pg;
+
+// ------------------------------
+// DATABASE
+// ------------------------------
+export const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
@@ -0,0 +1,463 @@
+import axios from "axios";
+import net from "net";
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { ledgerError, xrplRequest } from "./xrplPool.js";
+
+// ------------------------------
+// FAUCET ANTI-ABUSE
+// Wraps the rewards engine's claim for the "faucet" rule. In order:
+//   denylist (wallet, ip / CIDR, fingerprint) → paused → fingerprint /
+//   captcha → wallet activated and old enough on the ledger → per-IP and
+//   per-fingerprint limits → global daily budget
+// The limits and the budget are checked inside the grant's transaction
+// under one advisory lock, so parallel claims can't slip past them. When a
+// claim would overrun the budget the faucet pauses itself until 00:00 UTC.
+// Every attempt, allowed or not, is a faucet_decisions row with its reason.
+//
+//   FAUCET_MAX_PER_IP=3  FAUCET_MAX_PER_FINGERPRINT=2   (grants per 24h; 0 = off)
+//   FAUCET_REQUIRE_FINGERPRINT=true                     (X-Client-Fingerprint header)
+//   FAUCET_MIN_ACCOUNT_AGE_HOURS=72                     (0 = activation check only;
+//                                                        defaults to 72 with a full-
+//                                                        history server, else 0)
+//   XRPL_FULL_HISTORY_URL=https://s2.ripple.com:51234   (JSON-RPC, for the age check)
+//   FAUCET_DAILY_BUDGET=10000                           (0 = off; faucet_settings overrides)
+//   FAUCET_CAPTCHA_SECRET / FAUCET_CAPTCHA_VERIFY_URL   (hCaptcha by default,
+//                                                        Turnstile's siteverify works too)
+// Per-IP limits need the real client address: set TRUST_PROXY behind a proxy.
+// ------------------------------
+
+export const FAUCET_RULE = "faucet";
+
+const MAX_PER_IP = Number(process.env.FAUCET_MAX_PER_IP ?? 3);
+const MAX_PER_FINGERPRINT = Number(process.env.FAUCET_MAX_PER_FINGERPRINT ?? 2);
+const REQUIRE_FINGERPRINT = process.env.FAUCET_REQUIRE_FINGERPRINT === "true";
+const FULL_HISTORY_URL = process.env.XRPL_FULL_HISTORY_URL;
+const MIN_ACCOUNT_AGE_HOURS = Number(process.env.FAUCET_MIN_ACCOUNT_AGE_HOURS ?? (FULL_HISTORY_URL ? 72 : 0));
+const DEFAULT_DAILY_BUDGET = Number(process.env.FAUCET_DAILY_BUDGET ?? 10000);
+const CAPTCHA_SECRET = process.env.FAUCET_CAPTCHA_SECRET;
+const CAPTCHA_VERIFY_URL = process.env.FAUCET_CAPTCHA_VERIFY_URL || "https://api.hcaptcha.com/siteverify";
+
+const LIMIT_WINDOW = "24 hours";
+const MAX_FINGERPRINT = 128;
+
+export const DENYLIST_KINDS = ["wallet", "ip", "fingerprint"];
+
+function block(status, reason, error, detail = null) {
+  return { status, reason, error, detail };
+}
+
+// ------------------------------
+// REQUEST CONTEXT
+// ------------------------------
+export function normaliseIp(raw) {
+  const ip = String(raw || "").replace(/^::ffff:/, "");
+  return net.isIP(ip) ? ip : null;
+}
+
+function cleanFingerprint(raw) {
+  const fp = String(raw || "").trim();
+  return fp ? fp.slice(0, MAX_FINGERPRINT) : null;
+}
+
+// what the guard needs from the HTTP request
+export function faucetRequestContext(req) {
+  return {
+    ip: req.ip,
+    fingerprint: req.get("x-client-fingerprint") || req.body?.fingerprint,
+    captchaToken: req.body?.captcha_token
+  };
+}
+
+// ------------------------------
+// CAPTCHA
+// A verifier is async (token, ip) → boolean. null = no captcha required.
+// ------------------------------
+async function siteVerify(token, ip) {
+  const form = new URLSearchParams({ secret: CAPTCHA_SECRET, response: token });
+  if (ip) form.set("remoteip", ip);
+
+  const r = await axios.post(CAPTCHA_VERIFY_URL, form, { timeout: 10 * 1000 });
+  return r.data?.success === true;
+}
+
+let captchaVerifier = CAPTCHA_SECRET ? siteVerify : null;
+
+export function setCaptchaVerifier(next) {
+  captchaVerifier = next;
+}
+
+// ------------------------------
+// SETTINGS (pause + budget)
+// ------------------------------
+
+// current settings with the effective budget; lifts an automatic pause once
+// its paused_until has passed
+export async function faucetSettings(db = pool) {
+  await db.query(
+    `
+    UPDATE faucet_settings
+    SET paused=false, paused_reason=NULL, paused_by=NULL, paused_at=NULL, paused_until=NULL, updated_at=NOW()
+    WHERE id=1 AND paused AND paused_until <= NOW()
+    `
+  );
+  const r = await db.query("SELECT * FROM faucet_settings WHERE id=1");
+  const s = r.rows[0] || { paused: false, daily_budget: null };
+  return { ...s, budget: s.daily_budget === null ? DEFAULT_DAILY_BUDGET : Number(s.daily_budget) };
+}
+
+async function autoPause(detail) {
+  await pool.query(
+    `
+    UPDATE faucet_settings
+    SET paused=true, paused_reason=$1, paused_by='budget', paused_at=NOW(),
+        paused_until = (date_trunc('day', NOW() AT TIME ZONE 'UTC') + INTERVAL '1 day') AT TIME ZONE 'UTC',
+        updated_at=NOW()
+    WHERE id=1 AND NOT paused
+    `,
+    [detail]
+  );
+  console.warn("FAUCET: paused until 00:00 UTC:", detail);
+}
+
+// faucet grants since 00:00 UTC that are paid or being paid
+async function spentToday(db) {
+  const r = await db.query(
+    `
+    SELECT COUNT(*)::int AS claims, COALESCE(SUM(g.amount), 0) AS amount
+    FROM reward_grants g
+    JOIN reward_rules r ON r.id = g.rule_id
+    WHERE r.key = $1
+      AND g.status IN ('PENDING','SENT')
+      AND g.created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+    `,
+    [FAUCET_RULE]
+  );
+  return { claims: r.rows[0].claims, amount: Number(r.rows[0].amount) };
+}
+
+// ------------------------------
+// CHECKS
+// Each returns null to continue, or block(...).
+// ------------------------------
+async function denylisted({ wallet, ip, fingerprint }) {
+  const r = await pool.query(
+    `
+    SELECT kind, value FROM faucet_denylist
+    WHERE removed_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+      AND (
+        (kind = 'wallet' AND value = $1)
+        OR (kind = 'fingerprint' AND value = $3)
+        OR (kind = 'ip' AND $2::inet IS NOT NULL AND $2::inet <<= value::inet)
+      )
+    LIMIT 1
+    `,
+    [wallet, ip, fingerprint]
+  );
+  const hit = r.rows[0];
+  return hit ? block(403, `denylisted_${hit.kind}`, "Faucet is not available", hit.value) : null;
+}
+
+async function pausedCheck() {
+  const s = await faucetSettings();
+  if (!s.paused) return null;
+  return {
+    ...block(503, "paused", "Faucet is paused; try again later", s.paused_reason),
+    retry_at: s.paused_until
+  };
+}
+
+async function captchaCheck({ ip }, token) {
+  if (!captchaVerifier) return null;
+  if (!token) return block(400, "captcha_missing", "Missing captcha_token");
+  return (await captchaVerifier(String(token), ip)) ? null : block(403, "captcha_failed", "Captcha verification failed");
+}
+
+// history lookups go to the full-history server when there is one
+async function historyRequest({ command, ...params }) {
+  if (!FULL_HISTORY_URL) return xrplRequest({ command, ...params });
+
+  const r = await axios.post(FULL_HISTORY_URL, { method: command, params: [params] }, { timeout: 15 * 1000 });
+  const result = r.data?.result;
+  if (!result || result.status === "error") {
+    const err = new Error(`XRPL ${command} failed: ${result?.error || r.status}`);
+    err.data = { error: result?.error };
+    throw err;
+  }
+  return { result };
+}
+
+// the account's creation time (ripple epoch seconds), or, when the server's
+// history starts after it, the close time of the server's first ledger as a
+// lower bound: { date, exact }
+async function accountCreated(wallet) {
+  const r = await historyRequest({
+    command: "account_tx",
+    account: wallet,
+    ledger_index_min: -1,
+    ledger_index_max: -1,
+    forward: true,
+    limit: 1
+  });
+
+  // an account's first transaction is the payment that created its AccountRoot
+  const first = r.result.transactions?.[0];
+  const created = first?.meta?.AffectedNodes?.some(n =>
+    n.CreatedNode?.LedgerEntryType === "AccountRoot" && n.CreatedNode.NewFields?.Account === wallet
+  );
+  const date = first?.tx?.date ?? first?.tx_json?.date;
+  if (created && date) return { date, exact: true };
+
+  // nothing (or no creation) in range: the account predates the server's history
+  const earliest = await historyRequest({ command: "ledger", ledger_index: r.result.ledger_index_min });
+  return { date: earliest.result.ledger.close_time, exact: false };
+}
+
+// activated, and older than MIN_ACCOUNT_AGE_HOURS
+async function accountCheck({ wallet }) {
+  try {
+    await xrplRequest({ command: "account_info", account: wallet, ledger_index: "validated" });
+  } catch (e) {
+    if (ledgerError(e) === "actNotFound") {
+      return block(403, "account_not_activated", "Wallet is not activated on the ledger");
+    }
+    throw e;
+  }
+
+  if (!MIN_ACCOUNT_AGE_HOURS) return null;
+
+  const { date, exact } = await accountCreated(wallet);
+  const ageHours = (Date.now() - xrpl.rippleTimeToUnixTime(date)) / 3600000;
+  if (ageHours >= MIN_ACCOUNT_AGE_HOURS) return null;
+
+  // only a lower bound, and not old enough to settle it
+  if (!exact) {
+    return block(403, "account_age_unknown", "Couldn't verify the wallet's age", `older than ${ageHours.toFixed(1)}h`);
+  }
+  return block(
+    403,
+    "account_too_new",
+    `Wallet must be at least ${MIN_ACCOUNT_AGE_HOURS} hours old`,
+    `age ${ageHours.toFixed(1)}h`
+  );
+}
+
+// inside the grant transaction, under the faucet lock
+async function limitsCheck(db, { ip, fingerprint }, rule) {
+  await db.query("SELECT pg_advisory_xact_lock(hashtext('faucet_guard'))");
+
+  const r = await db.query(
+    `
+    SELECT
+      COUNT(*) FILTER (WHERE $1::text IS NOT NULL AND ip = $1)::int AS by_ip,
+      COUNT(*) FILTER (WHERE $2::text IS NOT NULL AND fingerprint = $2)::int AS by_fingerprint
+    FROM faucet_decisions
+    WHERE allowed AND created_at > NOW() - $3::interval
+    `,
+    [ip, fingerprint, LIMIT_WINDOW]
+  );
+  const { by_ip, by_fingerprint } = r.rows[0];
+
+  if (MAX_PER_IP && by_ip >= MAX_PER_IP) {
+    return block(429, "ip_limit", "Too many faucet claims from this network; try again later", `${by_ip} in ${LIMIT_WINDOW}`);
+  }
+  if (MAX_PER_FINGERPRINT && by_fingerprint >= MAX_PER_FINGERPRINT) {
+    return block(429, "fingerprint_limit", "Too many faucet claims from this device; try again later", `${by_fingerprint} in ${LIMIT_WINDOW}`);
+  }
+
+  const { budget } = await faucetSettings(db);
+  if (budget) {
+    const spent = await spentToday(db);
+    if (spent.amount + Number(rule.amount) > budget) {
+      return block(503, "budget_exhausted", "Faucet is paused; try again later", `spent ${spent.amount} of ${budget} today`);
+    }
+  }
+  return null;
+}
+
+// ------------------------------
+// GUARD
+// ------------------------------
+async function insertDecision(db, { wallet, ip, fingerprint }, { allowed, reason = null, detail = null }) {
+  const r = await db.query(
+    `
+    INSERT INTO faucet_decisions (wallet, ip, fingerprint, allowed, reason, detail)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    RETURNING id
+    `,
+    [wallet, ip, fingerprint, allowed, reason, detail ? String(detail).slice(0, 500) : null]
+  );
+  return r.rows[0].id;
+}
+
+// refusals only: they don't count towards the limits, so a lost row is just a gap in the log
+async function logRefusal(who, decision) {
+  try {
+    await insertDecision(pool, who, { ...decision, allowed: false });
+  } catch (e) {
+    console.error("faucet decision log error:", e);
+  }
+}
+
+// The allowed row is what the limits count, so it's written in the grant's
+// transaction under the faucet lock: it commits (or rolls back) with the grant.
+async function limitsAndRecord(db, who, rule) {
+  const blocked = await limitsCheck(db, who, rule);
+  if (blocked) return { blocked };
+  return { decisionId: await insertDecision(db, who, { allowed: true }) };
+}
+
+// engine refusals, as decision reasons
+const CLAIM_REASONS = { 400: "invalid", 403: "not_eligible", 404: "unknown_rule", 429: "cooldown", 503: "not_configured" };
+
+// Runs the faucet checks around the engine's claim. `grant({ beforeGrant })`
+// performs the claim; beforeGrant(db) runs in its transaction. Returns the
+// claim's result, or { status, error } when blocked.
+export async function guardFaucetClaim({ rule, wallet, context = {} }, grant) {
+  const who = {
+    wallet,
+    ip: normaliseIp(context.ip),
+    fingerprint: cleanFingerprint(context.fingerprint)
+  };
+
+  let result;
+  let decisionId = null;
+  try {
+    result =
+      (await denylisted(who)) ||
+      (await pausedCheck()) ||
+      (REQUIRE_FINGERPRINT && !who.fingerprint ? block(400, "fingerprint_missing", "Missing device fingerprint") : null) ||
+      (await captchaCheck(who, context.captchaToken)) ||
+      (await accountCheck(who)) ||
+      (await grant({
+        beforeGrant: async db => {
+          const checked = await limitsAndRecord(db, who, rule);
+          decisionId = checked.decisionId ?? null;
+          return checked.blocked || null;
+        }
+      }));
+  } catch (e) {
+    await logRefusal(who, { reason: "error", detail: e?.message || String(e) });
+    throw e;
+  }
+
+  if (!result.error) {
+    await pool
+      .query("UPDATE faucet_decisions SET reward_grant_id=$2 WHERE id=$1", [decisionId, result.grant.id])
+      .catch(e => console.error("faucet decision link error:", e));
+    return result;
+  }
+
+  // preflight failures carry their own code (and a trustline fix) for the client
+  const { reason: guardReason, detail, ...refusal } = result;
+  const reason = guardReason || result.code || CLAIM_REASONS[result.status] || "rejected";
+  await logRefusal(who, { reason, detail: detail || result.error });
+  if (reason === "budget_exhausted") await autoPause(detail);
+
+  return refusal;
+}
+
+// ------------------------------
+// ADMIN VIEWS
+// ------------------------------
+
+// today's spend, the last 24h by outcome, and the busiest ips / fingerprints
+export async function faucetUsage() {
+  const [settings, today, reasons, ips, fingerprints] = await Promise.all([
+    faucetSettings(),
+    spentToday(pool),
+    pool.query(`
+      SELECT allowed, COALESCE(reason, 'allowed') AS reason, COUNT(*)::int AS count
+      FROM faucet_decisions
+      WHERE created_at > NOW() - INTERVAL '${LIMIT_WINDOW}'
+      GROUP BY 1, 2
+      ORDER BY count DESC
+    `),
+    pool.query(`
+      SELECT ip, COUNT(*) FILTER (WHERE allowed)::int AS allowed,
+             COUNT(*) FILTER (WHERE NOT allowed)::int AS blocked,
+             COUNT(DISTINCT wallet)::int AS wallets
+      FROM faucet_decisions
+      WHERE created_at > NOW() - INTERVAL '${LIMIT_WINDOW}' AND ip IS NOT NULL
+      GROUP BY ip
+      ORDER BY COUNT(*) DESC
+      LIMIT 20
+    `),
+    pool.query(`
+      SELECT fingerprint, COUNT(*) FILTER (WHERE allowed)::int AS allowed,
+             COUNT(*) FILTER (WHERE NOT allowed)::int AS blocked,
+             COUNT(DISTINCT wallet)::int AS wallets
+      FROM faucet_decisions
+      WHERE created_at > NOW() - INTERVAL '${LIMIT_WINDOW}' AND fingerprint IS NOT NULL
+      GROUP BY fingerprint
+      ORDER BY COUNT(*) DESC
+      LIMIT 20
+    `)
+  ]);
+
+  return {
+    settings,
+    limits: {
+      per_ip: MAX_PER_IP,
+      per_fingerprint: MAX_PER_FINGERPRINT,
+      window: LIMIT_WINDOW,
+      require_fingerprint: REQUIRE_FINGERPRINT,
+      min_account_age_hours: MIN_ACCOUNT_AGE_HOURS,
+      full_history: !!FULL_HISTORY_URL,
+      captcha: !!captchaVerifier
+    },
+    today: {
+      ...today,
+      budget: settings.budget,
+      remaining: settings.budget ? Math.max(settings.budget - today.amount, 0) : null
+    },
+    last_24h: reasons.rows,
+    top_ips: ips.rows,
+    top_fingerprints: fingerprints.rows
+  };
+}
+
+export async function listFaucetDecisions({ wallet, ip, fingerprint, reason, allowed, beforeId, limit }) {
+  const r = await pool.query(
+    `
+    SELECT *
+    FROM faucet_decisions
+    WHERE ($1::text IS NULL OR wallet = $1)
+      AND ($2::text IS NULL OR ip = $2)
+      AND ($3::text IS NULL OR fingerprint = $3)
+      AND ($4::text IS NULL OR reason = $4)
+      AND ($5::boolean IS NULL OR allowed = $5)
+      AND ($6::bigint IS NULL OR id < $6)
+    ORDER BY id DESC
+    LIMIT $7
+    `,
+    [wallet || null, ip || null, fingerprint || null, reason || null, allowed ?? null, beforeId || null, limit]
+  );
+  return r.rows;
+}
+
+export async function listDenylist() {
+  const r = await pool.query(`
+    SELECT * FROM faucet_denylist
+    WHERE removed_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+    ORDER BY id DESC
+  `);
+  return r.rows;
+}
+
+// validated denylist value for `kind`, or null
+export function denylistValue(kind, raw) {
+  const value = String(raw || "").trim();
+  if (kind === "wallet") return xrpl.isValidClassicAddress(value) ? value : null;
+  if (kind === "fingerprint") return value ? value.slice(0, MAX_FINGERPRINT) : null;
+  if (kind === "ip") {
+    const [addr, bits, extra] = value.split("/");
+    const family = net.isIP(addr);
+    if (!family || extra !== undefined) return null;
+    if (bits === undefined) return addr;
+    const n = Number(bits);
+    return Number.isInteger(n) && n >= 0 && n <= (family === 4 ? 32 : 128) ? `${addr}/${n}` : null;
+  }
+  return null;
+}
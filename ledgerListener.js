@@ -0,0 +1,355 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { openXrplConnection } from "./xrplPool.js";
+import { settleAuction } from "./auctions.js";
+import { brokerAddress } from "./brokeredSales.js";
+import { settleOfferSale } from "./offers.js";
+import { minterAddress } from "./mintJobs.js";
+import { onResaleOfferSigned, onResaleOffersCancelled, resaleSellers, settleResale } from "./resales.js";
+import { currencyForAmount } from "./currencies.js";
+import {
+  brokeredSaleFromTx,
+  findMarketplaceNftByToken,
+  findSellOffer,
+  mintedTokenIds,
+  offerIndexFromMeta,
+  recordMintedTokens,
+  recordOffersCancelled,
+  recordPurchase,
+  recordSellOffer
+} from "./marketRecords.js";
+
+// ------------------------------
+// XRPL LEDGER LISTENER
+// Subscribes to creator wallets, resale sellers, the platform minter and
+// platform accounts, and records validated NFT transactions through the
+// same writers as the Xaman webhook.
+// The last processed ledger is saved so a restart backfills the gap.
+// ------------------------------
+
+const LISTENER_ID = "default";
+const ACCOUNT_REFRESH_MS = 60_000; // pick up new creators every minute
+const BACKFILL_PAGE_LIMIT = 200;
+
+const NFT_TX_TYPES = new Set([
+  "NFTokenMint",
+  "NFTokenCreateOffer",
+  "NFTokenAcceptOffer",
+  "NFTokenCancelOffer"
+]);
+
+function platformAccounts() {
+  return String(process.env.XRPL_PLATFORM_ACCOUNTS || "")
+    .split(",")
+    .map(a => a.trim())
+    .filter(Boolean);
+}
+
+async function watchedAccounts() {
+  const r = await pool.query(`
+    SELECT DISTINCT creator_wallet
+    FROM marketplace_nfts
+    WHERE creator_wallet IS NOT NULL
+  `);
+
+  const accounts = new Set(platformAccounts());
+  if (brokerAddress()) accounts.add(brokerAddress());
+  if (minterAddress()) accounts.add(minterAddress());
+  for (const wallet of [...r.rows.map(row => row.creator_wallet), ...(await resaleSellers())]) {
+    if (xrpl.isValidClassicAddress(wallet)) accounts.add(wallet);
+  }
+  return [...accounts];
+}
+
+async function loadCursor() {
+  const r = await pool.query(
+    "SELECT last_ledger_index FROM ledger_listener_state WHERE id=$1",
+    [LISTENER_ID]
+  );
+  return r.rows.length ? Number(r.rows[0].last_ledger_index) : null;
+}
+
+async function saveCursor(ledgerIndex) {
+  await pool.query(
+    `
+    INSERT INTO ledger_listener_state (id, last_ledger_index, updated_at)
+    VALUES ($1,$2,NOW())
+    ON CONFLICT (id) DO UPDATE
+    SET last_ledger_index = GREATEST(ledger_listener_state.last_ledger_index, EXCLUDED.last_ledger_index),
+        updated_at = NOW()
+    `,
+    [LISTENER_ID, ledgerIndex]
+  );
+}
+
+// ------------------------------
+// TRANSACTION HANDLERS
+// ------------------------------
+async function handleMint(tx, meta) {
+  if (!tx.URI) return;
+
+  const uri = xrpl.convertHexToString(tx.URI);
+  const metadataCid = uri.replace(/^ipfs:\/\//, "");
+
+  // a listed NFT, or a submission the mint pipeline is still minting
+  const r = await pool.query(
+    `
+    SELECT submission_id
+    FROM (
+      SELECT submission_id, 0 AS source, id
+      FROM marketplace_nfts
+      WHERE metadata_cid = $1
+        AND submission_id IS NOT NULL
+      UNION ALL
+      SELECT submission_id, 1 AS source, id
+      FROM mint_jobs
+      WHERE uri = $2
+    ) s
+    ORDER BY source ASC, id ASC
+    LIMIT 1
+    `,
+    [metadataCid, uri]
+  );
+  if (!r.rows.length) return;
+
+  const minted = mintedTokenIds(meta);
+  if (minted.length) {
+    await recordMintedTokens(pool, r.rows[0].submission_id, minted);
+  }
+}
+
+async function handleCreateOffer(tx, meta) {
+  // only sell offers (tfSellNFToken) become listings
+  if (!(Number(tx.Flags) & 1) || !tx.NFTokenID) return;
+  // private offers to anyone but our broker can't be bought on the marketplace
+  if (tx.Destination && tx.Destination !== brokerAddress()) return;
+
+  const currency = (await currencyForAmount(tx.Amount))?.code;
+  const offerIndex = offerIndexFromMeta(meta);
+  if (!currency || !offerIndex) return;
+
+  const nft = await findMarketplaceNftByToken(pool, tx.NFTokenID);
+  if (!nft) return;
+
+  // a holder's resale listing going live
+  if (nft.creator_wallet !== tx.Account) {
+    if (!tx.Destination) {
+      await onResaleOfferSigned({ account: tx.Account, nftokenId: tx.NFTokenID, sellOfferIndex: offerIndex });
+    }
+    return;
+  }
+
+  await recordSellOffer(pool, {
+    marketplaceNftId: nft.id,
+    nftokenId: tx.NFTokenID,
+    sellOfferIndex: offerIndex,
+    currency,
+    destination: tx.Destination
+  });
+}
+
+async function handleAcceptOffer(tx, meta, hash) {
+  // creator accepting an auction bid or a buyer's offer (buy offer only)
+  if (!tx.NFTokenSellOffer) {
+    if (!tx.NFTokenBuyOffer) return;
+    await settleAuction({ buyOfferIndex: tx.NFTokenBuyOffer, txHash: hash });
+    await settleOfferSale({ buyOfferIndex: tx.NFTokenBuyOffer, txHash: hash });
+    return;
+  }
+
+  const offer = await findSellOffer(pool, tx.NFTokenSellOffer);
+  // not a listing: a holder's resale, or a buyer taking the creator's counter-offer
+  if (!offer) {
+    if (await settleResale({ sellOfferIndex: tx.NFTokenSellOffer, buyer: tx.Account, txHash: hash })) return;
+    await settleOfferSale({ sellOfferIndex: tx.NFTokenSellOffer, txHash: hash });
+    return;
+  }
+
+  // brokered match: buyer and fees come from the consumed buy offer
+  const brokered = tx.NFTokenBuyOffer ? brokeredSaleFromTx(tx, meta) : null;
+  if (tx.NFTokenBuyOffer && !brokered) return;
+
+  const client = await pool.connect();
+  try {
+    await recordPurchase(client, {
+      marketplaceNftId: offer.marketplace_nft_id,
+      buyer: brokered ? brokered.buyer : tx.Account,
+      currency: offer.currency,
+      txHash: hash,
+      sellOfferIndex: offer.sell_offer_index,
+      fees: brokered?.fees
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function handleTransaction(tx, meta, hash) {
+  if (!tx || !NFT_TX_TYPES.has(tx.TransactionType)) return;
+  if (meta?.TransactionResult !== "tesSUCCESS") return;
+
+  switch (tx.TransactionType) {
+    case "NFTokenMint":
+      return handleMint(tx, meta);
+    case "NFTokenCreateOffer":
+      return handleCreateOffer(tx, meta);
+    case "NFTokenAcceptOffer":
+      return handleAcceptOffer(tx, meta, hash || tx.hash);
+    case "NFTokenCancelOffer":
+      await onResaleOffersCancelled(tx.NFTokenOffers);
+      return recordOffersCancelled(pool, tx.NFTokenOffers);
+  }
+}
+
+// ------------------------------
+// LISTENER
+// ------------------------------
+// the listener keeps its own socket: subscriptions can't share the request pool
+export function startLedgerListener() {
+  let conn = null;
+  const subscribed = new Set();
+  let queue = Promise.resolve();
+  let refreshTimer = null;
+  let stopped = false;
+  // set when an entry fails: the cursor stays at or before it until a
+  // replay from the saved cursor gets through
+  let halted = false;
+
+  // every DB write goes through one queue, in ledger order
+  function enqueue(fn) {
+    queue = queue.then(fn).catch(e => console.error("ledger listener error:", e));
+    return queue;
+  }
+
+  // Entries after a failure are still handled (every writer is idempotent)
+  // but don't move the cursor, so the failed one is replayed.
+  async function processEntry(tx, meta, hash, ledgerIndex) {
+    try {
+      await handleTransaction(tx, meta, hash);
+    } catch (e) {
+      if (!halted) console.warn("LEDGER_LISTENER_HALTED", { ledgerIndex, hash });
+      halted = true;
+      throw e;
+    }
+    if (ledgerIndex && !halted) await saveCursor(ledgerIndex);
+  }
+
+  // stops at the first failure; the rest of the range comes back with the replay
+  async function backfill(accounts, fromLedger) {
+    const entries = new Map();
+
+    for (const account of accounts) {
+      let marker;
+      do {
+        const r = await request({
+          command: "account_tx",
+          account,
+          ledger_index_min: fromLedger,
+          ledger_index_max: -1,
+          forward: true,
+          limit: BACKFILL_PAGE_LIMIT,
+          marker
+        });
+
+        for (const t of r.result.transactions) {
+          if (!t.validated || !t.tx?.hash) continue;
+          entries.set(t.tx.hash, t);
+        }
+        marker = r.result.marker;
+      } while (marker);
+    }
+
+    const ordered = [...entries.values()].sort((a, b) =>
+      (a.tx.ledger_index - b.tx.ledger_index) ||
+      ((a.meta?.TransactionIndex ?? 0) - (b.meta?.TransactionIndex ?? 0))
+    );
+
+    for (const t of ordered) {
+      await processEntry(t.tx, t.meta, t.tx.hash, t.tx.ledger_index);
+    }
+
+    console.log("LEDGER_LISTENER_BACKFILLED", { fromLedger, transactions: ordered.length });
+  }
+
+  // replays from the saved cursor (that ledger included)
+  async function resume(accounts) {
+    halted = false;
+    try {
+      await backfill(accounts, await loadCursor());
+    } catch (e) {
+      halted = true;
+      throw e;
+    }
+  }
+
+  async function subscribe(accounts) {
+    const fresh = accounts.filter(a => !subscribed.has(a));
+    if (!fresh.length) return;
+
+    await request({ command: "subscribe", accounts: fresh });
+    fresh.forEach(a => subscribed.add(a));
+    console.log("LEDGER_LISTENER_SUBSCRIBED", { accounts: fresh.length });
+  }
+
+  async function sync() {
+    subscribed.clear();
+    const accounts = await watchedAccounts();
+    const cursor = await loadCursor();
+
+    // first run: start from the current validated ledger
+    if (cursor === null) {
+      const r = await request({ command: "ledger", ledger_index: "validated" });
+      await saveCursor(r.result.ledger_index);
+    } else {
+      enqueue(() => resume(accounts));
+    }
+
+    await subscribe(accounts);
+  }
+
+  // every request goes to the live socket; a dropped one fails the caller
+  // and the reconnect re-syncs
+  function request(req) {
+    if (!conn?.isConnected()) return Promise.reject(new Error("ledger listener is not connected"));
+    return conn.client.request(req);
+  }
+
+  // runs for the first socket and every one after a failover or reconnect
+  function onConnect(client) {
+    client.on("transaction", ev => {
+      if (!ev.validated) return;
+      enqueue(() => processEntry(ev.transaction, ev.meta, ev.transaction?.hash, ev.ledger_index));
+    });
+    client.on("error", (...args) => console.error("ledger listener xrpl error:", ...args));
+
+    sync().catch(e => console.error("ledger listener sync error:", e));
+  }
+
+  conn = openXrplConnection({ name: "ledger-listener", onConnect });
+
+  refreshTimer = setInterval(async () => {
+    if (stopped) return;
+    // every endpoint was down last time round: try them again
+    if (!conn.isConnected()) {
+      conn.ensure().catch(e => console.error("ledger listener connect error:", e.message));
+      return;
+    }
+    try {
+      const accounts = await watchedAccounts();
+      await subscribe(accounts);
+      // retry a halted range once a minute
+      if (halted) enqueue(() => resume(accounts));
+    } catch (e) {
+      console.error("ledger listener refresh error:", e);
+    }
+  }, ACCOUNT_REFRESH_MS);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearInterval(refreshTimer);
+      await queue;
+      await conn.close();
+    }
+  };
+}
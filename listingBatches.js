@@ -0,0 +1,379 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { accountNfts } from "./xrplPool.js";
+import { createPayload, getPayload, sellOfferPayload } from "./xaman.js";
+import { sellOfferAmount } from "./currencies.js";
+import { brokerAddress, brokeredSellAmount } from "./brokeredSales.js";
+
+// ------------------------------
+// BATCH LISTING (quantity > 1)
+// XRPL needs one NFTokenCreateOffer (one signature) per edition, so a batch
+// is a job that hands the creator one payload after another: each signed
+// offer (seen by the webhook) issues the next, pushed straight to the
+// creator's Xaman app once we know their user token. Progress is kept in
+// listing_batches / listing_batch_items.
+// ------------------------------
+
+// every edition in the creator's wallet whose URI is ipfs://<metadata_cid>
+export async function findEditions(creatorWallet, metadataCid) {
+  const expectedURI = xrpl.convertStringToHex(`ipfs://${metadataCid}`).toUpperCase();
+  const editions = [];
+  for await (const n of accountNfts(creatorWallet)) {
+    if (n.NFTokenID && n.URI?.toUpperCase() === expectedURI) {
+      editions.push(String(n.NFTokenID).toUpperCase());
+    }
+  }
+
+  return editions.sort();
+}
+
+// tokens that already have an OPEN offer (or are queued in a running batch)
+async function busyTokens(marketplaceNftId, currency) {
+  const r = await pool.query(
+    `
+    SELECT UPPER(nftoken_id) AS nftoken_id
+    FROM marketplace_sell_offers
+    WHERE marketplace_nft_id=$1 AND currency=$2 AND COALESCE(status,'OPEN')='OPEN'
+    UNION
+    SELECT UPPER(i.nftoken_id)
+    FROM listing_batch_items i
+    JOIN listing_batches b ON b.id = i.batch_id
+    WHERE b.marketplace_nft_id=$1 AND b.currency=$2
+      AND b.status='RUNNING' AND i.status IN ('PENDING','SENT')
+    `,
+    [marketplaceNftId, currency]
+  );
+  return new Set(r.rows.map(row => row.nftoken_id));
+}
+
+async function openOfferCount(marketplaceNftId, currency) {
+  const r = await pool.query(
+    `
+    SELECT COUNT(*)::int AS n
+    FROM marketplace_sell_offers
+    WHERE marketplace_nft_id=$1 AND currency=$2 AND COALESCE(status,'OPEN')='OPEN'
+    `,
+    [marketplaceNftId, currency]
+  );
+  return r.rows[0].n;
+}
+
+// Creates the job and issues the first payload.
+// Without `count`, lists enough editions for open offers to match quantity.
+// `brokered` lists every edition through the platform broker.
+export async function startListingBatch({ nft, currency, count, brokered = false }) {
+  if (!(await sellOfferAmount(pool, nft.id, currency))) {
+    return { error: `No ${currency} price set for this NFT` };
+  }
+
+  const open = await openOfferCount(nft.id, currency);
+  const wanted = count ? Number(count) : Number(nft.quantity || 0) - open;
+
+  if (!(wanted > 0)) {
+    return { error: "Open offers already match quantity" };
+  }
+
+  const busy = await busyTokens(nft.id, currency);
+  const free = (await findEditions(nft.creator_wallet, nft.metadata_cid)).filter(id => !busy.has(id));
+
+  if (!free.length) {
+    return { error: "No unlisted editions found on XRPL" };
+  }
+
+  const picked = free.slice(0, wanted);
+
+  const db = await pool.connect();
+  let batchId;
+  try {
+    await db.query("BEGIN");
+
+    const b = await db.query(
+      `
+      INSERT INTO listing_batches (marketplace_nft_id, currency, creator_wallet, requested, brokered)
+      VALUES ($1,$2,$3,$4,$5)
+      RETURNING id
+      `,
+      [nft.id, currency, nft.creator_wallet, picked.length, brokered]
+    );
+    batchId = b.rows[0].id;
+
+    for (const [position, nftokenId] of picked.entries()) {
+      await db.query(
+        "INSERT INTO listing_batch_items (batch_id, position, nftoken_id) VALUES ($1,$2,$3)",
+        [batchId, position, nftokenId]
+      );
+    }
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  await issueNextPayload(batchId);
+  return batchProgress(batchId);
+}
+
+// an item claimed this long ago without a payload lost its sender
+const CLAIM_TIMEOUT = "2 minutes";
+
+// Sends the payload for the next PENDING item unless one is already out.
+// Marks the batch COMPLETED when nothing is left. The item is claimed (SENT,
+// no payload yet) and committed before Xaman is called, so the batch row
+// isn't locked across the HTTP round trip; the payload is recorded after.
+export async function issueNextPayload(batchId) {
+  const claim = await claimNextItem(batchId);
+  if (!claim?.amount) return claim?.item || null;
+
+  const { batch, item, amount } = claim;
+  let xumm;
+  try {
+    xumm = await createPayload(sellOfferPayload({
+      account: batch.creator_wallet,
+      nftokenId: item.nftoken_id,
+      amount,
+      destination: batch.brokered ? brokerAddress() : undefined,
+      blob: {
+        marketplace_nft_id: batch.marketplace_nft_id,
+        currency: batch.currency,
+        batch_id: batch.id,
+        batch_item_id: item.id
+      },
+      returnTo: "creator",
+      userToken: batch.user_token
+    }));
+  } catch (e) {
+    // hand the item back so the next call retries it
+    await pool.query(
+      `
+      UPDATE listing_batch_items SET status='PENDING', updated_at=NOW()
+      WHERE id=$1 AND status='SENT' AND payload_uuid IS NULL
+      `,
+      [item.id]
+    );
+    throw e;
+  }
+
+  const u = await pool.query(
+    `
+    UPDATE listing_batch_items
+    SET payload_uuid=$2, link=$3, updated_at=NOW()
+    WHERE id=$1 AND status='SENT' AND payload_uuid IS NULL
+    RETURNING *
+    `,
+    [item.id, xumm.uuid, xumm.link]
+  );
+  await pool.query("UPDATE listing_batches SET updated_at=NOW() WHERE id=$1", [batchId]);
+  return u.rows[0] || null;
+}
+
+// { item } when one is already out, { batch, item, amount } for a fresh
+// claim, null when the batch isn't running or just completed
+async function claimNextItem(batchId) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    const b = await db.query(
+      `
+      SELECT *
+      FROM listing_batches
+      WHERE id=$1
+      FOR UPDATE
+      `,
+      [batchId]
+    );
+    const batch = b.rows[0];
+    if (!batch || batch.status !== "RUNNING") {
+      await db.query("ROLLBACK");
+      return null;
+    }
+
+    const sent = await db.query(
+      `
+      SELECT *,
+        payload_uuid IS NULL AND updated_at < NOW() - $2::interval AS stalled
+      FROM listing_batch_items
+      WHERE batch_id=$1 AND status='SENT'
+      `,
+      [batchId, CLAIM_TIMEOUT]
+    );
+    let item = sent.rows[0];
+    if (item && !item.stalled) {
+      await db.query("COMMIT");
+      return { item };
+    }
+
+    if (!item) {
+      const next = await db.query(
+        `
+        SELECT * FROM listing_batch_items
+        WHERE batch_id=$1 AND status='PENDING'
+        ORDER BY position ASC
+        LIMIT 1
+        `,
+        [batchId]
+      );
+
+      if (!next.rows.length) {
+        await db.query(
+          "UPDATE listing_batches SET status='COMPLETED', updated_at=NOW() WHERE id=$1",
+          [batchId]
+        );
+        await db.query("COMMIT");
+        return null;
+      }
+      item = next.rows[0];
+    }
+
+    const amount = batch.brokered
+      ? await brokeredSellAmount(db, batch.marketplace_nft_id, batch.currency)
+      : await sellOfferAmount(db, batch.marketplace_nft_id, batch.currency);
+    if (!amount) throw new Error(`No ${batch.currency} price for marketplace NFT ${batch.marketplace_nft_id}`);
+
+    const claimed = await db.query(
+      `
+      UPDATE listing_batch_items
+      SET status='SENT', payload_uuid=NULL, link=NULL, updated_at=NOW()
+      WHERE id=$1
+      RETURNING *
+      `,
+      [item.id]
+    );
+    await db.query("COMMIT");
+    return { batch, item: claimed.rows[0], amount };
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+// webhook: a batch sell offer was signed and recorded
+export async function onBatchOfferSigned({ batchItemId, sellOfferIndex, userToken }) {
+  const r = await pool.query(
+    `
+    UPDATE listing_batch_items
+    SET status='LISTED', sell_offer_index=$2, updated_at=NOW()
+    WHERE id=$1 AND status IN ('PENDING','SENT')
+    RETURNING batch_id
+    `,
+    [batchItemId, sellOfferIndex]
+  );
+  if (!r.rows.length) return;
+
+  const batchId = r.rows[0].batch_id;
+  if (userToken) {
+    await pool.query(
+      "UPDATE listing_batches SET user_token=$2, updated_at=NOW() WHERE id=$1",
+      [batchId, userToken]
+    );
+  }
+
+  await issueNextPayload(batchId);
+}
+
+// Catches up the outstanding item if its webhook never arrived:
+// signed + offer recorded → LISTED, rejected/expired → SKIPPED.
+async function refreshSentItem(batchId) {
+  const sent = await pool.query(
+    "SELECT * FROM listing_batch_items WHERE batch_id=$1 AND status='SENT'",
+    [batchId]
+  );
+  const item = sent.rows[0];
+  if (!item) return;
+  // claimed but its payload never got recorded: reissue once the claim lapses
+  if (!item.payload_uuid) {
+    await issueNextPayload(batchId);
+    return;
+  }
+
+  const payload = await getPayload(item.payload_uuid);
+  if (!payload?.meta?.resolved && !payload?.meta?.expired && !payload?.meta?.cancelled) return;
+
+  if (payload.meta.signed) {
+    const offer = await pool.query(
+      `
+      SELECT o.sell_offer_index
+      FROM marketplace_sell_offers o
+      JOIN listing_batches b ON b.marketplace_nft_id = o.marketplace_nft_id
+      WHERE b.id=$1 AND UPPER(o.nftoken_id)=UPPER($2) AND o.currency=b.currency
+      `,
+      [batchId, item.nftoken_id]
+    );
+    // offer not recorded yet: leave it SENT, the listener will catch it
+    if (!offer.rows.length) return;
+
+    await onBatchOfferSigned({
+      batchItemId: item.id,
+      sellOfferIndex: offer.rows[0].sell_offer_index,
+      userToken: payload.application?.issued_user_token
+    });
+    return;
+  }
+
+  await pool.query(
+    "UPDATE listing_batch_items SET status='SKIPPED', error=$2, updated_at=NOW() WHERE id=$1",
+    [item.id, payload.meta.expired ? "payload expired" : "rejected in Xaman"]
+  );
+  await issueNextPayload(batchId);
+}
+
+export async function batchProgress(batchId, { refresh = false } = {}) {
+  if (refresh) await refreshSentItem(batchId);
+
+  const b = await pool.query(
+    `
+    SELECT b.*, m.quantity
+    FROM listing_batches b
+    JOIN marketplace_nfts m ON m.id = b.marketplace_nft_id
+    WHERE b.id=$1
+    `,
+    [batchId]
+  );
+  if (!b.rows.length) return null;
+
+  const batch = b.rows[0];
+  const items = await pool.query(
+    `
+    SELECT id, position, nftoken_id, status, sell_offer_index, link, error
+    FROM listing_batch_items
+    WHERE batch_id=$1
+    ORDER BY position ASC
+    `,
+    [batchId]
+  );
+
+  const counts = { PENDING: 0, SENT: 0, LISTED: 0, SKIPPED: 0 };
+  for (const i of items.rows) counts[i.status] = (counts[i.status] || 0) + 1;
+
+  return {
+    id: batch.id,
+    marketplace_nft_id: batch.marketplace_nft_id,
+    currency: batch.currency,
+    brokered: batch.brokered,
+    creator_wallet: batch.creator_wallet,
+    status: batch.status,
+    requested: batch.requested,
+    counts,
+    next_link: items.rows.find(i => i.status === "SENT")?.link || null,
+    quantity: batch.quantity,
+    open_offers: await openOfferCount(batch.marketplace_nft_id, batch.currency),
+    items: items.rows
+  };
+}
+
+export async function cancelListingBatch(batchId) {
+  const r = await pool.query(
+    `
+    UPDATE listing_batches
+    SET status='CANCELLED', updated_at=NOW()
+    WHERE id=$1 AND status='RUNNING'
+    `,
+    [batchId]
+  );
+  return r.rowCount > 0;
+}
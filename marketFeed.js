@@ -0,0 +1,268 @@
+import { pool } from "./db.js";
+import { getCurrency } from "./currencies.js";
+
+// ------------------------------
+// MARKET FEED
+// Filtered, searchable listing of live marketplace NFTs with keyset
+// (cursor) pagination. market=primary is the creator's own listings,
+// secondary is holder resales (resale_listings), all is either. Each sort has a text sort key plus the row id as
+// tie-breaker; the cursor is that pair, base64url-encoded.
+// ------------------------------
+
+const FEED_TTL_MS = 10_000; // 10 seconds
+const FEED_CACHE_MAX = 500;
+const DEFAULT_LIMIT = 48;
+const MAX_LIMIT = 100;
+
+// sort → [sort key expression, cast for the cursor value, direction]
+const SORTS = {
+  newest: ["n.created_at", "timestamp", "DESC"],
+  price_asc: ["price.amount", "numeric", "ASC"],
+  price_desc: ["price.amount", "numeric", "DESC"],
+  best_selling: ["COALESCE(n.sold_count,0)", "int", "DESC"]
+};
+
+const MARKETS = ["all", "primary", "secondary"];
+
+// an edition is on the primary market until it sells out; the secondary
+// market is any open holder listing
+const PRIMARY_LISTED = "n.sold = false";
+const SECONDARY_LISTED = `EXISTS (
+  SELECT 1 FROM resale_listings rl
+  WHERE rl.marketplace_nft_id = n.id AND rl.status = 'OPEN'
+)`;
+
+// full-text document; matches the GIN index in migration 013
+const SEARCH_DOCUMENT = "to_tsvector('simple', COALESCE(n.name,'') || ' ' || COALESCE(n.description,''))";
+
+// ------------------------------
+// CACHE (keyed per normalized query)
+// ------------------------------
+const feedCache = new Map();
+
+export function invalidateMarketFeed() {
+  feedCache.clear();
+}
+
+function cached(key) {
+  const hit = feedCache.get(key);
+  if (hit && Date.now() - hit.ts < FEED_TTL_MS) return hit.data;
+  if (hit) feedCache.delete(key);
+  return null;
+}
+
+function remember(key, data) {
+  // Map keeps insertion order: drop the oldest entry when full
+  if (feedCache.size >= FEED_CACHE_MAX) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+  feedCache.set(key, { ts: Date.now(), data });
+}
+
+// ------------------------------
+// QUERY PARSING
+// ------------------------------
+function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (key === undefined || !Number.isInteger(id)) return null;
+    return { key: String(key), id };
+  } catch {
+    return null;
+  }
+}
+
+function optionalNumber(raw) {
+  if (raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Parses /api/market/all query params. Returns { error } on bad input.
+export async function parseFeedQuery(query) {
+  const sort = query.sort ? String(query.sort) : "newest";
+  if (!SORTS[sort]) {
+    return { error: `sort must be one of ${Object.keys(SORTS).join(", ")}` };
+  }
+
+  let currency = null;
+  if (query.currency) {
+    const cur = await getCurrency(query.currency);
+    if (!cur) return { error: "Unsupported currency" };
+    currency = cur.code;
+  }
+
+  const minPrice = optionalNumber(query.min_price);
+  const maxPrice = optionalNumber(query.max_price);
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+    return { error: "Invalid price" };
+  }
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: "min_price must not exceed max_price" };
+  }
+  if (!currency && (minPrice !== null || maxPrice !== null || sort.startsWith("price_"))) {
+    return { error: "Price filters and sorts need a currency" };
+  }
+
+  const market = query.market ? String(query.market) : "all";
+  if (!MARKETS.includes(market)) {
+    return { error: `market must be one of ${MARKETS.join(", ")}` };
+  }
+
+  let soldOut = null;
+  if (query.sold_out !== undefined && query.sold_out !== "") {
+    if (!["true", "false"].includes(String(query.sold_out))) {
+      return { error: "sold_out must be true or false" };
+    }
+    soldOut = String(query.sold_out) === "true";
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return {
+    q: query.q ? String(query.q).trim().slice(0, 200) || null : null,
+    category: query.category ? String(query.category) : null,
+    creator: query.creator ? String(query.creator) : null,
+    currency,
+    minPrice,
+    maxPrice,
+    soldOut,
+    market,
+    sort,
+    limit: Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    cursor
+  };
+}
+
+// ------------------------------
+// FEED
+// ------------------------------
+
+// Returns { items, next_cursor }; next_cursor is null on the last page.
+// limit: null returns every matching row (legacy unpaginated feed).
+export async function marketFeed(params) {
+  const key = JSON.stringify(params);
+  const hit = cached(key);
+  if (hit) return hit;
+
+  const [sortExpr, sortCast, dir] = SORTS[params.sort];
+  const values = [];
+  const arg = v => {
+    values.push(v);
+    return `$${values.length}`;
+  };
+
+  const market = params.market || "all";
+  const where = [
+    "n.minted = true",
+    market === "primary" ? PRIMARY_LISTED
+      : market === "secondary" ? SECONDARY_LISTED
+        : `(${PRIMARY_LISTED} OR ${SECONDARY_LISTED})`,
+    "COALESCE(n.is_delisted, false) = false"
+  ];
+
+  // price filters/sorts read the price in the chosen currency: the primary
+  // price, the lowest open resale, or (market=all) whichever is lower
+  let priceJoin = "";
+  if (params.currency) {
+    const cur = arg(params.currency);
+    const primary = `(
+      SELECT pr.amount FROM nft_prices pr
+      WHERE pr.marketplace_nft_id = n.id AND pr.currency = ${cur}
+    )`;
+    const secondary = `(
+      SELECT MIN(rl.price) FROM resale_listings rl
+      WHERE rl.marketplace_nft_id = n.id AND rl.status = 'OPEN' AND rl.currency = ${cur}
+    )`;
+    const amount = market === "primary" ? primary
+      : market === "secondary" ? secondary
+        : `LEAST(CASE WHEN ${PRIMARY_LISTED} THEN ${primary} END, ${secondary})`;
+    priceJoin = `JOIN LATERAL (SELECT ${amount} AS amount) price ON price.amount IS NOT NULL`;
+  }
+
+  if (params.q) where.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', ${arg(params.q)})`);
+  if (params.category) where.push(`LOWER(n.category) = LOWER(${arg(params.category)})`);
+  if (params.creator) where.push(`n.creator_wallet = ${arg(params.creator)}`);
+  if (params.minPrice !== null) where.push(`price.amount >= ${arg(params.minPrice)}`);
+  if (params.maxPrice !== null) where.push(`price.amount <= ${arg(params.maxPrice)}`);
+  if (params.soldOut !== null) {
+    where.push(`(GREATEST(COALESCE(n.quantity,0),0)=0) = ${arg(params.soldOut)}`);
+  }
+  if (params.cursor) {
+    const op = dir === "DESC" ? "<" : ">";
+    where.push(
+      `(${sortExpr}, n.id) ${op} (${arg(params.cursor.key)}::${sortCast}, ${arg(params.cursor.id)}::int)`
+    );
+  }
+
+  // one extra row tells us whether there's a next page
+  const limitClause = params.limit === null ? "" : `LIMIT ${arg(params.limit + 1)}`;
+
+  const r = await pool.query(
+    `
+    SELECT
+      n.*,
+      n.quantity AS quantity_remaining,
+      (GREATEST(COALESCE(n.quantity,0),0)=0) AS sold_out,
+      (
+        SELECT COUNT(*)
+        FROM marketplace_sell_offers o
+        WHERE o.marketplace_nft_id = n.id
+          AND o.currency = 'XRP'
+          AND COALESCE(o.status,'OPEN')='OPEN'
+      )::int AS xrp_open_offers,
+      (
+        SELECT COALESCE(jsonb_object_agg(pr.currency, pr.amount), '{}'::jsonb)
+        FROM nft_prices pr
+        JOIN currencies c ON c.code = pr.currency AND c.enabled
+        WHERE pr.marketplace_nft_id = n.id
+      ) AS prices,
+      (
+        SELECT COALESCE(jsonb_object_agg(x.currency, x.n), '{}'::jsonb)
+        FROM (
+          SELECT o.currency, COUNT(*)::int AS n
+          FROM marketplace_sell_offers o
+          WHERE o.marketplace_nft_id = n.id
+            AND COALESCE(o.status,'OPEN')='OPEN'
+          GROUP BY o.currency
+        ) x
+      ) AS open_offers,
+      (
+        SELECT COALESCE(jsonb_object_agg(x.currency, jsonb_build_object('listings', x.n, 'lowest', x.lowest)), '{}'::jsonb)
+        FROM (
+          SELECT rl.currency, COUNT(*)::int AS n, MIN(rl.price) AS lowest
+          FROM resale_listings rl
+          WHERE rl.marketplace_nft_id = n.id
+            AND rl.status = 'OPEN'
+          GROUP BY rl.currency
+        ) x
+      ) AS resale_listings,
+      (${sortExpr})::text AS sort_key
+    FROM marketplace_nfts n
+    ${priceJoin}
+    WHERE ${where.join("\n      AND ")}
+    ORDER BY ${sortExpr} ${dir}, n.id ${dir}
+    ${limitClause}
+    `,
+    values
+  );
+
+  const hasMore = params.limit !== null && r.rows.length > params.limit;
+  const rows = hasMore ? r.rows.slice(0, params.limit) : r.rows;
+  const last = rows[rows.length - 1];
+  const data = {
+    items: rows.map(({ sort_key, ...row }) => row),
+    next_cursor: hasMore ? encodeCursor(last.sort_key, last.id) : null
+  };
+
+  remember(key, data);
+  return data;
+}
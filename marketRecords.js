@@ -0,0 +1,360 @@
+import xrpl from "xrpl";
+import { getCurrency, nftPrice, setNftPrice } from "./currencies.js";
+import { notifyCreator } from "./notifications.js";
+import { emitWebhookEvent } from "./partnerWebhooks.js";
+
+// ------------------------------
+// MARKET RECORDS
+// Shared DB writers for mints, sell offers, cancels and purchases.
+// The Xaman webhook and the XRPL ledger listener both go through these,
+// so an event is recorded the same way whichever one sees it first.
+// ------------------------------
+
+// ledger Amount as a number of XRP / tokens
+export function amountValue(amount) {
+  if (typeof amount === "string") return Number(amount) / 1_000_000;
+  return Number(amount?.value || 0);
+}
+
+// ledger index of the NFTokenOffer created (or touched) by a NFTokenCreateOffer
+export function offerIndexFromMeta(meta) {
+  if (meta?.offer_id) return meta.offer_id;
+
+  const nodes = meta?.AffectedNodes || [];
+  return (
+    nodes.find(n => n.CreatedNode?.LedgerEntryType === "NFTokenOffer")
+      ?.CreatedNode?.LedgerIndex ||
+    nodes.find(n => n.ModifiedNode?.LedgerEntryType === "NFTokenOffer")
+      ?.ModifiedNode?.LedgerIndex ||
+    null
+  );
+}
+
+// NFTokenIDs added to the owner's pages by a NFTokenMint
+export function mintedTokenIds(meta) {
+  if (meta?.nftoken_id) return [meta.nftoken_id];
+
+  const id = xrpl.getNFTokenID(meta);
+  return id ? [id] : [];
+}
+
+// Buyer and fee breakdown of a brokered NFTokenAcceptOffer (both offers set).
+// The buyer is the buy offer's owner, not tx.Account (the broker).
+export function brokeredSaleFromTx(tx, meta) {
+  const deleted = (meta?.AffectedNodes || [])
+    .map(n => n.DeletedNode)
+    .filter(n => n?.LedgerEntryType === "NFTokenOffer");
+  const buyOffer = deleted.find(n => n.LedgerIndex === tx.NFTokenBuyOffer)?.FinalFields;
+  if (!buyOffer) return null;
+
+  const gross = amountValue(buyOffer.Amount);
+  const platformFee = tx.NFTokenBrokerFee ? amountValue(tx.NFTokenBrokerFee) : 0;
+
+  return {
+    buyer: buyOffer.Owner,
+    fees: { gross, platformFee, creatorNet: gross - platformFee }
+  };
+}
+
+// marketplace_nfts row a token belongs to, via nftoken_id or its submission's nftoken_ids
+export async function findMarketplaceNftByToken(db, nftokenId) {
+  const r = await db.query(
+    `
+    SELECT m.*
+    FROM marketplace_nfts m
+    LEFT JOIN submissions s ON s.id = m.submission_id
+    WHERE UPPER(m.nftoken_id) = UPPER($1)
+       OR COALESCE(s.nftoken_ids, '[]'::jsonb) ? UPPER($1)
+    ORDER BY m.id ASC
+    LIMIT 1
+    `,
+    [String(nftokenId)]
+  );
+  return r.rows[0] || null;
+}
+
+export async function findSellOffer(db, sellOfferIndex) {
+  const r = await db.query(
+    "SELECT * FROM marketplace_sell_offers WHERE sell_offer_index=$1",
+    [String(sellOfferIndex)]
+  );
+  return r.rows[0] || null;
+}
+
+// oldest OPEN offer a buyer can take; brokered offers with a checkout
+// in flight are held back for 10 minutes
+export async function findOpenSellOffer(db, marketplaceNftId, currency) {
+  const r = await db.query(
+    `
+    SELECT o.*
+    FROM marketplace_sell_offers o
+    WHERE o.marketplace_nft_id = $1
+      AND o.currency = $2
+      AND COALESCE(o.status,'OPEN') = 'OPEN'
+      AND NOT EXISTS (
+        SELECT 1 FROM brokered_sales b
+        WHERE b.sell_offer_index = o.sell_offer_index
+          AND (
+            b.status IN ('QUEUED','MATCHING')
+            OR (b.status = 'AWAITING_BUY' AND b.created_at > NOW() - INTERVAL '10 minutes')
+          )
+      )
+    ORDER BY o.created_at ASC
+    LIMIT 1
+    `,
+    [marketplaceNftId, currency]
+  );
+  return r.rows[0] || null;
+}
+
+// ------------------------------
+// MINT
+// ------------------------------
+// "12.5", "12.5 XRP", 12.5 → number (NaN when missing)
+export function parsePrice(raw) {
+  if (!raw) return NaN;
+  if (typeof raw === "number") return raw;
+  const cleaned = raw.replace(/[^0-9.]/g, "");
+  return Number(cleaned);
+}
+
+// Inserts a minted marketplace_nfts row plus its registry prices
+// ({ CODE: amount } and the legacy price_xrp / price_rlusd fields).
+// Returns the new id, or null if nothing was inserted.
+export async function createMarketplaceNft(db, nft) {
+  const inserted = await db.query(
+    `
+    INSERT INTO marketplace_nfts
+    (
+      submission_id,
+      name,
+      description,
+      category,
+      image_cid,
+      metadata_cid,
+      price_xrp,
+      price_rlusd,
+      creator_wallet,
+      terms,
+      website,
+      quantity,
+      minted
+    )
+    VALUES
+    ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,true)
+    ON CONFLICT DO NOTHING
+    RETURNING id
+    `,
+    [
+      nft.submission_id,
+      nft.name,
+      nft.description || "",
+      nft.category || "all",
+      nft.image_cid || null,
+      nft.metadata_cid,
+      nft.price_xrp || null,
+      nft.price_rlusd || null,
+      nft.creator_wallet,
+      nft.terms || "",
+      nft.website || "",
+      Number(nft.quantity || 1)
+    ]
+  );
+  if (!inserted.rows.length) return null;
+
+  const id = inserted.rows[0].id;
+  const all = { XRP: nft.price_xrp, RLUSD: nft.price_rlusd, ...(nft.prices || {}) };
+  for (const [code, raw] of Object.entries(all)) {
+    const amount = parsePrice(raw);
+    if (amount > 0 && (await getCurrency(code))) {
+      await setNftPrice(db, id, code, String(amount));
+    }
+  }
+  return id;
+}
+
+export async function recordMintedTokens(db, submissionId, nftokenIds) {
+  for (const id of nftokenIds) {
+    await db.query(
+      `
+      UPDATE submissions
+      SET nftoken_ids = COALESCE(nftoken_ids, '[]'::jsonb) || jsonb_build_array($1::text)
+      WHERE id = $2
+        AND NOT COALESCE(nftoken_ids, '[]'::jsonb) ? $1
+      `,
+      [String(id).toUpperCase(), submissionId]
+    );
+  }
+}
+
+// ------------------------------
+// SELL OFFER
+// ------------------------------
+// `destination` is the broker account for brokered listings
+export async function recordSellOffer(db, { marketplaceNftId, nftokenId, sellOfferIndex, currency, destination }) {
+  const r = await db.query(
+    `
+    INSERT INTO marketplace_sell_offers
+      (marketplace_nft_id, nftoken_id, sell_offer_index, currency, status, destination)
+    VALUES ($1,$2,$3,$4,'OPEN',$5)
+    ON CONFLICT DO NOTHING
+    `,
+    [
+      marketplaceNftId,
+      String(nftokenId),
+      String(sellOfferIndex),
+      currency || "XRP",
+      destination || null
+    ]
+  );
+  return r.rowCount > 0;
+}
+
+export async function recordOffersCancelled(db, offerIndexes) {
+  if (!offerIndexes?.length) return 0;
+
+  const r = await db.query(
+    `
+    UPDATE marketplace_sell_offers
+    SET status='CANCELLED'
+    WHERE sell_offer_index = ANY($1::text[])
+      AND COALESCE(status,'OPEN') = 'OPEN'
+    `,
+    [offerIndexes.map(String)]
+  );
+  return r.rowCount;
+}
+
+// ------------------------------
+// PURCHASE
+// `client` must be a dedicated pool client: this runs its own transaction.
+// Returns true when a new order was written.
+// `fees` ({ gross, platformFee, creatorNet }) comes from brokered sales;
+// a direct sale is gross = creator net, no platform fee.
+// `price` overrides the NFT's list price and `saleMode` the order label
+// (auctions sell at the winning bid).
+// ------------------------------
+export async function recordPurchase(client, { marketplaceNftId, buyer, currency, txHash, sellOfferIndex, fees, price: salePrice, saleMode }) {
+  await client.query("BEGIN");
+
+  try {
+    const offer = sellOfferIndex ? await findSellOffer(client, sellOfferIndex) : null;
+    const nftId = marketplaceNftId || offer?.marketplace_nft_id;
+    const payCurrency = currency || offer?.currency || "XRP";
+
+    const nftRes = await client.query(
+      "SELECT * FROM marketplace_nfts WHERE id=$1 FOR UPDATE",
+      [nftId]
+    );
+
+    if (!nftRes.rows.length) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    // A tracked offer only moves inventory while it is still OPEN: once the
+    // reconciler has marked it USED it already counted this sale.
+    let counts = !offer;
+    if (offer) {
+      const used = await client.query(
+        `
+        UPDATE marketplace_sell_offers
+        SET status='USED'
+        WHERE sell_offer_index=$1 AND COALESCE(status,'OPEN')='OPEN'
+        `,
+        [String(sellOfferIndex)]
+      );
+      counts = used.rowCount > 0;
+    }
+
+    if (counts && nftRes.rows[0].quantity <= 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    const nft = nftRes.rows[0];
+    const price = salePrice ?? (await nftPrice(client, nft.id, payCurrency)) ?? fees?.gross ?? 0;
+    const split = fees || { gross: price, platformFee: 0, creatorNet: price };
+
+    const inserted = await client.query(
+      `
+      INSERT INTO orders
+        (marketplace_nft_id, buyer_wallet, price, currency, tx_hash,
+         sale_mode, gross_amount, platform_fee, creator_net, nftoken_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+      `,
+      [
+        nft.id,
+        buyer,
+        price,
+        payCurrency,
+        txHash,
+        saleMode || (fees ? "BROKERED" : "DIRECT"),
+        split.gross,
+        split.platformFee,
+        split.creatorNet,
+        offer?.nftoken_id || null
+      ]
+    );
+
+    if (inserted.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    await client.query(
+      "INSERT INTO order_events (order_id, to_status, actor) VALUES ($1,'PAID','system')",
+      [inserted.rows[0].id]
+    );
+
+    await notifyCreator(client, nft.creator_wallet, {
+      template: "edition_sold",
+      data: {
+        order_id: inserted.rows[0].id,
+        name: nft.name,
+        price: String(price),
+        currency: payCurrency,
+        buyer_wallet: buyer,
+        quantity_remaining: counts ? nft.quantity - 1 : nft.quantity,
+        tx_hash: txHash || null
+      },
+      dedupeKey: `edition_sold:${inserted.rows[0].id}`
+    });
+
+    await emitWebhookEvent(client, {
+      type: "order.paid",
+      creatorWallet: nft.creator_wallet,
+      data: {
+        order_id: inserted.rows[0].id,
+        marketplace_nft_id: nft.id,
+        nftoken_id: offer?.nftoken_id || null,
+        name: nft.name,
+        buyer_wallet: buyer,
+        price: String(price),
+        currency: payCurrency,
+        sale_mode: saleMode || (fees ? "BROKERED" : "DIRECT"),
+        tx_hash: txHash || null
+      }
+    });
+
+    if (counts) {
+      await client.query(
+        `
+        UPDATE marketplace_nfts
+        SET quantity = quantity - 1,
+            sold_count = sold_count + 1
+        WHERE id = $1
+        `,
+        [nft.id]
+      );
+    }
+
+    await client.query("COMMIT");
+    return true;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
@@ -0,0 +1,188 @@
+import fs from "fs/promises";
+import { fileURLToPath, pathToFileURL } from "url";
+import path from "path";
+import { pool } from "./db.js";
+
+// ------------------------------
+// SCHEMA MIGRATIONS
+// migrations/NNN_name.js export up(db) and down(db). Each runs in its own
+// transaction and is recorded in schema_migrations.
+//
+//   node migrate.js up [version]    apply pending (optionally up to version)
+//   node migrate.js down [steps]    revert the last N (default 1)
+//   node migrate.js status
+// ------------------------------
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const LOCK_KEY = 7316420; // pg advisory lock shared by every migrator
+
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(f => /^\d+_.+\.js$/.test(f))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    migrations.push({
+      version: Number.parseInt(file, 10),
+      name: file.replace(/\.js$/, ""),
+      up: mod.up,
+      down: mod.down
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+async function appliedVersions(db) {
+  const r = await db.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(r.rows.map(row => Number(row.version)));
+}
+
+// highest applied version, or 0 (also 0 when schema_migrations doesn't exist yet)
+export async function currentSchemaVersion() {
+  const r = await pool.query(`
+    SELECT to_regclass('schema_migrations') IS NOT NULL AS present
+  `);
+  if (!r.rows[0].present) return 0;
+
+  const v = await pool.query("SELECT COALESCE(MAX(version),0) AS version FROM schema_migrations");
+  return Number(v.rows[0].version);
+}
+
+export async function expectedSchemaVersion() {
+  const all = await loadMigrations();
+  return all.length ? all[all.length - 1].version : 0;
+}
+
+async function withLock(fn) {
+  const db = await pool.connect();
+  try {
+    await db.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    await ensureMigrationsTable(db);
+    return await fn(db);
+  } finally {
+    await db.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    db.release();
+  }
+}
+
+export async function migrateUp({ to = Infinity } = {}) {
+  const all = await loadMigrations();
+
+  return withLock(async db => {
+    const done = await appliedVersions(db);
+    const applied = [];
+
+    for (const m of all) {
+      if (done.has(m.version) || m.version > to) continue;
+
+      await db.query("BEGIN");
+      try {
+        await m.up(db);
+        await db.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1,$2)",
+          [m.version, m.name]
+        );
+        await db.query("COMMIT");
+      } catch (e) {
+        await db.query("ROLLBACK");
+        throw new Error(`Migration ${m.name} failed: ${e.message}`);
+      }
+
+      applied.push(m.name);
+      console.log("MIGRATION_UP", m.name);
+    }
+
+    return applied;
+  });
+}
+
+export async function migrateDown({ steps = 1 } = {}) {
+  const all = await loadMigrations();
+
+  return withLock(async db => {
+    const done = await appliedVersions(db);
+    const targets = all.filter(m => done.has(m.version)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const m of targets) {
+      await db.query("BEGIN");
+      try {
+        await m.down(db);
+        await db.query("DELETE FROM schema_migrations WHERE version=$1", [m.version]);
+        await db.query("COMMIT");
+      } catch (e) {
+        await db.query("ROLLBACK");
+        throw new Error(`Migration ${m.name} rollback failed: ${e.message}`);
+      }
+
+      reverted.push(m.name);
+      console.log("MIGRATION_DOWN", m.name);
+    }
+
+    return reverted;
+  });
+}
+
+export async function migrationStatus() {
+  const all = await loadMigrations();
+  const done = await withLock(db => appliedVersions(db));
+  return all.map(m => ({ version: m.version, name: m.name, applied: done.has(m.version) }));
+}
+
+// resolves once the DB is at the version this code expects; polls until then
+export async function waitForSchema({ intervalMs = 5000 } = {}) {
+  const expected = await expectedSchemaVersion();
+
+  for (;;) {
+    const current = await currentSchemaVersion();
+    if (current === expected) return current;
+
+    if (current > expected) {
+      throw new Error(`Schema version ${current} is newer than this build expects (${expected})`);
+    }
+
+    console.warn("SCHEMA_BEHIND", { current, expected, hint: "run `npm run migrate`" });
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+}
+
+// ------------------------------
+// CLI
+// ------------------------------
+async function cli([command = "status", arg]) {
+  if (command === "up") {
+    const applied = await migrateUp({ to: arg ? Number(arg) : Infinity });
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : "Schema is up to date");
+  } else if (command === "down") {
+    const reverted = await migrateDown({ steps: arg ? Number(arg) : 1 });
+    console.log(`Reverted ${reverted.length} migration(s)`);
+  } else if (command === "status") {
+    for (const m of await migrationStatus()) {
+      console.log(`${m.applied ? "[x]" : "[ ]"} ${m.name}`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}" (use up, down or status)`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  cli(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async e => {
+      console.error(e.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
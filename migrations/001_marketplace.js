@@ -0,0 +1,114 @@
+// ------------------------------
+// 001 — marketplace, offers, orders, faucet
+// What initDB()/initOrdersDB() used to create on every boot. IF NOT EXISTS
+// everywhere so it applies cleanly to databases that already have them.
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS marketplace_nfts (
+      id SERIAL PRIMARY KEY,
+      submission_id INTEGER,
+      name TEXT,
+      description TEXT,
+      category TEXT,
+      image_cid TEXT,
+      metadata_cid TEXT,
+      price_xrp TEXT,
+      price_rlusd TEXT,
+      creator_wallet TEXT,
+      terms TEXT,
+      website TEXT,
+      quantity INTEGER,
+      sold_count INTEGER DEFAULT 0,
+      minted BOOLEAN DEFAULT true,
+      sold BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    ALTER TABLE marketplace_nfts
+      ADD COLUMN IF NOT EXISTS nftoken_id TEXT,
+      ADD COLUMN IF NOT EXISTS is_delisted BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS sell_offer_index_xrp TEXT,
+      ADD COLUMN IF NOT EXISTS sell_offer_index_rlusd TEXT,
+      ADD COLUMN IF NOT EXISTS sell_offer_index TEXT;
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS marketplace_sell_offers (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      nftoken_id TEXT NOT NULL,
+      sell_offer_index TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT DEFAULT 'OPEN',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  // sell_offer_index must be unique (one offer index = one ledger object)
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS marketplace_sell_offers_offer_uq
+    ON marketplace_sell_offers (sell_offer_index);
+  `);
+
+  // prevent duplicate rows for same NFT token listing
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS marketplace_sell_offers_token_uq
+    ON marketplace_sell_offers (marketplace_nft_id, nftoken_id, currency);
+  `);
+
+  // fast lookup for Pay buttons
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS marketplace_sell_offers_open_idx
+    ON marketplace_sell_offers (marketplace_nft_id, currency, status, created_at);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faucet_claims (
+      wallet TEXT PRIMARY KEY,
+      last_claim_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      buyer_wallet TEXT NOT NULL,
+      buyer_email TEXT,
+      price NUMERIC(20,8) NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PAID',
+      xumm_payload_uuid TEXT,
+      tx_hash TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS orders_unique_payload
+    ON orders (xumm_payload_uuid)
+    WHERE xumm_payload_uuid IS NOT NULL;
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS orders_unique_tx
+    ON orders (tx_hash)
+    WHERE tx_hash IS NOT NULL;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS orders_buyer_wallet_idx
+    ON orders (buyer_wallet);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS orders");
+  await db.query("DROP TABLE IF EXISTS faucet_claims");
+  await db.query("DROP TABLE IF EXISTS marketplace_sell_offers");
+  await db.query("DROP TABLE IF EXISTS marketplace_nfts");
+}
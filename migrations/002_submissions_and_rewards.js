@@ -0,0 +1,55 @@
+// ------------------------------
+// 002 — tables the server reads but never created
+// submissions (written by the creator submission flow), nft_reward_claims
+// and orders.reward_claimed.
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS submissions (
+      id SERIAL PRIMARY KEY,
+      creator_wallet TEXT,
+      name TEXT,
+      description TEXT,
+      image_cid TEXT,
+      metadata_cid TEXT,
+      content_cid TEXT,
+      nftoken_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // existing deployments may have a narrower submissions table
+  await db.query(`
+    ALTER TABLE submissions
+      ADD COLUMN IF NOT EXISTS content_cid TEXT,
+      ADD COLUMN IF NOT EXISTS nftoken_ids JSONB DEFAULT '[]'::jsonb;
+  `);
+
+  // claimed_at and last_claim_at are both read by the reward routes
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS nft_reward_claims (
+      id SERIAL PRIMARY KEY,
+      wallet TEXT NOT NULL,
+      submission_id INTEGER,
+      claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_claim_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS nft_reward_claims_wallet_idx
+    ON nft_reward_claims (wallet, last_claim_at);
+  `);
+
+  await db.query(`
+    ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS reward_claimed BOOLEAN NOT NULL DEFAULT false;
+  `);
+}
+
+export async function down(db) {
+  await db.query("ALTER TABLE orders DROP COLUMN IF EXISTS reward_claimed");
+  await db.query("DROP TABLE IF EXISTS nft_reward_claims");
+  await db.query("DROP TABLE IF EXISTS submissions");
+}
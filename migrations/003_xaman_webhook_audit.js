@@ -0,0 +1,33 @@
+// ------------------------------
+// 003 — Xaman webhook replay protection + audit
+// ------------------------------
+
+export async function up(db) {
+  // one row per Xaman payload we have acted on (replay protection)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS xaman_webhook_receipts (
+      payload_uuid TEXT PRIMARY KEY,
+      callback_ts BIGINT NOT NULL,
+      processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // every webhook callback, accepted or rejected
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS xaman_webhook_audit (
+      id SERIAL PRIMARY KEY,
+      payload_uuid TEXT,
+      callback_ts BIGINT,
+      decision TEXT NOT NULL,
+      reason TEXT,
+      remote_ip TEXT,
+      body JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS xaman_webhook_audit");
+  await db.query("DROP TABLE IF EXISTS xaman_webhook_receipts");
+}
@@ -0,0 +1,18 @@
+// ------------------------------
+// 004 — XRPL ledger listener cursor
+// ------------------------------
+
+export async function up(db) {
+  // last ledger the XRPL listener fully processed (backfill starts here)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_listener_state (
+      id TEXT PRIMARY KEY,
+      last_ledger_index BIGINT NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS ledger_listener_state");
+}
@@ -0,0 +1,38 @@
+// ------------------------------
+// 005 — Xaman SignIn requests + wallet sessions
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auth_signins (
+      payload_uuid TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      wallet TEXT,
+      session_issued_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ
+    );
+  `);
+
+  // only a hash of the bearer token is stored
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS wallet_sessions (
+      token_hash TEXT PRIMARY KEY,
+      wallet TEXT NOT NULL,
+      signin_uuid TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS wallet_sessions_wallet_idx
+    ON wallet_sessions (wallet);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS wallet_sessions");
+  await db.query("DROP TABLE IF EXISTS auth_signins");
+}
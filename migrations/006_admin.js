@@ -0,0 +1,57 @@
+// ------------------------------
+// 006 — admin roles + append-only admin audit log
+// ------------------------------
+
+export async function up(db) {
+  // an admin is a wallet (signs in via Xaman) or an API key (hash stored)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_roles (
+      id SERIAL PRIMARY KEY,
+      wallet TEXT UNIQUE,
+      api_key_hash TEXT UNIQUE,
+      label TEXT,
+      role TEXT NOT NULL CHECK (role IN ('owner','operator','viewer')),
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      revoked_at TIMESTAMPTZ,
+      CHECK (wallet IS NOT NULL OR api_key_hash IS NOT NULL)
+    );
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor TEXT NOT NULL,
+      role TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      before JSONB,
+      after JSONB,
+      reason TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE OR REPLACE FUNCTION admin_audit_log_append_only()
+    RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await db.query(`
+    DROP TRIGGER IF EXISTS admin_audit_log_no_change ON admin_audit_log;
+    CREATE TRIGGER admin_audit_log_no_change
+    BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS admin_audit_log");
+  await db.query("DROP FUNCTION IF EXISTS admin_audit_log_append_only()");
+  await db.query("DROP TABLE IF EXISTS admin_roles");
+}
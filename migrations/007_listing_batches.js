@@ -0,0 +1,46 @@
+// ------------------------------
+// 007 — batch listing jobs for multi-edition drops
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS listing_batches (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      creator_wallet TEXT NOT NULL,
+      requested INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'RUNNING',
+      user_token TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // one row per edition; status PENDING → SENT → LISTED (or SKIPPED)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS listing_batch_items (
+      id SERIAL PRIMARY KEY,
+      batch_id INTEGER NOT NULL REFERENCES listing_batches(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      nftoken_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      payload_uuid TEXT,
+      link TEXT,
+      sell_offer_index TEXT,
+      error TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (batch_id, nftoken_id)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS listing_batches_nft_idx
+    ON listing_batches (marketplace_nft_id, status);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS listing_batch_items");
+  await db.query("DROP TABLE IF EXISTS listing_batches");
+}
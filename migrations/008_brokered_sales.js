@@ -0,0 +1,66 @@
+// ------------------------------
+// 008 — brokered sales and order fee breakdown
+// ------------------------------
+
+export async function up(db) {
+  // Destination = platform broker account for brokered listings, NULL for direct ones
+  await db.query(`
+    ALTER TABLE marketplace_sell_offers
+      ADD COLUMN IF NOT EXISTS destination TEXT;
+  `);
+
+  await db.query(`
+    ALTER TABLE listing_batches
+      ADD COLUMN IF NOT EXISTS brokered BOOLEAN NOT NULL DEFAULT false;
+  `);
+
+  // what the buyer paid, what the platform kept and what reached the creator
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS sale_mode TEXT NOT NULL DEFAULT 'DIRECT',
+      ADD COLUMN IF NOT EXISTS gross_amount NUMERIC(20,8),
+      ADD COLUMN IF NOT EXISTS platform_fee NUMERIC(20,8),
+      ADD COLUMN IF NOT EXISTS creator_net NUMERIC(20,8);
+  `);
+
+  // one row per buyer checkout on a brokered offer;
+  // status AWAITING_BUY → MATCHING → MATCHED (or FAILED)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS brokered_sales (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      nftoken_id TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      sell_offer_index TEXT NOT NULL,
+      payload_uuid TEXT UNIQUE,
+      buyer_wallet TEXT,
+      buy_offer_index TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'AWAITING_BUY',
+      gross_amount NUMERIC(20,8),
+      platform_fee NUMERIC(20,8),
+      creator_net NUMERIC(20,8),
+      tx_hash TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS brokered_sales_offer_idx
+    ON brokered_sales (sell_offer_index, status);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS brokered_sales");
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS creator_net,
+      DROP COLUMN IF EXISTS platform_fee,
+      DROP COLUMN IF EXISTS gross_amount,
+      DROP COLUMN IF EXISTS sale_mode;
+  `);
+  await db.query("ALTER TABLE listing_batches DROP COLUMN IF EXISTS brokered");
+  await db.query("ALTER TABLE marketplace_sell_offers DROP COLUMN IF EXISTS destination");
+}
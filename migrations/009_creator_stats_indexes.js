@@ -0,0 +1,20 @@
+// ------------------------------
+// 009 — indexes for creator sales / earnings reports
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS marketplace_nfts_creator_idx
+    ON marketplace_nfts (creator_wallet);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS orders_nft_created_idx
+    ON orders (marketplace_nft_id, created_at);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP INDEX IF EXISTS orders_nft_created_idx");
+  await db.query("DROP INDEX IF EXISTS marketplace_nfts_creator_idx");
+}
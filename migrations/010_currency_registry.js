@@ -0,0 +1,87 @@
+// ------------------------------
+// 010 — currency registry and per-NFT prices
+// Seeds XRP and RLUSD (RLUSD_ISSUER at migration time) and, disabled, CFC
+// when CFC_CURRENCY / CFC_ISSUER are set. Existing price_xrp / price_rlusd
+// values are copied into nft_prices.
+// ------------------------------
+
+const RLUSD_HEX = "524C555344000000000000000000000000000000";
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS currencies (
+      code TEXT PRIMARY KEY,
+      ledger_code TEXT,
+      issuer TEXT,
+      decimals INTEGER NOT NULL DEFAULT 6,
+      display_name TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      sort_order INTEGER NOT NULL DEFAULT 100,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK ((issuer IS NULL) = (ledger_code IS NULL)),
+      CHECK (decimals BETWEEN 0 AND 15)
+    );
+  `);
+
+  await db.query(`
+    INSERT INTO currencies (code, ledger_code, issuer, decimals, display_name, enabled, sort_order)
+    VALUES ('XRP', NULL, NULL, 6, 'XRP', true, 0)
+    ON CONFLICT (code) DO NOTHING
+  `);
+
+  const rlusdIssuer = process.env.RLUSD_ISSUER || null;
+  await db.query(
+    `
+    INSERT INTO currencies (code, ledger_code, issuer, decimals, display_name, enabled, sort_order)
+    VALUES ('RLUSD', $1, $2, 6, 'Ripple USD', $3, 10)
+    ON CONFLICT (code) DO NOTHING
+    `,
+    [rlusdIssuer ? RLUSD_HEX : null, rlusdIssuer, Boolean(rlusdIssuer)]
+  );
+
+  if (process.env.CFC_CURRENCY && process.env.CFC_ISSUER) {
+    await db.query(
+      `
+      INSERT INTO currencies (code, ledger_code, issuer, decimals, display_name, enabled, sort_order)
+      VALUES ('CFC', $1, $2, 6, 'CFC', false, 20)
+      ON CONFLICT (code) DO NOTHING
+      `,
+      [process.env.CFC_CURRENCY, process.env.CFC_ISSUER]
+    );
+  }
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS nft_prices (
+      marketplace_nft_id INTEGER NOT NULL REFERENCES marketplace_nfts(id) ON DELETE CASCADE,
+      currency TEXT NOT NULL REFERENCES currencies(code),
+      amount NUMERIC(38,15) NOT NULL CHECK (amount > 0),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (marketplace_nft_id, currency)
+    );
+  `);
+
+  // same cleanup as parsePrice(): "10 XRP" → 10
+  for (const [code, column] of [["XRP", "price_xrp"], ["RLUSD", "price_rlusd"]]) {
+    await db.query(
+      `
+      INSERT INTO nft_prices (marketplace_nft_id, currency, amount)
+      SELECT id, $1, cleaned::numeric
+      FROM (
+        SELECT id, regexp_replace(${column}, '[^0-9.]', '', 'g') AS cleaned
+        FROM marketplace_nfts
+      ) p
+      WHERE CASE
+        WHEN cleaned ~ '^[0-9]+(\\.[0-9]+)?$' THEN cleaned::numeric > 0
+        ELSE false
+      END
+      ON CONFLICT DO NOTHING
+      `,
+      [code]
+    );
+  }
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS nft_prices");
+  await db.query("DROP TABLE IF EXISTS currencies");
+}
@@ -0,0 +1,71 @@
+// ------------------------------
+// 011 — timed auctions and bids
+// ------------------------------
+
+export async function up(db) {
+  // status ACTIVE → CLOSING (picking the winner) → SETTLING (creator has the
+  // accept payload) → SOLD, or NO_SALE / CANCELLED / UNSETTLED (never accepted)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS auctions (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      nftoken_id TEXT NOT NULL,
+      creator_wallet TEXT NOT NULL,
+      currency TEXT NOT NULL REFERENCES currencies(code),
+      reserve_price NUMERIC(38,15) NOT NULL CHECK (reserve_price > 0),
+      starts_at TIMESTAMPTZ NOT NULL,
+      ends_at TIMESTAMPTZ NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      winning_bid_id INTEGER,
+      accept_payload_uuid TEXT,
+      accept_link TEXT,
+      tx_hash TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (ends_at > starts_at)
+    );
+  `);
+
+  // one token can only be on one running auction
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS auctions_token_running_uq
+    ON auctions (UPPER(nftoken_id))
+    WHERE status IN ('ACTIVE','CLOSING','SETTLING');
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS auctions_status_ends_idx
+    ON auctions (status, ends_at);
+  `);
+
+  // status PENDING (payload out) → ACTIVE (offer verified on ledger) →
+  // WON / LOST; INVALID when the ledger doesn't back the bid
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS bids (
+      id SERIAL PRIMARY KEY,
+      auction_id INTEGER NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+      bidder_wallet TEXT NOT NULL,
+      amount NUMERIC(38,15) NOT NULL CHECK (amount > 0),
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      payload_uuid TEXT UNIQUE,
+      link TEXT,
+      buy_offer_index TEXT UNIQUE,
+      user_token TEXT,
+      cancel_payload_uuid TEXT,
+      cancel_link TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      verified_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS bids_auction_amount_idx
+    ON bids (auction_id, status, amount DESC);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS bids");
+  await db.query("DROP TABLE IF EXISTS auctions");
+}
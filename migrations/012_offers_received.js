@@ -0,0 +1,50 @@
+// ------------------------------
+// 012 — make-an-offer / counter-offer negotiation
+// ------------------------------
+
+export async function up(db) {
+  // status PENDING (buyer's payload out) → OPEN (buy offer on ledger) →
+  // ACCEPTED, REJECTED, COUNTERED (creator's sell offer to the buyer is live),
+  // WITHDRAWN, EXPIRED
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS offers_received (
+      id SERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL,
+      nftoken_id TEXT NOT NULL,
+      sell_offer_index TEXT,
+      creator_wallet TEXT NOT NULL,
+      buyer_wallet TEXT NOT NULL,
+      currency TEXT NOT NULL REFERENCES currencies(code),
+      amount NUMERIC(38,15) NOT NULL CHECK (amount > 0),
+      expires_at TIMESTAMPTZ NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      payload_uuid TEXT UNIQUE,
+      link TEXT,
+      buy_offer_index TEXT UNIQUE,
+      user_token TEXT,
+      accept_link TEXT,
+      counter_amount NUMERIC(38,15),
+      counter_link TEXT,
+      counter_sell_offer_index TEXT UNIQUE,
+      counter_accept_link TEXT,
+      cancel_link TEXT,
+      tx_hash TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS offers_received_creator_idx
+    ON offers_received (creator_wallet, status, created_at DESC);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS offers_received_buyer_idx
+    ON offers_received (buyer_wallet, created_at DESC);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS offers_received");
+}
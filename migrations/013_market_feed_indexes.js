@@ -0,0 +1,35 @@
+// ------------------------------
+// 013 — market feed search and sort indexes
+// ------------------------------
+
+export async function up(db) {
+  // must match SEARCH_DOCUMENT in marketFeed.js to be used
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS marketplace_nfts_search_idx
+    ON marketplace_nfts
+    USING GIN (to_tsvector('simple', COALESCE(name,'') || ' ' || COALESCE(description,'')));
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS marketplace_nfts_feed_created_idx
+    ON marketplace_nfts (created_at DESC, id DESC)
+    WHERE minted = true AND sold = false;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS marketplace_nfts_category_idx
+    ON marketplace_nfts (LOWER(category));
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS nft_prices_currency_amount_idx
+    ON nft_prices (currency, amount, marketplace_nft_id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP INDEX IF EXISTS nft_prices_currency_amount_idx");
+  await db.query("DROP INDEX IF EXISTS marketplace_nfts_category_idx");
+  await db.query("DROP INDEX IF EXISTS marketplace_nfts_feed_created_idx");
+  await db.query("DROP INDEX IF EXISTS marketplace_nfts_search_idx");
+}
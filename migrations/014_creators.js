@@ -0,0 +1,23 @@
+// ------------------------------
+// 014 — creator profiles
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS creators (
+      wallet TEXT PRIMARY KEY,
+      display_name TEXT,
+      bio TEXT,
+      avatar_cid TEXT,
+      links JSONB NOT NULL DEFAULT '[]'::jsonb,
+      verified BOOLEAN NOT NULL DEFAULT false,
+      verified_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS creators");
+}
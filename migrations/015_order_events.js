@@ -0,0 +1,53 @@
+// ------------------------------
+// 015 — order lifecycle: status history, refunds
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS refund_tx_hash TEXT,
+      ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+  `);
+
+  // to_status NULL = a note without a status change
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_events (
+      id BIGSERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      from_status TEXT,
+      to_status TEXT,
+      actor TEXT NOT NULL,
+      note TEXT,
+      attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS order_events_order_idx
+    ON order_events (order_id, id);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS orders_status_idx
+    ON orders (status, marketplace_nft_id);
+  `);
+
+  // existing orders start their history at their current status
+  await db.query(`
+    INSERT INTO order_events (order_id, to_status, actor, note, created_at)
+    SELECT o.id, o.status, 'system', 'backfilled', o.created_at
+    FROM orders o
+    WHERE NOT EXISTS (SELECT 1 FROM order_events e WHERE e.order_id = o.id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS order_events");
+  await db.query("DROP INDEX IF EXISTS orders_status_idx");
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS status_updated_at,
+      DROP COLUMN IF EXISTS refund_tx_hash;
+  `);
+}
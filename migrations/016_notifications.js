@@ -0,0 +1,39 @@
+// ------------------------------
+// 016 — email notification outbox, creator contact email
+// ------------------------------
+
+export async function up(db) {
+  // private: never part of the public storefront
+  await db.query(`
+    ALTER TABLE creators
+      ADD COLUMN IF NOT EXISTS email TEXT;
+  `);
+
+  // status PENDING → SENDING → SENT, or back to PENDING (retry) / FAILED
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id BIGSERIAL PRIMARY KEY,
+      template TEXT NOT NULL,
+      to_address TEXT NOT NULL,
+      data JSONB NOT NULL DEFAULT '{}'::jsonb,
+      dedupe_key TEXT UNIQUE,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      sent_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS notification_outbox_due_idx
+    ON notification_outbox (status, next_attempt_at);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS notification_outbox");
+  await db.query("ALTER TABLE creators DROP COLUMN IF EXISTS email");
+}
@@ -0,0 +1,78 @@
+// ------------------------------
+// 017 — outbound webhooks for creators / partner sites
+// ------------------------------
+
+export async function up(db) {
+  // secret is kept in the clear: we need it to sign every delivery
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id SERIAL PRIMARY KEY,
+      owner_wallet TEXT NOT NULL,
+      url TEXT NOT NULL,
+      events TEXT[] NOT NULL,
+      secret TEXT NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      disabled_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS webhook_endpoints_owner_idx
+    ON webhook_endpoints (owner_wallet) WHERE active;
+  `);
+
+  // status PENDING → SENDING → DELIVERED, or back to PENDING (retry) /
+  // FAILED; CANCELLED when the endpoint is disabled
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event_id UUID NOT NULL,
+      event_type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx
+    ON webhook_deliveries (status, next_attempt_at);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_idx
+    ON webhook_deliveries (endpoint_id, id DESC);
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+      id BIGSERIAL PRIMARY KEY,
+      delivery_id BIGINT NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+      attempt INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      response_body TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS webhook_delivery_attempts_delivery_idx
+    ON webhook_delivery_attempts (delivery_id, id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS webhook_delivery_attempts");
+  await db.query("DROP TABLE IF EXISTS webhook_deliveries");
+  await db.query("DROP TABLE IF EXISTS webhook_endpoints");
+}
@@ -0,0 +1,92 @@
+// ------------------------------
+// 018 — unified CFC rewards: rules and grants
+// Seeds the three rewards the old routes paid (faucet, nft_reward,
+// purchase_reward) and carries their claim history over as SENT grants so
+// cooldowns survive the switch. faucet_claims / nft_reward_claims /
+// orders.reward_claimed are left in place but no longer written.
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reward_rules (
+      id SERIAL PRIMARY KEY,
+      key TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      amount NUMERIC(38,15) NOT NULL CHECK (amount > 0),
+      cooldown_seconds INTEGER CHECK (cooldown_seconds IS NULL OR cooldown_seconds >= 0),
+      per_target BOOLEAN NOT NULL DEFAULT false,
+      eligibility JSONB NOT NULL DEFAULT '{"type":"any"}'::jsonb,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // status PENDING (reserved, paying) → SENT | FAILED
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reward_grants (
+      id BIGSERIAL PRIMARY KEY,
+      rule_id INTEGER NOT NULL REFERENCES reward_rules(id),
+      wallet TEXT NOT NULL,
+      target_id TEXT,
+      currency TEXT NOT NULL,
+      amount NUMERIC(38,15) NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      tx_hash TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      sent_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS reward_grants_scope_idx
+    ON reward_grants (rule_id, wallet, target_id, created_at DESC);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS reward_grants_wallet_idx
+    ON reward_grants (wallet, id DESC);
+  `);
+
+  await db.query(`
+    INSERT INTO reward_rules (key, name, currency, amount, cooldown_seconds, per_target, eligibility)
+    VALUES
+      ('faucet', 'Daily CFC faucet', 'CFC', 25, 86400, false, '{"type":"any"}'),
+      ('nft_reward', 'Creator NFT reward', 'CFC', 100, NULL, true, '{"type":"created_submission"}'),
+      ('purchase_reward', 'Collector purchase reward', 'CFC', 100, NULL, true, '{"type":"purchased"}')
+    ON CONFLICT (key) DO NOTHING;
+  `);
+
+  // history from the old routes
+  await db.query(`
+    INSERT INTO reward_grants (rule_id, wallet, target_id, currency, amount, status, created_at, sent_at)
+    SELECT r.id, f.wallet, NULL, 'CFC', 25, 'SENT', f.last_claim_at, f.last_claim_at
+    FROM faucet_claims f
+    JOIN reward_rules r ON r.key = 'faucet'
+    WHERE NOT EXISTS (SELECT 1 FROM reward_grants g WHERE g.rule_id = r.id);
+  `);
+
+  await db.query(`
+    INSERT INTO reward_grants (rule_id, wallet, target_id, currency, amount, status, created_at, sent_at)
+    SELECT r.id, c.wallet, c.submission_id::text, 'CFC', 100, 'SENT', c.claimed_at, c.claimed_at
+    FROM nft_reward_claims c
+    JOIN reward_rules r ON r.key = 'nft_reward'
+    WHERE NOT EXISTS (SELECT 1 FROM reward_grants g WHERE g.rule_id = r.id);
+  `);
+
+  await db.query(`
+    INSERT INTO reward_grants (rule_id, wallet, target_id, currency, amount, status, created_at, sent_at)
+    SELECT r.id, o.buyer_wallet, o.marketplace_nft_id::text, 'CFC', 100, 'SENT', o.created_at, o.created_at
+    FROM orders o
+    JOIN reward_rules r ON r.key = 'purchase_reward'
+    WHERE o.reward_claimed
+      AND NOT EXISTS (SELECT 1 FROM reward_grants g WHERE g.rule_id = r.id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS reward_grants");
+  await db.query("DROP TABLE IF EXISTS reward_rules");
+}
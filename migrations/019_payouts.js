@@ -0,0 +1,45 @@
+// ------------------------------
+// 019 — durable payout outbox
+// ------------------------------
+
+export async function up(db) {
+  // status PENDING → SUBMITTED (signed blob + hash stored before submit) →
+  // VALIDATED | FAILED; SUBMITTED goes back to PENDING when its
+  // LastLedgerSequence passes without the tx
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payouts (
+      id BIGSERIAL PRIMARY KEY,
+      destination TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      amount NUMERIC(38,15) NOT NULL CHECK (amount > 0),
+      reward_grant_id BIGINT UNIQUE REFERENCES reward_grants(id),
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      account TEXT,
+      sequence BIGINT,
+      last_ledger_sequence BIGINT,
+      tx_blob TEXT,
+      tx_hash TEXT,
+      engine_result TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      submitted_at TIMESTAMPTZ,
+      validated_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS payouts_status_idx
+    ON payouts (status, id);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS payouts_destination_idx
+    ON payouts (destination, id DESC);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS payouts");
+}
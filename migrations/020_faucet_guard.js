@@ -0,0 +1,79 @@
+// ------------------------------
+// 020 — faucet anti-abuse: decision log, denylist, pause / budget state
+// ------------------------------
+
+export async function up(db) {
+  // one row per faucet claim attempt, allowed or not
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faucet_decisions (
+      id BIGSERIAL PRIMARY KEY,
+      wallet TEXT,
+      ip TEXT,
+      fingerprint TEXT,
+      allowed BOOLEAN NOT NULL,
+      reason TEXT,
+      detail TEXT,
+      reward_grant_id BIGINT REFERENCES reward_grants(id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS faucet_decisions_created_idx
+    ON faucet_decisions (created_at DESC);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS faucet_decisions_ip_idx
+    ON faucet_decisions (ip, created_at DESC) WHERE allowed;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS faucet_decisions_fingerprint_idx
+    ON faucet_decisions (fingerprint, created_at DESC) WHERE allowed;
+  `);
+
+  // kind wallet | ip (address or CIDR) | fingerprint
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faucet_denylist (
+      id BIGSERIAL PRIMARY KEY,
+      kind TEXT NOT NULL CHECK (kind IN ('wallet','ip','fingerprint')),
+      value TEXT NOT NULL,
+      reason TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ,
+      removed_at TIMESTAMPTZ
+    );
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS faucet_denylist_active_idx
+    ON faucet_denylist (kind, value) WHERE removed_at IS NULL;
+  `);
+
+  // single row; paused_until set = an automatic (budget) pause that lifts itself
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faucet_settings (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      paused BOOLEAN NOT NULL DEFAULT false,
+      paused_reason TEXT,
+      paused_by TEXT,
+      paused_at TIMESTAMPTZ,
+      paused_until TIMESTAMPTZ,
+      daily_budget NUMERIC(38,15) CHECK (daily_budget IS NULL OR daily_budget >= 0),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  await db.query(`
+    INSERT INTO faucet_settings (id) VALUES (1)
+    ON CONFLICT (id) DO NOTHING;
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS faucet_settings");
+  await db.query("DROP TABLE IF EXISTS faucet_denylist");
+  await db.query("DROP TABLE IF EXISTS faucet_decisions");
+}
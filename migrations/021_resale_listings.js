@@ -0,0 +1,63 @@
+// ------------------------------
+// 021 — secondary market: holder resale listings and resale orders
+// ------------------------------
+
+export async function up(db) {
+  // status PENDING (sell offer payload out) → OPEN (offer on ledger) →
+  // SOLD | CANCELLED; transfer_fee is the token's TransferFee (1/100000ths)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS resale_listings (
+      id BIGSERIAL PRIMARY KEY,
+      marketplace_nft_id INTEGER NOT NULL REFERENCES marketplace_nfts(id),
+      nftoken_id TEXT NOT NULL,
+      seller_wallet TEXT NOT NULL,
+      currency TEXT NOT NULL,
+      price NUMERIC(20,8) NOT NULL CHECK (price > 0),
+      transfer_fee INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      sell_offer_index TEXT UNIQUE,
+      payload_uuid TEXT,
+      link TEXT,
+      buyer_wallet TEXT,
+      order_id INTEGER REFERENCES orders(id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      listed_at TIMESTAMPTZ,
+      closed_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  // one live listing per token
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS resale_listings_live_token_idx
+    ON resale_listings (UPPER(nftoken_id)) WHERE status IN ('PENDING','OPEN');
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS resale_listings_nft_idx
+    ON resale_listings (marketplace_nft_id, status, currency, price);
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS resale_listings_seller_idx
+    ON resale_listings (seller_wallet, id DESC);
+  `);
+
+  // resale orders: sale_mode RESALE, the seller, and the token that changed hands
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS seller_wallet TEXT,
+      ADD COLUMN IF NOT EXISTS nftoken_id TEXT,
+      ADD COLUMN IF NOT EXISTS resale_listing_id BIGINT;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS resale_listing_id,
+      DROP COLUMN IF EXISTS nftoken_id,
+      DROP COLUMN IF EXISTS seller_wallet;
+  `);
+  await db.query("DROP TABLE IF EXISTS resale_listings");
+}
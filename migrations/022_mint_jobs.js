@@ -0,0 +1,75 @@
+// ------------------------------
+// 022 — server-driven mint pipeline
+// ------------------------------
+
+export async function up(db) {
+  // one job per submission mint; minter_wallet is set when the platform's
+  // authorized minter signs (Issuer = creator_wallet), null when the creator
+  // signs Xaman payloads. `listing` holds the marketplace_nfts fields used
+  // once minting completes.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS mint_jobs (
+      id SERIAL PRIMARY KEY,
+      submission_id INTEGER NOT NULL,
+      creator_wallet TEXT NOT NULL,
+      minter_wallet TEXT,
+      uri TEXT NOT NULL,
+      taxon BIGINT NOT NULL DEFAULT 0,
+      transfer_fee INTEGER NOT NULL DEFAULT 0,
+      flags INTEGER NOT NULL DEFAULT 0,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      listing JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'RUNNING',
+      user_token TEXT,
+      marketplace_nft_id INTEGER,
+      error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMPTZ
+    );
+  `);
+
+  // one running job per submission
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS mint_jobs_running_submission_idx
+    ON mint_jobs (submission_id) WHERE status = 'RUNNING';
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS mint_jobs_creator_idx
+    ON mint_jobs (creator_wallet, id DESC);
+  `);
+
+  // one row per edition; status PENDING → SENT (creator payload out) or
+  // SUBMITTED (platform tx in flight) → MINTED, or SKIPPED / FAILED.
+  // Platform-minted editions go on to OFFERED (zero-price transfer offer to
+  // the creator) → CLAIMING (accept payload out) → DELIVERED.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS mint_job_items (
+      id SERIAL PRIMARY KEY,
+      job_id INTEGER NOT NULL REFERENCES mint_jobs(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      nftoken_id TEXT,
+      payload_uuid TEXT,
+      link TEXT,
+      tx_hash TEXT,
+      last_ledger_sequence BIGINT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      transfer_offer_index TEXT,
+      error TEXT,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      UNIQUE (job_id, position)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS mint_job_items_status_idx
+    ON mint_job_items (status, job_id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP TABLE IF EXISTS mint_job_items");
+  await db.query("DROP TABLE IF EXISTS mint_jobs");
+}
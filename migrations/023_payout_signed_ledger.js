@@ -0,0 +1,16 @@
+// ------------------------------
+// 023 — ledger a payout was signed at
+// reconcile searches [signed_ledger_index, last_ledger_sequence] for the
+// hash before it ever re-signs
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE payouts
+    ADD COLUMN IF NOT EXISTS signed_ledger_index BIGINT;
+  `);
+}
+
+export async function down(db) {
+  await db.query("ALTER TABLE payouts DROP COLUMN IF EXISTS signed_ledger_index");
+}
@@ -0,0 +1,32 @@
+// ------------------------------
+// 024 — resale amounts at registry precision
+// resale prices are registry amounts (up to 15 decimals for issued
+// currencies), like reward_rules and payouts; the orders a resale settles
+// into carry the same amounts
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE resale_listings
+    ALTER COLUMN price TYPE NUMERIC(38,15);
+  `);
+
+  await db.query(`
+    ALTER TABLE orders
+      ALTER COLUMN price TYPE NUMERIC(38,15),
+      ALTER COLUMN gross_amount TYPE NUMERIC(38,15),
+      ALTER COLUMN platform_fee TYPE NUMERIC(38,15),
+      ALTER COLUMN creator_net TYPE NUMERIC(38,15);
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE orders
+      ALTER COLUMN price TYPE NUMERIC(20,8),
+      ALTER COLUMN gross_amount TYPE NUMERIC(20,8),
+      ALTER COLUMN platform_fee TYPE NUMERIC(20,8),
+      ALTER COLUMN creator_net TYPE NUMERIC(20,8);
+  `);
+  await db.query("ALTER TABLE resale_listings ALTER COLUMN price TYPE NUMERIC(20,8)");
+}
@@ -0,0 +1,37 @@
+// ------------------------------
+// 025 — brokered matches go through a worker
+// status AWAITING_BUY → QUEUED (buy offer on ledger) → MATCHING (broker's
+// NFTokenAcceptOffer signed; hash stored before submit) → MATCHED | FAILED
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE brokered_sales
+      ADD COLUMN IF NOT EXISTS account TEXT,
+      ADD COLUMN IF NOT EXISTS sequence BIGINT,
+      ADD COLUMN IF NOT EXISTS last_ledger_sequence BIGINT,
+      ADD COLUMN IF NOT EXISTS signed_ledger_index BIGINT,
+      ADD COLUMN IF NOT EXISTS tx_blob TEXT,
+      ADD COLUMN IF NOT EXISTS engine_result TEXT,
+      ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS brokered_sales_status_idx
+    ON brokered_sales (status, id);
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP INDEX IF EXISTS brokered_sales_status_idx");
+  await db.query(`
+    ALTER TABLE brokered_sales
+      DROP COLUMN IF EXISTS attempts,
+      DROP COLUMN IF EXISTS engine_result,
+      DROP COLUMN IF EXISTS tx_blob,
+      DROP COLUMN IF EXISTS signed_ledger_index,
+      DROP COLUMN IF EXISTS last_ledger_sequence,
+      DROP COLUMN IF EXISTS sequence,
+      DROP COLUMN IF EXISTS account;
+  `);
+}
@@ -0,0 +1,29 @@
+// ------------------------------
+// 026 — platform mints and transfer offers as a write-ahead outbox
+// An item's in-flight minter tx (the mint while SUBMITTED, the transfer
+// offer while OFFERING) keeps its Sequence, blob and signing ledger so the
+// worker can resubmit it and search exactly where it could have landed.
+// offer_tx_hash is the transfer offer's hash; tx_hash stays the mint's.
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE mint_job_items
+      ADD COLUMN IF NOT EXISTS sequence BIGINT,
+      ADD COLUMN IF NOT EXISTS tx_blob TEXT,
+      ADD COLUMN IF NOT EXISTS signed_ledger_index BIGINT,
+      ADD COLUMN IF NOT EXISTS offer_tx_hash TEXT,
+      ADD COLUMN IF NOT EXISTS offer_attempts INTEGER NOT NULL DEFAULT 0;
+  `);
+}
+
+export async function down(db) {
+  await db.query(`
+    ALTER TABLE mint_job_items
+      DROP COLUMN IF EXISTS offer_attempts,
+      DROP COLUMN IF EXISTS offer_tx_hash,
+      DROP COLUMN IF EXISTS signed_ledger_index,
+      DROP COLUMN IF EXISTS tx_blob,
+      DROP COLUMN IF EXISTS sequence;
+  `);
+}
@@ -0,0 +1,33 @@
+// ------------------------------
+// 027 — admin role uniqueness only among active grants
+// A revoked wallet or key can be granted a role again, so the UNIQUE
+// constraints from 006 become partial indexes over unrevoked rows.
+// ------------------------------
+
+export async function up(db) {
+  await db.query(`
+    ALTER TABLE admin_roles
+      DROP CONSTRAINT IF EXISTS admin_roles_wallet_key,
+      DROP CONSTRAINT IF EXISTS admin_roles_api_key_hash_key;
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS admin_roles_active_wallet_idx
+    ON admin_roles (wallet) WHERE revoked_at IS NULL AND wallet IS NOT NULL;
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS admin_roles_active_api_key_idx
+    ON admin_roles (api_key_hash) WHERE revoked_at IS NULL AND api_key_hash IS NOT NULL;
+  `);
+}
+
+export async function down(db) {
+  await db.query("DROP INDEX IF EXISTS admin_roles_active_api_key_idx");
+  await db.query("DROP INDEX IF EXISTS admin_roles_active_wallet_idx");
+  await db.query(`
+    ALTER TABLE admin_roles
+      ADD CONSTRAINT admin_roles_wallet_key UNIQUE (wallet),
+      ADD CONSTRAINT admin_roles_api_key_hash_key UNIQUE (api_key_hash);
+  `);
+}
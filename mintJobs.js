@@ -0,0 +1,1053 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { getXrplClient, ledgerError, lookupTx, nextSequence, xrplRequest } from "./xrplPool.js";
+import {
+  acceptOfferPayload,
+  authorizeMinterPayload,
+  createPayload,
+  getPayload,
+  mintPayload
+} from "./xaman.js";
+import {
+  createMarketplaceNft,
+  mintedTokenIds,
+  offerIndexFromMeta,
+  recordMintedTokens
+} from "./marketRecords.js";
+
+// ------------------------------
+// MINT PIPELINE
+// A mint job turns a submission into N editions (one NFTokenMint each, URI
+// ipfs://<metadata_cid>) and creates its marketplace_nfts row once nothing
+// is left in flight. Two ways to sign:
+//
+//   creator  — like batch listing: one Xaman payload after another, each
+//              signed mint (seen by the webhook) issues the next, pushed to
+//              the creator's app once we know their user token.
+//   platform — the creator names our account their NFTokenMinter once; the
+//              worker then mints with Issuer = creator (XRPL_MINTER_SEED).
+//              The minter holds those editions, so each gets a zero-price
+//              sell offer to the creator, claimed through accept payloads
+//              handed out the same way.
+//
+// The minter's own transactions (mints, transfer offers) are recorded with
+// their hash before they're submitted and finalised by the worker:
+//
+//   PENDING → SUBMITTED → MINTED → OFFERING → OFFERED → CLAIMING → DELIVERED
+//
+// A transfer offer that fails on ledger, or expires MAX_OFFER_ATTEMPTS
+// times, leaves the edition MINTED with an error until an operator retries
+// it (POST /api/admin/mint-items/:id/retry-offer).
+//
+// Progress lives in mint_jobs / mint_job_items.
+// ------------------------------
+
+export const MINT_FLAGS = { burnable: 0x1, transferable: 0x8 };
+
+const MAX_TRANSFER_FEE = 50000; // 50%, the ledger's cap (1/100000ths)
+const MAX_QUANTITY = Number(process.env.MINT_MAX_QUANTITY ?? 100);
+const MAX_ATTEMPTS = 3;
+const MAX_OFFER_ATTEMPTS = 3;
+const SIGN_BATCH = 5;
+const LEDGER_WINDOW = 20; // LastLedgerSequence = current + 20
+
+// item statuses still waiting on a mint
+const IN_FLIGHT = ["PENDING", "SENT", "SUBMITTED"];
+
+let minter = null;
+
+export function minterWallet() {
+  if (!process.env.XRPL_MINTER_SEED) return null;
+  if (!minter) minter = xrpl.Wallet.fromSeed(process.env.XRPL_MINTER_SEED);
+  return minter;
+}
+
+export function minterAddress() {
+  return minterWallet()?.address || null;
+}
+
+function flag(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return value === true || value === "true";
+}
+
+// the tx if the ledger has validated it, else null
+async function validatedTx(hash) {
+  if (!hash) return null;
+  try {
+    const r = await xrplRequest({ command: "tx", transaction: hash });
+    return r.result.validated ? r.result : null;
+  } catch (e) {
+    if (ledgerError(e) === "txnNotFound") return null;
+    throw e;
+  }
+}
+
+// ------------------------------
+// SETTINGS
+// ------------------------------
+
+// taxon, royalty_percent (→ TransferFee) and flags from request input.
+// Returns { taxon, transferFee, flags } or { status, error }.
+export function mintSettings({ taxon, royaltyPercent, transferable, burnable }) {
+  const t = taxon === undefined || taxon === null || taxon === "" ? 0 : Number(taxon);
+  if (!Number.isInteger(t) || t < 0 || t > 0xFFFFFFFF) {
+    return { status: 400, error: "Invalid taxon" };
+  }
+
+  const transferFee = royaltyPercent ? Math.round(Number(royaltyPercent) * 1000) : 0;
+  if (!(transferFee >= 0 && transferFee <= MAX_TRANSFER_FEE)) {
+    return { status: 400, error: "royalty_percent must be between 0 and 50" };
+  }
+
+  const isTransferable = flag(transferable, true);
+  // the ledger rejects a TransferFee without tfTransferable
+  if (transferFee > 0 && !isTransferable) {
+    return { status: 400, error: "A royalty needs a transferable NFT" };
+  }
+
+  return {
+    taxon: t,
+    transferFee,
+    flags: (isTransferable ? MINT_FLAGS.transferable : 0) | (flag(burnable, false) ? MINT_FLAGS.burnable : 0)
+  };
+}
+
+// is `address` the creator's authorized NFTokenMinter?
+async function minterAuthorized(creatorWallet, address) {
+  try {
+    const r = await xrplRequest({ command: "account_info", account: creatorWallet, ledger_index: "validated" });
+    return r.result.account_data.NFTokenMinter === address;
+  } catch (e) {
+    if (ledgerError(e) === "actNotFound") return false;
+    throw e;
+  }
+}
+
+// ------------------------------
+// START
+// ------------------------------
+
+// Creates the job and, for creator signing, issues the first payload.
+// `listing` overrides the submission's fields for the marketplace row
+// (name, description, category, image_cid, prices, terms, website, ...).
+// Returns mint progress or { status, error, ... }.
+export async function startMintJob({ submission, quantity, settings, platformMinter = false, listing = {} }) {
+  const count = quantity === undefined || quantity === null || quantity === "" ? 1 : Number(quantity);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_QUANTITY) {
+    return { status: 400, error: `quantity must be between 1 and ${MAX_QUANTITY}` };
+  }
+  if (!submission.metadata_cid) {
+    return { status: 409, error: "Submission has no metadata yet" };
+  }
+
+  const listed = await pool.query(
+    "SELECT 1 FROM marketplace_nfts WHERE submission_id=$1 LIMIT 1",
+    [submission.id]
+  );
+  if (listed.rows.length) {
+    return { status: 409, error: "This submission is already minted" };
+  }
+
+  let minterWalletAddress = null;
+  if (platformMinter) {
+    const address = minterAddress();
+    if (!address) return { status: 400, error: "Platform minting is not configured" };
+
+    if (!(await minterAuthorized(submission.creator_wallet, address))) {
+      const xumm = await createPayload(authorizeMinterPayload({
+        account: submission.creator_wallet,
+        minter: address,
+        blob: { action: "authorize_minter" },
+        returnTo: "creator",
+        webhook: false
+      }));
+      return {
+        status: 409,
+        code: "minter_not_authorized",
+        error: "Authorize the platform minter on your account first",
+        minter: address,
+        authorize: { uuid: xumm.uuid, link: xumm.link }
+      };
+    }
+    minterWalletAddress = address;
+  }
+
+  const fields = {
+    name: submission.name,
+    description: submission.description,
+    image_cid: submission.image_cid,
+    ...Object.fromEntries(Object.entries(listing).filter(([, v]) => v !== undefined && v !== null)),
+    metadata_cid: submission.metadata_cid
+  };
+  if (!fields.name) return { status: 400, error: "Missing name" };
+
+  const db = await pool.connect();
+  let jobId;
+  try {
+    await db.query("BEGIN");
+
+    const j = await db.query(
+      `
+      INSERT INTO mint_jobs
+        (submission_id, creator_wallet, minter_wallet, uri, taxon, transfer_fee, flags, quantity, listing)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+      RETURNING id
+      `,
+      [
+        submission.id,
+        submission.creator_wallet,
+        minterWalletAddress,
+        `ipfs://${submission.metadata_cid}`,
+        settings.taxon,
+        settings.transferFee,
+        settings.flags,
+        count,
+        JSON.stringify(fields)
+      ]
+    );
+    jobId = j.rows[0].id;
+
+    for (let position = 0; position < count; position++) {
+      await db.query(
+        "INSERT INTO mint_job_items (job_id, position) VALUES ($1,$2)",
+        [jobId, position]
+      );
+    }
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    if (e.code === "23505") {
+      return { status: 409, error: "A mint is already running for this submission" };
+    }
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  if (minterWalletAddress) {
+    kickMints();
+  } else {
+    await issueNextMint(jobId);
+  }
+  return mintJobProgress(jobId);
+}
+
+// ------------------------------
+// COMPLETION
+// ------------------------------
+
+// With the job row locked: once no edition is in flight, create the
+// marketplace row for what was minted (COMPLETED), or FAILED / CANCELLED
+// when nothing was. Returns true when the job closed.
+async function closeIfDone(db, job, { cancelled = false } = {}) {
+  const r = await db.query(
+    `
+    SELECT
+      COUNT(*) FILTER (WHERE status = ANY($2::text[]))::int AS open,
+      COUNT(*) FILTER (WHERE nftoken_id IS NOT NULL)::int AS minted
+    FROM mint_job_items
+    WHERE job_id=$1
+    `,
+    [job.id, IN_FLIGHT]
+  );
+  const { open, minted } = r.rows[0];
+  if (open) return false;
+
+  if (!minted) {
+    await db.query(
+      "UPDATE mint_jobs SET status=$2, error=$3, updated_at=NOW() WHERE id=$1",
+      [job.id, cancelled ? "CANCELLED" : "FAILED", cancelled ? null : "No editions were minted"]
+    );
+    return true;
+  }
+
+  const marketplaceNftId = await createMarketplaceNft(db, {
+    ...job.listing,
+    submission_id: job.submission_id,
+    creator_wallet: job.creator_wallet,
+    quantity: minted
+  });
+
+  await db.query(
+    `
+    UPDATE mint_jobs
+    SET status='COMPLETED', marketplace_nft_id=$2, completed_at=NOW(), updated_at=NOW()
+    WHERE id=$1
+    `,
+    [job.id, marketplaceNftId]
+  );
+  return true;
+}
+
+// locks the job and closes it if it's done; true when it closed
+async function closeJob(jobId) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+    const j = await db.query("SELECT * FROM mint_jobs WHERE id=$1 FOR UPDATE", [jobId]);
+    const job = j.rows[0];
+    const closed = job?.status === "RUNNING" ? await closeIfDone(db, job) : false;
+    await db.query("COMMIT");
+    return closed;
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+// MINTED (+ token id, tokens appended to the submission) or FAILED
+async function recordMintResult(db, item, submissionId, tx) {
+  const code = tx.meta?.TransactionResult;
+  if (code !== "tesSUCCESS") {
+    await db.query(
+      "UPDATE mint_job_items SET status='FAILED', tx_hash=$2, error=$3, updated_at=NOW() WHERE id=$1",
+      [item.id, tx.hash, `ledger result ${code}`]
+    );
+    return;
+  }
+
+  const minted = mintedTokenIds(tx.meta);
+  await db.query(
+    `
+    UPDATE mint_job_items
+    SET status='MINTED', nftoken_id=$2, tx_hash=$3, tx_blob=NULL, error=NULL, updated_at=NOW()
+    WHERE id=$1
+    `,
+    [item.id, minted[0] ? String(minted[0]).toUpperCase() : null, tx.hash]
+  );
+  await recordMintedTokens(db, submissionId, minted);
+}
+
+// ------------------------------
+// CREATOR SIGNING
+// ------------------------------
+
+// Payload issuers claim an item (its `out` status, no payload yet) and
+// commit before calling Xaman, so the job row isn't locked across the HTTP
+// round trip; the payload is recorded on the claim afterwards.
+const MINT_PAYLOAD = { from: "PENDING", out: "SENT" };
+const CLAIM_PAYLOAD = { from: "OFFERED", out: "CLAIMING" };
+
+// a claim this old without a payload lost its sender and is reissued
+const CLAIM_TIMEOUT = "2 minutes";
+
+// With the job locked: { item } when one is already out, { item, claimed }
+// for a fresh (or lapsed) claim, null when nothing is left to send.
+async function claimNextItem(db, jobId, { from, out }) {
+  const current = await db.query(
+    `
+    SELECT *, payload_uuid IS NULL AND updated_at < NOW() - $3::interval AS stalled
+    FROM mint_job_items
+    WHERE job_id=$1 AND status=$2
+    `,
+    [jobId, out, CLAIM_TIMEOUT]
+  );
+  let item = current.rows[0];
+  if (item && !item.stalled) return { item };
+
+  if (!item) {
+    const next = await db.query(
+      `
+      SELECT * FROM mint_job_items
+      WHERE job_id=$1 AND status=$2
+      ORDER BY position ASC
+      LIMIT 1
+      `,
+      [jobId, from]
+    );
+    item = next.rows[0];
+    if (!item) return null;
+  }
+
+  const claimed = await db.query(
+    `
+    UPDATE mint_job_items
+    SET status=$2, payload_uuid=NULL, link=NULL, updated_at=NOW()
+    WHERE id=$1
+    RETURNING *
+    `,
+    [item.id, out]
+  );
+  return { item: claimed.rows[0], claimed: true };
+}
+
+// creates the claimed item's payload and records it; a failed create
+// hands the item back for the next call
+async function sendClaimedPayload(item, { from, out }, buildPayload) {
+  let xumm;
+  try {
+    xumm = await createPayload(buildPayload());
+  } catch (e) {
+    await pool.query(
+      `
+      UPDATE mint_job_items SET status=$2, updated_at=NOW()
+      WHERE id=$1 AND status=$3 AND payload_uuid IS NULL
+      `,
+      [item.id, from, out]
+    );
+    throw e;
+  }
+
+  const u = await pool.query(
+    `
+    UPDATE mint_job_items
+    SET payload_uuid=$2, link=$3, updated_at=NOW()
+    WHERE id=$1 AND status=$4 AND payload_uuid IS NULL
+    RETURNING *
+    `,
+    [item.id, xumm.uuid, xumm.link, out]
+  );
+  return u.rows[0] || null;
+}
+
+// Sends the payload for the next PENDING item unless one is already out;
+// closes the job when nothing is left.
+export async function issueNextMint(jobId) {
+  const db = await pool.connect();
+  let job;
+  let claim;
+  try {
+    await db.query("BEGIN");
+
+    const j = await db.query("SELECT * FROM mint_jobs WHERE id=$1 FOR UPDATE", [jobId]);
+    job = j.rows[0];
+    if (!job || job.status !== "RUNNING" || job.minter_wallet) {
+      await db.query("ROLLBACK");
+      return null;
+    }
+
+    claim = await claimNextItem(db, jobId, MINT_PAYLOAD);
+    if (!claim) {
+      await closeIfDone(db, job);
+    } else if (claim.claimed) {
+      await db.query("UPDATE mint_jobs SET updated_at=NOW() WHERE id=$1", [jobId]);
+    }
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  if (!claim?.claimed) return claim?.item || null;
+
+  return sendClaimedPayload(claim.item, MINT_PAYLOAD, () => mintPayload({
+    account: job.creator_wallet,
+    uri: job.uri,
+    taxon: job.taxon,
+    transferFee: job.transfer_fee,
+    flags: job.flags,
+    blob: {
+      action: "mint",
+      submission_id: job.submission_id,
+      mint_job_id: job.id,
+      mint_item_id: claim.item.id
+    },
+    returnTo: "creator",
+    userToken: job.user_token
+  }));
+}
+
+// webhook: a creator-signed mint went through; record it and issue the next
+export async function onMintSigned({ itemId, txHash, userToken }) {
+  const tx = await validatedTx(txHash);
+  if (!tx) return false; // not validated yet: the progress refresh catches up
+
+  const db = await pool.connect();
+  let jobId;
+  try {
+    await db.query("BEGIN");
+
+    const r = await db.query(
+      `
+      SELECT i.*, j.submission_id
+      FROM mint_job_items i
+      JOIN mint_jobs j ON j.id = i.job_id
+      WHERE i.id=$1
+      FOR UPDATE OF i
+      `,
+      [itemId]
+    );
+    const item = r.rows[0];
+    if (!item || item.status !== "SENT") {
+      await db.query("ROLLBACK");
+      return false;
+    }
+
+    await recordMintResult(db, item, item.submission_id, tx);
+    if (userToken) {
+      await db.query(
+        "UPDATE mint_jobs SET user_token=$2, updated_at=NOW() WHERE id=$1",
+        [item.job_id, userToken]
+      );
+    }
+
+    await db.query("COMMIT");
+    jobId = item.job_id;
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  await issueNextMint(jobId);
+  return true;
+}
+
+// ------------------------------
+// PLATFORM MINTER: DELIVERY
+// ------------------------------
+
+// Sends the accept payload for the next OFFERED edition unless one is out.
+export async function issueNextClaim(jobId) {
+  const db = await pool.connect();
+  let job;
+  let claim;
+  try {
+    await db.query("BEGIN");
+
+    const j = await db.query("SELECT * FROM mint_jobs WHERE id=$1 FOR UPDATE", [jobId]);
+    job = j.rows[0];
+    if (!job?.minter_wallet) {
+      await db.query("ROLLBACK");
+      return null;
+    }
+
+    claim = await claimNextItem(db, jobId, CLAIM_PAYLOAD);
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  if (!claim?.claimed) return claim?.item || null;
+
+  return sendClaimedPayload(claim.item, CLAIM_PAYLOAD, () => acceptOfferPayload({
+    account: job.creator_wallet,
+    sellOffer: claim.item.transfer_offer_index,
+    blob: { action: "mint_claim", mint_job_id: job.id, mint_item_id: claim.item.id },
+    returnTo: "creator",
+    userToken: job.user_token
+  }));
+}
+
+// webhook: the creator accepted an edition's transfer offer
+export async function onMintClaimSigned({ itemId, userToken }) {
+  const r = await pool.query(
+    `
+    UPDATE mint_job_items
+    SET status='DELIVERED', updated_at=NOW()
+    WHERE id=$1 AND status IN ('OFFERED','CLAIMING')
+    RETURNING job_id
+    `,
+    [itemId]
+  );
+  if (!r.rows.length) return false;
+
+  const jobId = r.rows[0].job_id;
+  if (userToken) {
+    await pool.query(
+      "UPDATE mint_jobs SET user_token=$2, updated_at=NOW() WHERE id=$1",
+      [jobId, userToken]
+    );
+  }
+
+  await issueNextClaim(jobId);
+  return true;
+}
+
+// ------------------------------
+// PLATFORM MINTER: WORKER
+// ------------------------------
+
+// { tx, searchedAll } for an item's in-flight tx, looked up only in the
+// ledgers between signing and its LastLedgerSequence
+function findSigned(item, hash) {
+  const lastLedger = Number(item.last_ledger_sequence);
+  return lookupTx(hash, {
+    minLedger: Number(item.signed_ledger_index || lastLedger - LEDGER_WINDOW),
+    maxLedger: lastLedger
+  });
+}
+
+// still inside its window: the stored blob is safe to submit again
+async function resubmit(item) {
+  if (item.tx_blob) await xrplRequest({ command: "submit", tx_blob: item.tx_blob });
+}
+
+async function awaitFullHistory(item) {
+  await pool.query(
+    "UPDATE mint_job_items SET error=$2, updated_at=NOW() WHERE id=$1",
+    [item.id, "expired; waiting for a server with full history of its ledgers"]
+  );
+}
+
+// the fields a signed minter tx leaves on its item
+function signedFields(prepared, signed, next) {
+  return [prepared.Sequence, prepared.LastLedgerSequence, signed.tx_blob, next.currentIndex];
+}
+
+// SUBMITTED: record from the ledger, resubmit, or back to PENDING once the
+// mint provably missed its window
+async function reconcileSubmitted(item, validatedIndex) {
+  const { tx, searchedAll } = await findSigned(item, item.tx_hash);
+
+  if (tx?.validated) {
+    const db = await pool.connect();
+    try {
+      await db.query("BEGIN");
+      const locked = await db.query(
+        "SELECT status FROM mint_job_items WHERE id=$1 FOR UPDATE",
+        [item.id]
+      );
+      if (locked.rows[0]?.status === "SUBMITTED") {
+        await recordMintResult(db, item, item.submission_id, tx);
+      }
+      await db.query("COMMIT");
+    } catch (e) {
+      await db.query("ROLLBACK");
+      throw e;
+    } finally {
+      db.release();
+    }
+    return;
+  }
+
+  if (validatedIndex <= Number(item.last_ledger_sequence)) return resubmit(item);
+  if (!searchedAll) return awaitFullHistory(item);
+
+  await pool.query(
+    `
+    UPDATE mint_job_items
+    SET status = CASE WHEN attempts >= $2 THEN 'FAILED' ELSE 'PENDING' END,
+        tx_hash = CASE WHEN attempts >= $2 THEN tx_hash ELSE NULL END,
+        sequence = NULL, last_ledger_sequence = NULL, signed_ledger_index = NULL, tx_blob = NULL,
+        error='expired before validation',
+        updated_at=NOW()
+    WHERE id=$1 AND status='SUBMITTED'
+    `,
+    [item.id, MAX_ATTEMPTS]
+  );
+}
+
+// PENDING: sign with the tracked Sequence, persist the hash as SUBMITTED, submit
+async function signAndSubmit(item, signer, next) {
+  const client = await getXrplClient();
+  const prepared = await client.autofill({
+    ...mintPayload({
+      account: signer.address,
+      issuer: item.creator_wallet,
+      uri: item.uri,
+      taxon: item.taxon,
+      transferFee: item.transfer_fee,
+      flags: item.flags
+    }).txjson,
+    Sequence: next.sequence,
+    LastLedgerSequence: next.currentIndex + LEDGER_WINDOW
+  });
+  const signed = signer.sign(prepared);
+
+  // reconcileSubmitted can only find the mint by the hash stored here
+  const claimed = await pool.query(
+    `
+    UPDATE mint_job_items
+    SET status='SUBMITTED', tx_hash=$2, sequence=$3, last_ledger_sequence=$4, tx_blob=$5,
+        signed_ledger_index=$6, attempts = attempts + 1, error=NULL, updated_at=NOW()
+    WHERE id=$1 AND status='PENDING'
+    `,
+    [item.id, signed.hash, ...signedFields(prepared, signed, next)]
+  );
+  if (!claimed.rowCount) return false;
+  next.sequence++;
+
+  const r = await xrplRequest({ command: "submit", tx_blob: signed.tx_blob });
+  const engineResult = r.result.engine_result;
+
+  // malformed: this blob can never apply, and the sequence is still free
+  if (engineResult.startsWith("tem")) {
+    next.sequence--;
+    await pool.query(
+      "UPDATE mint_job_items SET status='FAILED', tx_blob=NULL, error=$2, updated_at=NOW() WHERE id=$1",
+      [item.id, `rejected: ${engineResult}`]
+    );
+  }
+  return true;
+}
+
+// back to MINTED: retried by the next pass, or parked with `error` for an operator
+async function releaseOffer(item, error) {
+  await pool.query(
+    `
+    UPDATE mint_job_items
+    SET status='MINTED', sequence=NULL, last_ledger_sequence=NULL, signed_ledger_index=NULL,
+        tx_blob=NULL, error=$2, updated_at=NOW()
+    WHERE id=$1 AND status='OFFERING'
+    `,
+    [item.id, error]
+  );
+}
+
+// MINTED: zero-price sell offer from the minter to the creator, hash first
+async function signOffer(item, signer, next) {
+  const client = await getXrplClient();
+  const prepared = await client.autofill({
+    TransactionType: "NFTokenCreateOffer",
+    Account: signer.address,
+    NFTokenID: item.nftoken_id,
+    Amount: "0",
+    Flags: 1,
+    Destination: item.creator_wallet,
+    Sequence: next.sequence,
+    LastLedgerSequence: next.currentIndex + LEDGER_WINDOW
+  });
+  const signed = signer.sign(prepared);
+
+  const claimed = await pool.query(
+    `
+    UPDATE mint_job_items
+    SET status='OFFERING', offer_tx_hash=$2, sequence=$3, last_ledger_sequence=$4, tx_blob=$5,
+        signed_ledger_index=$6, offer_attempts = offer_attempts + 1, updated_at=NOW()
+    WHERE id=$1 AND status='MINTED' AND error IS NULL
+    `,
+    [item.id, signed.hash, ...signedFields(prepared, signed, next)]
+  );
+  if (!claimed.rowCount) return false;
+  next.sequence++;
+
+  const r = await xrplRequest({ command: "submit", tx_blob: signed.tx_blob });
+  const engineResult = r.result.engine_result;
+
+  if (engineResult.startsWith("tem")) {
+    next.sequence--;
+    await releaseOffer(item, `transfer offer rejected: ${engineResult}`);
+  }
+  return true;
+}
+
+// OFFERING: OFFERED once validated; an expired offer is re-signed up to
+// MAX_OFFER_ATTEMPTS times, a tec result parks the edition right away
+async function reconcileOffer(item, validatedIndex) {
+  const { tx, searchedAll } = await findSigned(item, item.offer_tx_hash);
+
+  if (tx?.validated) {
+    const code = tx.meta?.TransactionResult;
+    const offerIndex = offerIndexFromMeta(tx.meta);
+    if (code !== "tesSUCCESS" || !offerIndex) {
+      return releaseOffer(item, `transfer offer failed: ${code}`);
+    }
+
+    await pool.query(
+      `
+      UPDATE mint_job_items
+      SET status='OFFERED', transfer_offer_index=$2, tx_blob=NULL, error=NULL, updated_at=NOW()
+      WHERE id=$1 AND status='OFFERING'
+      `,
+      [item.id, offerIndex]
+    );
+    return;
+  }
+
+  if (validatedIndex <= Number(item.last_ledger_sequence)) return resubmit(item);
+  if (!searchedAll) return awaitFullHistory(item);
+
+  await releaseOffer(
+    item,
+    item.offer_attempts >= MAX_OFFER_ATTEMPTS
+      ? `transfer offer expired ${item.offer_attempts} times`
+      : null
+  );
+}
+
+// highest Sequence the minter has signed and not seen finalised, or null
+async function inFlightSequence(signer) {
+  const r = await pool.query(
+    `
+    SELECT MAX(i.sequence) AS seq
+    FROM mint_job_items i
+    JOIN mint_jobs j ON j.id = i.job_id
+    WHERE j.minter_wallet = $1 AND i.status IN ('SUBMITTED','OFFERING')
+    `,
+    [signer.address]
+  );
+  return r.rows[0].seq;
+}
+
+// signs `items` in order with one Sequence counter; stops at the first
+// error so the next pass re-reads the account. Returns how many went out.
+async function signEach(items, sign, label) {
+  let count = 0;
+  for (const item of items) {
+    try {
+      if (await sign(item)) count++;
+    } catch (e) {
+      console.error(`${label} error:`, { id: item.id, error: e?.message || e });
+      break;
+    }
+  }
+  return count;
+}
+
+let running = false;
+
+// One pass: finalise in-flight mints and offers, sign a batch of PENDING
+// mints, close finished jobs, then offer new editions to their creators.
+// Returns { checked, signed, closed, offered }.
+// Mints and offers share the minter's Sequence, so only one worker signs
+// (advisory lock), whichever server it's on.
+export async function processMints() {
+  const signer = minterWallet();
+  const idle = { checked: 0, signed: 0, closed: 0, offered: 0 };
+  if (!signer || running) return idle;
+  running = true;
+
+  let lock = null;
+  try {
+    lock = await pool.connect();
+    const got = await lock.query("SELECT pg_try_advisory_lock(hashtext('mint_worker')) AS ok");
+    if (!got.rows[0].ok) return idle;
+
+    try {
+      const state = await xrplRequest({ command: "ledger", ledger_index: "validated" });
+      const validatedIndex = Number(state.result.ledger_index);
+
+      // parked editions (MINTED with an error) wait for an operator
+      const items = (status, limit = 100) => pool.query(
+        `
+        SELECT i.*, j.submission_id, j.creator_wallet, j.uri, j.taxon, j.transfer_fee, j.flags
+        FROM mint_job_items i
+        JOIN mint_jobs j ON j.id = i.job_id
+        WHERE j.minter_wallet = $1 AND i.status = $2
+          AND (i.status <> 'MINTED' OR i.error IS NULL)
+        ORDER BY i.job_id, i.position
+        LIMIT $3
+        `,
+        [signer.address, status, limit]
+      );
+
+      const submitted = (await items("SUBMITTED")).rows;
+      const offering = (await items("OFFERING")).rows;
+      for (const [rows, reconcile, label] of [
+        [submitted, reconcileSubmitted, "mint reconcile"],
+        [offering, reconcileOffer, "mint transfer offer reconcile"]
+      ]) {
+        for (const item of rows) {
+          try {
+            await reconcile(item, validatedIndex);
+          } catch (e) {
+            console.error(`${label} error:`, { id: item.id, error: e?.message || e });
+          }
+        }
+      }
+
+      const pending = (await items("PENDING", SIGN_BATCH)).rows;
+      let signed = 0;
+      if (pending.length) {
+        const next = await nextSequence(signer.address, await inFlightSequence(signer));
+        signed = await signEach(pending, item => signAndSubmit(item, signer, next), "mint submit");
+      }
+
+      const open = await pool.query(
+        "SELECT id FROM mint_jobs WHERE minter_wallet=$1 AND status='RUNNING' ORDER BY id",
+        [signer.address]
+      );
+      let closed = 0;
+      for (const job of open.rows) {
+        if (await closeJob(job.id)) closed++;
+      }
+
+      const minted = (await items("MINTED", SIGN_BATCH)).rows;
+      let offered = 0;
+      if (minted.length) {
+        const next = await nextSequence(signer.address, await inFlightSequence(signer));
+        offered = await signEach(minted, item => signOffer(item, signer, next), "mint transfer offer");
+      }
+
+      return { checked: submitted.length + offering.length, signed, closed, offered };
+    } finally {
+      await lock.query("SELECT pg_advisory_unlock(hashtext('mint_worker'))");
+    }
+  } finally {
+    lock?.release();
+    running = false;
+  }
+}
+
+// Operator: clears a parked edition's transfer offer error so the worker
+// offers it again with a fresh attempt budget. Returns the item or null.
+export async function retryMintOffer(db, itemId) {
+  const r = await db.query(
+    `
+    UPDATE mint_job_items
+    SET error=NULL, offer_attempts=0, updated_at=NOW()
+    WHERE id=$1 AND status='MINTED' AND error IS NOT NULL
+      AND job_id IN (SELECT id FROM mint_jobs WHERE minter_wallet IS NOT NULL)
+    RETURNING *
+    `,
+    [itemId]
+  );
+  return r.rows[0] || null;
+}
+
+// run a pass soon without making the caller wait for it
+export function kickMints() {
+  setImmediate(() => {
+    processMints().catch(e => console.error("mint worker error:", e));
+  });
+}
+
+// ------------------------------
+// PROGRESS
+// ------------------------------
+
+// Catches up the outstanding payload if its webhook never arrived, and
+// reissues a claim whose payload never got recorded.
+async function refreshOutstanding(jobId) {
+  const unsent = await pool.query(
+    "SELECT status FROM mint_job_items WHERE job_id=$1 AND status IN ('SENT','CLAIMING') AND payload_uuid IS NULL",
+    [jobId]
+  );
+  for (const { status } of unsent.rows) {
+    await (status === "SENT" ? issueNextMint(jobId) : issueNextClaim(jobId));
+  }
+
+  const out = await pool.query(
+    `
+    SELECT * FROM mint_job_items
+    WHERE job_id=$1 AND status IN ('SENT','CLAIMING') AND payload_uuid IS NOT NULL
+    `,
+    [jobId]
+  );
+
+  for (const item of out.rows) {
+    const payload = await getPayload(item.payload_uuid);
+    if (!payload?.meta?.resolved && !payload?.meta?.expired && !payload?.meta?.cancelled) continue;
+
+    const signed = payload.meta.signed;
+    const userToken = payload.application?.issued_user_token;
+
+    if (item.status === "SENT") {
+      if (signed) {
+        await onMintSigned({ itemId: item.id, txHash: payload.response?.txid, userToken });
+        continue;
+      }
+      await pool.query(
+        "UPDATE mint_job_items SET status='SKIPPED', error=$2, updated_at=NOW() WHERE id=$1 AND status='SENT'",
+        [item.id, payload.meta.expired ? "payload expired" : "rejected in Xaman"]
+      );
+      await issueNextMint(jobId);
+      continue;
+    }
+
+    // CLAIMING: delivered once the accept validated; otherwise back to OFFERED
+    const tx = signed ? await validatedTx(payload.response?.txid) : null;
+    if (signed && !tx) continue;
+    if (tx?.meta?.TransactionResult === "tesSUCCESS") {
+      await onMintClaimSigned({ itemId: item.id, userToken });
+      continue;
+    }
+    await pool.query(
+      `
+      UPDATE mint_job_items
+      SET status='OFFERED', payload_uuid=NULL, link=NULL, updated_at=NOW()
+      WHERE id=$1 AND status='CLAIMING'
+      `,
+      [item.id]
+    );
+  }
+}
+
+export async function mintJobProgress(jobId, { refresh = false } = {}) {
+  if (refresh) await refreshOutstanding(jobId);
+
+  const j = await pool.query("SELECT * FROM mint_jobs WHERE id=$1", [jobId]);
+  if (!j.rows.length) return null;
+
+  const job = j.rows[0];
+  const items = await pool.query(
+    `
+    SELECT id, position, status, nftoken_id, tx_hash, link, transfer_offer_index, error
+    FROM mint_job_items
+    WHERE job_id=$1
+    ORDER BY position ASC
+    `,
+    [jobId]
+  );
+
+  const counts = {};
+  for (const i of items.rows) counts[i.status] = (counts[i.status] || 0) + 1;
+
+  return {
+    id: job.id,
+    submission_id: job.submission_id,
+    creator_wallet: job.creator_wallet,
+    minter_wallet: job.minter_wallet,
+    status: job.status,
+    uri: job.uri,
+    taxon: Number(job.taxon),
+    transfer_fee: job.transfer_fee,
+    royalty_percent: job.transfer_fee / 1000,
+    flags: job.flags,
+    quantity: job.quantity,
+    minted: items.rows.filter(i => i.nftoken_id).length,
+    counts,
+    next_link: items.rows.find(i => i.status === "SENT")?.link || null,
+    claim_link: items.rows.find(i => i.status === "CLAIMING")?.link || null,
+    marketplace_nft_id: job.marketplace_nft_id,
+    error: job.error,
+    created_at: job.created_at,
+    completed_at: job.completed_at,
+    items: items.rows
+  };
+}
+
+// the submission's most recent job id, or null
+export async function latestMintJob(submissionId) {
+  const r = await pool.query(
+    "SELECT id FROM mint_jobs WHERE submission_id=$1 ORDER BY id DESC LIMIT 1",
+    [submissionId]
+  );
+  return r.rows[0]?.id || null;
+}
+
+// Stops issuing new mints. Editions already minted (or still in flight on
+// the ledger) still get their marketplace row.
+export async function cancelMintJob(jobId) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    const j = await db.query("SELECT * FROM mint_jobs WHERE id=$1 FOR UPDATE", [jobId]);
+    const job = j.rows[0];
+    if (!job || job.status !== "RUNNING") {
+      await db.query("ROLLBACK");
+      return false;
+    }
+
+    await db.query(
+      `
+      UPDATE mint_job_items
+      SET status='SKIPPED', error='cancelled', updated_at=NOW()
+      WHERE job_id=$1 AND status IN ('PENDING','SENT')
+      `,
+      [jobId]
+    );
+    await closeIfDone(db, job, { cancelled: true });
+
+    await db.query("COMMIT");
+    return true;
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
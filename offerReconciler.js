@@ -0,0 +1,179 @@
+import { pool } from "./db.js";
+import { accountNfts, getXrplClient, ledgerError } from "./xrplPool.js";
+
+// ------------------------------
+// SELL OFFER RECONCILIATION
+// Checks every OPEN marketplace_sell_offers row against the ledger and
+// moves dead ones to CANCELLED / EXPIRED / USED / ORPHANED. Offers consumed
+// outside our purchase flow are counted as sales on marketplace_nfts; if
+// the accept tx reaches recordPurchase later it writes the order without
+// counting the sale again.
+// ------------------------------
+
+async function holdingsOf(account) {
+  const ids = new Set();
+  for await (const n of accountNfts(account)) ids.add(String(n.NFTokenID).toUpperCase());
+  return ids;
+}
+
+async function ledgerOffer(client, index) {
+  try {
+    const r = await client.request({
+      command: "ledger_entry",
+      index,
+      ledger_index: "validated"
+    });
+    return r.result.node;
+  } catch (e) {
+    if (ledgerError(e) === "entryNotFound") return null;
+    throw e;
+  }
+}
+
+// Clio-only; null when the server doesn't support it
+async function nftInfo(client, nftokenId) {
+  try {
+    const r = await client.request({ command: "nft_info", nft_id: nftokenId });
+    return r.result;
+  } catch {
+    return null;
+  }
+}
+
+// decide the new status for one OPEN row, or null if it is still live
+async function classify(client, row, ctx) {
+  if (!row.nft_exists) {
+    return { to: "ORPHANED", reason: "marketplace NFT row missing" };
+  }
+
+  const node = await ledgerOffer(client, row.sell_offer_index);
+
+  if (node) {
+    if (String(node.NFTokenID).toUpperCase() !== String(row.nftoken_id).toUpperCase()) {
+      return { to: "ORPHANED", reason: "offer is for a different token" };
+    }
+    if (node.Expiration && node.Expiration <= ctx.closeTime) {
+      return { to: "EXPIRED", reason: "offer expired on ledger" };
+    }
+    return null;
+  }
+
+  // offer is gone: still held by the creator means it was cancelled (or pruned)
+  if (!ctx.holdings.has(row.creator_wallet)) {
+    ctx.holdings.set(row.creator_wallet, await holdingsOf(row.creator_wallet));
+  }
+  if (ctx.holdings.get(row.creator_wallet).has(String(row.nftoken_id).toUpperCase())) {
+    return { to: "CANCELLED", reason: "offer removed, creator still holds token" };
+  }
+
+  const info = await nftInfo(client, row.nftoken_id);
+  if (info?.is_burned) {
+    return { to: "ORPHANED", reason: "token burned" };
+  }
+
+  return { to: "USED", reason: "offer consumed outside marketplace flow", sale: true };
+}
+
+// Returns a diff report. With dryRun nothing is written.
+export async function reconcileSellOffers({ dryRun = true } = {}) {
+  const open = await pool.query(`
+    SELECT
+      o.*,
+      m.creator_wallet,
+      m.quantity,
+      m.sold_count,
+      (m.id IS NOT NULL) AS nft_exists
+    FROM marketplace_sell_offers o
+    LEFT JOIN marketplace_nfts m ON m.id = o.marketplace_nft_id
+    WHERE COALESCE(o.status,'OPEN') = 'OPEN'
+    ORDER BY o.id ASC
+  `);
+
+  const report = {
+    dryRun,
+    checked: open.rows.length,
+    changes: [],
+    inventory: [],
+    errors: []
+  };
+  if (!open.rows.length) return report;
+
+  const client = await getXrplClient();
+  const ledger = await client.request({ command: "ledger", ledger_index: "validated" });
+  const ctx = { closeTime: ledger.result.ledger.close_time, holdings: new Map() };
+
+  for (const row of open.rows) {
+    try {
+      const verdict = await classify(client, row, ctx);
+      if (verdict) {
+        report.changes.push({
+          id: row.id,
+          marketplace_nft_id: row.marketplace_nft_id,
+          nftoken_id: row.nftoken_id,
+          sell_offer_index: row.sell_offer_index,
+          currency: row.currency,
+          from: "OPEN",
+          to: verdict.to,
+          reason: verdict.reason,
+          sale: !!verdict.sale
+        });
+      }
+    } catch (e) {
+      report.errors.push({ id: row.id, error: e?.data?.error || e.message });
+    }
+  }
+
+  // untracked sales per NFT
+  const sales = new Map();
+  for (const c of report.changes) {
+    if (c.sale) sales.set(c.marketplace_nft_id, (sales.get(c.marketplace_nft_id) || 0) + 1);
+  }
+  for (const [nftId, count] of sales) {
+    const row = open.rows.find(r => r.marketplace_nft_id === nftId);
+    report.inventory.push({
+      marketplace_nft_id: nftId,
+      quantity: { before: row.quantity, after: Math.max(Number(row.quantity || 0) - count, 0) },
+      sold_count: { before: row.sold_count, after: Number(row.sold_count || 0) + count }
+    });
+  }
+
+  if (dryRun || !report.changes.length) return report;
+
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    for (const c of report.changes) {
+      const u = await db.query(
+        `
+        UPDATE marketplace_sell_offers
+        SET status=$2
+        WHERE id=$1 AND COALESCE(status,'OPEN')='OPEN'
+        `,
+        [c.id, c.to]
+      );
+
+      // skip rows that changed under us (e.g. the webhook marked it USED)
+      if (u.rowCount && c.sale) {
+        await db.query(
+          `
+          UPDATE marketplace_nfts
+          SET quantity = GREATEST(COALESCE(quantity,0) - 1, 0),
+              sold_count = COALESCE(sold_count,0) + 1
+          WHERE id = $1
+          `,
+          [c.marketplace_nft_id]
+        );
+      }
+    }
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  return report;
+}
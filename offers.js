@@ -0,0 +1,342 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import {
+  acceptOfferPayload,
+  buyOfferPayload,
+  cancelOfferPayload,
+  createPayload,
+  sellOfferPayload
+} from "./xaman.js";
+import { findOpenSellOffer, recordPurchase } from "./marketRecords.js";
+import { getCurrency, ledgerAmount, nftPrice, toUnits } from "./currencies.js";
+import { preflightPayment } from "./preflight.js";
+
+// ------------------------------
+// MAKE AN OFFER / COUNTER
+// A buyer proposes a lower price with a buy offer on the listed edition
+// (tracked in offers_received). The creator accepts it (NFTokenAcceptOffer
+// on the buy offer), rejects it, or counters with a sell offer whose
+// Destination is the buyer. Every offer carries an XRPL Expiration.
+// ------------------------------
+
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 30 * 24;
+
+export async function getOffer(offerId) {
+  const r = await pool.query("SELECT * FROM offers_received WHERE id=$1", [offerId]);
+  return r.rows[0] || null;
+}
+
+function rippleExpiration(date) {
+  return xrpl.unixTimeToRippleTime(new Date(date).getTime());
+}
+
+// ------------------------------
+// BUYER
+// ------------------------------
+
+// Returns { offer_id, link } or { error } (a preflight failure when the
+// buyer can't cover the amount).
+export async function makeOffer({ nft, buyer, currency, amount, ttlHours }) {
+  if (buyer === nft.creator_wallet) return { error: "You can't make an offer on your own NFT" };
+
+  const cur = await getCurrency(currency);
+  if (!cur) return { error: "Unsupported currency" };
+
+  const listing = await findOpenSellOffer(pool, nft.id, cur.code);
+  if (!listing) return { error: `No ${cur.code} listing to make an offer on` };
+
+  const units = toUnits(cur, amount);
+  const listPrice = await nftPrice(pool, nft.id, cur.code);
+  if (!(units > 0)) return { error: "Invalid amount" };
+  if (listPrice !== null && units >= toUnits(cur, listPrice)) {
+    return { error: "Offer is at or above the list price; buy it instead" };
+  }
+
+  const cantPay = await preflightPayment({ wallet: buyer, cur, units });
+  if (cantPay) return cantPay;
+
+  const hours = Math.min(Number(ttlHours) || DEFAULT_TTL_HOURS, MAX_TTL_HOURS);
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  const ins = await pool.query(
+    `
+    INSERT INTO offers_received
+      (marketplace_nft_id, nftoken_id, sell_offer_index, creator_wallet, buyer_wallet, currency, amount, expires_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    RETURNING id
+    `,
+    [nft.id, listing.nftoken_id, listing.sell_offer_index, nft.creator_wallet, buyer, cur.code, String(amount), expiresAt]
+  );
+  const offerId = ins.rows[0].id;
+
+  const xumm = await createPayload(buyOfferPayload({
+    account: buyer,
+    owner: nft.creator_wallet,
+    nftokenId: listing.nftoken_id,
+    amount: ledgerAmount(cur, units),
+    expiration: rippleExpiration(expiresAt),
+    blob: { action: "offer_made", offer_id: offerId },
+    returnTo: "buyer"
+  }));
+
+  await pool.query(
+    "UPDATE offers_received SET payload_uuid=$2, link=$3, updated_at=NOW() WHERE id=$1",
+    [offerId, xumm.uuid, xumm.link]
+  );
+
+  return { offer_id: offerId, link: xumm.link, expires_at: expiresAt };
+}
+
+// cancel payload for the buyer's buy offer (after reject, counter or withdraw)
+async function sendBuyerCancel(offer) {
+  if (!offer.buy_offer_index || offer.cancel_link) return offer.cancel_link || null;
+
+  const xumm = await createPayload(cancelOfferPayload({
+    account: offer.buyer_wallet,
+    offers: [offer.buy_offer_index],
+    blob: { action: "offer_cancel", offer_id: offer.id },
+    returnTo: "buyer",
+    userToken: offer.user_token
+  }));
+
+  await pool.query(
+    "UPDATE offers_received SET cancel_link=$2, updated_at=NOW() WHERE id=$1",
+    [offer.id, xumm.link]
+  );
+  return xumm.link;
+}
+
+export async function withdrawOffer(offer) {
+  const r = await pool.query(
+    `
+    UPDATE offers_received SET status='WITHDRAWN', updated_at=NOW()
+    WHERE id=$1 AND status IN ('PENDING','OPEN','COUNTERED')
+    RETURNING *
+    `,
+    [offer.id]
+  );
+  if (!r.rows.length) return null;
+  return { ok: true, cancel_link: await sendBuyerCancel(r.rows[0]) };
+}
+
+// ------------------------------
+// CREATOR
+// ------------------------------
+function isLive(offer) {
+  return offer.status === "OPEN" && new Date(offer.expires_at) > new Date();
+}
+
+export async function acceptOffer(offer) {
+  if (!isLive(offer)) return { error: "Offer is no longer open" };
+
+  const xumm = await createPayload(acceptOfferPayload({
+    account: offer.creator_wallet,
+    buyOffer: offer.buy_offer_index,
+    blob: { action: "offer_accept", offer_id: offer.id },
+    returnTo: "creator"
+  }));
+
+  await pool.query(
+    "UPDATE offers_received SET accept_link=$2, updated_at=NOW() WHERE id=$1",
+    [offer.id, xumm.link]
+  );
+  return { link: xumm.link };
+}
+
+export async function rejectOffer(offer) {
+  const r = await pool.query(
+    `
+    UPDATE offers_received SET status='REJECTED', updated_at=NOW()
+    WHERE id=$1 AND status='OPEN'
+    RETURNING *
+    `,
+    [offer.id]
+  );
+  if (!r.rows.length) return { error: "Offer is no longer open" };
+
+  await sendBuyerCancel(r.rows[0]);
+  return { ok: true };
+}
+
+// creator signs a sell offer for `amount` that only the buyer can take
+export async function counterOffer(offer, amount) {
+  if (!isLive(offer)) return { error: "Offer is no longer open" };
+
+  const cur = await getCurrency(offer.currency);
+  if (!cur) return { error: "Offer currency is no longer enabled" };
+
+  const units = toUnits(cur, amount);
+  if (!(units > toUnits(cur, offer.amount))) {
+    return { error: "Counter must be above the buyer's offer" };
+  }
+
+  const xumm = await createPayload(sellOfferPayload({
+    account: offer.creator_wallet,
+    nftokenId: offer.nftoken_id,
+    amount: ledgerAmount(cur, units),
+    destination: offer.buyer_wallet,
+    expiration: rippleExpiration(offer.expires_at),
+    blob: { action: "offer_counter", offer_id: offer.id },
+    returnTo: "creator"
+  }));
+
+  await pool.query(
+    "UPDATE offers_received SET counter_amount=$2, counter_link=$3, updated_at=NOW() WHERE id=$1",
+    [offer.id, String(amount), xumm.link]
+  );
+  return { link: xumm.link };
+}
+
+// ------------------------------
+// WEBHOOK
+// ------------------------------
+
+// buyer's buy offer is on ledger
+export async function onOfferSigned({ offerId, account, buyOfferIndex, userToken }) {
+  await pool.query(
+    `
+    UPDATE offers_received
+    SET status='OPEN', buy_offer_index=$3, user_token=COALESCE($4, user_token), updated_at=NOW()
+    WHERE id=$1 AND buyer_wallet=$2 AND status='PENDING'
+    `,
+    [offerId, account, String(buyOfferIndex), userToken || null]
+  );
+}
+
+// creator's counter sell offer is on ledger: hand the buyer an accept payload
+export async function onCounterSigned({ offerId, account, sellOfferIndex }) {
+  const r = await pool.query(
+    `
+    UPDATE offers_received
+    SET status='COUNTERED', counter_sell_offer_index=$3, updated_at=NOW()
+    WHERE id=$1 AND creator_wallet=$2 AND status='OPEN'
+    RETURNING *
+    `,
+    [offerId, account, String(sellOfferIndex)]
+  );
+  if (!r.rows.length) return;
+
+  const offer = r.rows[0];
+  const xumm = await createPayload(acceptOfferPayload({
+    account: offer.buyer_wallet,
+    sellOffer: offer.counter_sell_offer_index,
+    blob: { action: "counter_accept", offer_id: offer.id },
+    returnTo: "buyer",
+    userToken: offer.user_token
+  }));
+
+  await pool.query(
+    "UPDATE offers_received SET counter_accept_link=$2, updated_at=NOW() WHERE id=$1",
+    [offer.id, xumm.link]
+  );
+
+  // the original buy offer is superseded by the counter
+  await sendBuyerCancel(offer);
+}
+
+// ------------------------------
+// SETTLE
+// A negotiated sale went through: the creator accepted the buy offer, or
+// the buyer accepted the counter. Called by the webhook and the ledger
+// listener. Returns true when the order was recorded now.
+// ------------------------------
+export async function settleOfferSale({ buyOfferIndex, sellOfferIndex, txHash }) {
+  const r = await pool.query(
+    `
+    SELECT * FROM offers_received
+    WHERE ($1::text IS NOT NULL AND buy_offer_index = $1)
+       OR ($2::text IS NOT NULL AND counter_sell_offer_index = $2)
+    `,
+    [buyOfferIndex ? String(buyOfferIndex) : null, sellOfferIndex ? String(sellOfferIndex) : null]
+  );
+  if (!r.rows.length) return false;
+
+  const offer = r.rows[0];
+  const countered = Boolean(sellOfferIndex) && offer.counter_sell_offer_index === String(sellOfferIndex);
+
+  const client = await pool.connect();
+  let recorded;
+  try {
+    recorded = await recordPurchase(client, {
+      marketplaceNftId: offer.marketplace_nft_id,
+      buyer: offer.buyer_wallet,
+      currency: offer.currency,
+      txHash,
+      // the listing's sell offer died with the transfer
+      sellOfferIndex: offer.sell_offer_index,
+      price: countered ? offer.counter_amount : offer.amount,
+      saleMode: "OFFER"
+    });
+  } finally {
+    client.release();
+  }
+
+  await pool.query(
+    "UPDATE offers_received SET status='ACCEPTED', tx_hash=$2, updated_at=NOW() WHERE id=$1",
+    [offer.id, txHash]
+  );
+
+  // other open offers on this edition can't be filled any more
+  await pool.query(
+    `
+    UPDATE offers_received SET status='EXPIRED', updated_at=NOW()
+    WHERE UPPER(nftoken_id)=UPPER($1) AND id <> $2 AND status IN ('PENDING','OPEN','COUNTERED')
+    `,
+    [offer.nftoken_id, offer.id]
+  );
+
+  return recorded;
+}
+
+// sweeper: offers past their XRPL Expiration
+export async function expireOffers() {
+  const r = await pool.query(`
+    UPDATE offers_received SET status='EXPIRED', updated_at=NOW()
+    WHERE status IN ('PENDING','OPEN','COUNTERED') AND expires_at <= NOW()
+  `);
+  return r.rowCount;
+}
+
+// ------------------------------
+// READS
+// ------------------------------
+const OFFER_COLUMNS = `
+  o.id, o.marketplace_nft_id, o.nftoken_id, o.buyer_wallet, o.creator_wallet,
+  o.currency, o.amount, o.counter_amount, o.status, o.expires_at, o.created_at, o.updated_at,
+  n.name, n.image_cid
+`;
+
+// incoming offers for a creator; `accept_link` / `counter_link` are theirs to sign
+export async function offersForCreator(wallet, { status, marketplaceNftId, limit, offset }) {
+  const r = await pool.query(
+    `
+    SELECT ${OFFER_COLUMNS}, o.accept_link, o.counter_link
+    FROM offers_received o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE o.creator_wallet = $1
+      AND o.status <> 'PENDING'
+      AND ($2::text IS NULL OR o.status = $2)
+      AND ($3::int IS NULL OR o.marketplace_nft_id = $3)
+    ORDER BY o.created_at DESC
+    LIMIT $4 OFFSET $5
+    `,
+    [wallet, status || null, marketplaceNftId || null, limit, offset]
+  );
+  return r.rows;
+}
+
+export async function offersByBuyer(wallet, { limit, offset }) {
+  const r = await pool.query(
+    `
+    SELECT ${OFFER_COLUMNS}, o.link, o.counter_accept_link, o.cancel_link
+    FROM offers_received o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE o.buyer_wallet = $1
+    ORDER BY o.created_at DESC
+    LIMIT $2 OFFSET $3
+    `,
+    [wallet, limit, offset]
+  );
+  return r.rows;
+}
@@ -0,0 +1,316 @@
+import { pool } from "./db.js";
+import { enqueueNotification, notifyCreator } from "./notifications.js";
+import { emitWebhookEvent } from "./partnerWebhooks.js";
+
+// ------------------------------
+// ORDER LIFECYCLE (redemptions)
+// PAID → REDEEM_REQUESTED → IN_PROGRESS → FULFILLED, or REJECTED.
+// Refund path: the buyer asks (REFUND_REQUESTED, after a rejection) and an
+// admin records the refund (REFUNDED); admins can also refund directly.
+// TRANSFERRED is set by the system when the holder resells the edition; the
+// new owner's order carries the redemption from then on.
+// Every transition, and every note, is a row in order_events.
+// ------------------------------
+
+// from → to → roles allowed to make that move
+const TRANSITIONS = {
+  PAID: {
+    REDEEM_REQUESTED: ["buyer"],
+    REFUNDED: ["admin"]
+  },
+  REDEEM_REQUESTED: {
+    IN_PROGRESS: ["creator", "admin"],
+    REJECTED: ["creator", "admin"],
+    REFUNDED: ["admin"]
+  },
+  IN_PROGRESS: {
+    FULFILLED: ["creator", "admin"],
+    REJECTED: ["creator", "admin"],
+    REFUNDED: ["admin"]
+  },
+  REJECTED: {
+    REFUND_REQUESTED: ["buyer"],
+    REFUNDED: ["admin"]
+  },
+  REFUND_REQUESTED: {
+    REFUNDED: ["admin"]
+  },
+  FULFILLED: {},
+  REFUNDED: {},
+  TRANSFERRED: {}
+};
+
+export const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// statuses a creator still has to act on
+const OPEN_REDEMPTION_STATUSES = ["REDEEM_REQUESTED", "IN_PROGRESS"];
+
+const MAX_NOTE = 2000;
+const MAX_ATTACHMENTS = 10;
+
+// attachments: [{ name?, cid } | { name?, url }] — IPFS CIDs or http(s) urls
+function parseAttachments(raw) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw) || raw.length > MAX_ATTACHMENTS) return null;
+
+  const out = [];
+  for (const a of raw) {
+    const name = a?.name ? String(a.name).trim().slice(0, 200) : null;
+
+    if (a?.cid && /^[A-Za-z0-9]+$/.test(String(a.cid))) {
+      out.push({ name, cid: String(a.cid) });
+      continue;
+    }
+
+    try {
+      const url = new URL(String(a?.url));
+      if (!["http:", "https:"].includes(url.protocol)) return null;
+      out.push({ name, url: url.toString() });
+    } catch {
+      return null;
+    }
+  }
+  return out;
+}
+
+function parseNote(raw) {
+  if (raw === undefined || raw === null) return null;
+  const note = String(raw).trim();
+  return note.length > MAX_NOTE ? NaN : note || null;
+}
+
+// roles `actor` plays on this order (a creator can buy their own item)
+function rolesOn(order, actor) {
+  if (actor.admin) return ["admin"];
+  const roles = [];
+  if (actor.wallet && actor.wallet === order.creator_wallet) roles.push("creator");
+  if (actor.wallet && actor.wallet === order.buyer_wallet) roles.push("buyer");
+  return roles;
+}
+
+function actorLabel(actor, role) {
+  return actor.admin ? actor.admin.actor : `${role}:${actor.wallet}`;
+}
+
+// orders.id is a SERIAL; anything else can't name an order
+function parseOrderId(raw) {
+  const id = Number(raw);
+  return Number.isInteger(id) && id > 0 && id <= 2147483647 ? id : null;
+}
+
+async function lockOrder(db, orderId) {
+  const r = await db.query(
+    `
+    SELECT o.*, n.creator_wallet, n.name
+    FROM orders o
+    LEFT JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE o.id=$1
+    FOR UPDATE OF o
+    `,
+    [orderId]
+  );
+  return r.rows[0] || null;
+}
+
+async function insertEvent(db, { orderId, from, to, actor, note, attachments }) {
+  const r = await db.query(
+    `
+    INSERT INTO order_events (order_id, from_status, to_status, actor, note, attachments)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    RETURNING *
+    `,
+    [orderId, from, to, actor, note, JSON.stringify(attachments || [])]
+  );
+  return r.rows[0];
+}
+
+// mail the other party (and the creator's webhooks) about the steps they care about
+async function notifyTransition(db, order, event) {
+  const data = {
+    order_id: order.id,
+    name: order.name,
+    buyer_wallet: order.buyer_wallet,
+    buyer_email: order.buyer_email,
+    note: event.note
+  };
+
+  if (event.to_status === "REDEEM_REQUESTED" && order.creator_wallet) {
+    await notifyCreator(db, order.creator_wallet, {
+      template: "redeem_requested",
+      data,
+      dedupeKey: `order_event:${event.id}`
+    });
+
+    // partner sites don't get the buyer's email
+    await emitWebhookEvent(db, {
+      type: "order.redeem_requested",
+      creatorWallet: order.creator_wallet,
+      data: {
+        order_id: order.id,
+        marketplace_nft_id: order.marketplace_nft_id,
+        name: order.name,
+        buyer_wallet: order.buyer_wallet,
+        note: event.note
+      }
+    });
+  }
+
+  if (event.to_status === "FULFILLED") {
+    await enqueueNotification(db, {
+      template: "redemption_fulfilled",
+      to: order.buyer_email,
+      data,
+      dedupeKey: `order_event:${event.id}`
+    });
+  }
+}
+
+// Moves an order to `to`. actor: { wallet } for buyers/creators or
+// { admin } (req.admin). extra: { buyerEmail, refundTxHash }.
+// audit(db, { order, event }) runs inside the transaction, so an admin's
+// audit row commits with the change or not at all.
+// Returns { order, event } or { status, error }.
+export async function transitionOrder({ orderId, to, actor, note, attachments, extra = {}, audit }) {
+  const status = String(to || "").toUpperCase();
+  if (!TRANSITIONS[status]) return { status: 400, error: `status must be one of ${ORDER_STATUSES.join(", ")}` };
+
+  const cleanNote = parseNote(note);
+  const files = parseAttachments(attachments);
+  if (Number.isNaN(cleanNote)) return { status: 400, error: `note is limited to ${MAX_NOTE} characters` };
+  if (!files) return { status: 400, error: `attachments must be up to ${MAX_ATTACHMENTS} cids or http(s) urls` };
+  if (status === "REJECTED" && !cleanNote) return { status: 400, error: "A rejection needs a note" };
+
+  const id = parseOrderId(orderId);
+  if (!id) return { status: 404, error: "Order not found" };
+
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    const order = await lockOrder(db, id);
+    const roles = order ? rolesOn(order, actor) : [];
+    if (!roles.length) {
+      await db.query("ROLLBACK");
+      return { status: 404, error: "Order not found" };
+    }
+
+    const allowed = TRANSITIONS[order.status]?.[status];
+    if (!allowed) {
+      await db.query("ROLLBACK");
+      return { status: 409, error: `Order is ${order.status}; it can't move to ${status}` };
+    }
+    const role = allowed.find(r => roles.includes(r));
+    if (!role) {
+      await db.query("ROLLBACK");
+      return { status: 403, error: `Only ${allowed.join(" or ")} can move an order to ${status}` };
+    }
+
+    const updated = await db.query(
+      `
+      UPDATE orders
+      SET status=$2,
+          buyer_email=COALESCE($3, buyer_email),
+          refund_tx_hash=COALESCE($4, refund_tx_hash),
+          status_updated_at=NOW()
+      WHERE id=$1
+      RETURNING *
+      `,
+      [order.id, status, extra.buyerEmail || null, extra.refundTxHash || null]
+    );
+
+    const event = await insertEvent(db, {
+      orderId: order.id,
+      from: order.status,
+      to: status,
+      actor: actorLabel(actor, role),
+      note: cleanNote,
+      attachments: files
+    });
+
+    await notifyTransition(db, { ...order, ...updated.rows[0] }, event);
+    if (audit) await audit(db, { order: updated.rows[0], event });
+
+    await db.query("COMMIT");
+    return { order: updated.rows[0], event };
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+// note / attachments without a status change (to_status stays NULL)
+export async function addOrderNote({ orderId, actor, note, attachments }) {
+  const cleanNote = parseNote(note);
+  const files = parseAttachments(attachments);
+  if (Number.isNaN(cleanNote)) return { status: 400, error: `note is limited to ${MAX_NOTE} characters` };
+  if (!files) return { status: 400, error: `attachments must be up to ${MAX_ATTACHMENTS} cids or http(s) urls` };
+  if (!cleanNote && !files.length) return { status: 400, error: "Missing note" };
+
+  const order = await getOrderFor(orderId, actor);
+  if (!order) return { status: 404, error: "Order not found" };
+
+  const event = await insertEvent(pool, {
+    orderId: order.id,
+    from: order.status,
+    to: null,
+    actor: actorLabel(actor, rolesOn(order, actor)[0]),
+    note: cleanNote,
+    attachments: files
+  });
+  return { event };
+}
+
+// the order if `actor` is its buyer, its creator or an admin
+export async function getOrderFor(orderId, actor) {
+  const id = parseOrderId(orderId);
+  if (!id) return null;
+
+  const r = await pool.query(
+    `
+    SELECT o.*, n.creator_wallet, n.name
+    FROM orders o
+    LEFT JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE o.id=$1
+    `,
+    [id]
+  );
+  const order = r.rows[0];
+  return order && rolesOn(order, actor).length ? order : null;
+}
+
+export async function orderEvents(orderId) {
+  const r = await pool.query(
+    "SELECT * FROM order_events WHERE order_id=$1 ORDER BY id ASC",
+    [orderId]
+  );
+  return r.rows;
+}
+
+// redemptions on a creator's items; default: the ones still needing action
+export async function creatorRedemptions(wallet, { status, limit, offset }) {
+  const statuses = status ? [status] : OPEN_REDEMPTION_STATUSES;
+
+  const r = await pool.query(
+    `
+    SELECT
+      o.id, o.marketplace_nft_id, o.buyer_wallet, o.buyer_email, o.status,
+      o.price, o.currency, o.created_at, o.status_updated_at,
+      n.name, n.image_cid,
+      (
+        SELECT e.created_at FROM order_events e
+        WHERE e.order_id = o.id AND e.to_status = 'REDEEM_REQUESTED'
+        ORDER BY e.id DESC LIMIT 1
+      ) AS redeem_requested_at
+    FROM orders o
+    JOIN marketplace_nfts n ON n.id = o.marketplace_nft_id
+    WHERE n.creator_wallet = $1
+      AND o.status = ANY($2::text[])
+    ORDER BY o.status_updated_at ASC NULLS FIRST, o.id ASC
+    LIMIT $3 OFFSET $4
+    `,
+    [wallet, statuses, limit, offset]
+  );
+  return r.rows;
+}
@@ -0,0 +1,390 @@
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { pool } from "./db.js";
+
+// ------------------------------
+// OUTBOUND WEBHOOKS (creators & partner sites)
+// A creator registers endpoints for their own items. Events are queued as
+// one webhook_deliveries row per subscribed endpoint, in the same
+// transaction as the DB change that caused them, and POSTed by the sender
+// with retries. Every attempt is logged in webhook_delivery_attempts.
+//
+// Each POST carries:
+//   X-CFC-Event: order.paid
+//   X-CFC-Delivery: <delivery id>
+//   X-CFC-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+// Receivers should check v1 and reject stale t.
+// ------------------------------
+
+export const WEBHOOK_EVENTS = [
+  "offer.created",
+  "order.paid",
+  "order.redeem_requested",
+  "listing.delisted"
+];
+
+const MAX_ENDPOINTS_PER_WALLET = 10;
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 30 * 1000; // 30s, doubling per attempt
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const SEND_BATCH = 20;
+
+// dev only: allow http:// and localhost endpoints
+const ALLOW_INSECURE = process.env.WEBHOOKS_ALLOW_INSECURE === "true";
+
+const ENDPOINT_COLUMNS = "id, owner_wallet, url, events, active, created_at, disabled_at";
+
+// ------------------------------
+// ENDPOINTS
+// ------------------------------
+
+// loopback, private, link-local, CGNAT, documentation, benchmarking,
+// multicast and other special-purpose ranges (IANA registries)
+const RESERVED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24],
+  ["192.88.99.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+  ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  RESERVED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["64:ff9b:1::", 48],
+  ["100::", 64], ["2001::", 23], ["2001:db8::", 32], ["2002::", 16], ["fc00::", 7],
+  ["fe80::", 10], ["fec0::", 10], ["ff00::", 8]
+]) {
+  RESERVED.addSubnet(prefix, bits, "ipv6");
+}
+
+// BlockList checks IPv4-mapped IPv6 (::ffff:a.b.c.d) against the IPv4 ranges
+function isReservedAddress(ip) {
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return RESERVED.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function isPrivateHost(hostname) {
+  const h = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (h === "localhost" || h.endsWith(".localhost") || h.endsWith(".local")) return true;
+  return net.isIP(h) ? isReservedAddress(h) : false;
+}
+
+// dns.lookup that refuses private and reserved answers. Endpoints are
+// checked again on every send, so a name that passed at registration can't
+// be re-pointed at an internal address later.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (!addresses.length || addresses.some(a => isReservedAddress(a.address))) {
+      const e = new Error(`${hostname} resolves to a private or reserved address`);
+      e.code = "EADDRNOTPUBLIC";
+      return callback(e);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// dev (ALLOW_INSECURE) sends through the default agents
+const SEND_AGENTS = ALLOW_INSECURE
+  ? {}
+  : {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+
+function parseEndpointUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    return null;
+  }
+  if (ALLOW_INSECURE) return ["http:", "https:"].includes(url.protocol) ? url.toString() : null;
+  if (url.protocol !== "https:" || isPrivateHost(url.hostname)) return null;
+  return url.toString();
+}
+
+// Returns the endpoint with its secret (shown once) or { error }.
+export async function createEndpoint(wallet, { url, events }) {
+  const cleanUrl = parseEndpointUrl(url);
+  if (!cleanUrl) return { error: "url must be a public https url" };
+
+  const wanted = events === undefined ? WEBHOOK_EVENTS : events;
+  if (!Array.isArray(wanted) || !wanted.length || wanted.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    return { error: `events must be a list of ${WEBHOOK_EVENTS.join(", ")}` };
+  }
+
+  const count = await pool.query(
+    "SELECT COUNT(*)::int AS n FROM webhook_endpoints WHERE owner_wallet=$1 AND active",
+    [wallet]
+  );
+  if (count.rows[0].n >= MAX_ENDPOINTS_PER_WALLET) {
+    return { error: `At most ${MAX_ENDPOINTS_PER_WALLET} active endpoints` };
+  }
+
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  const r = await pool.query(
+    `
+    INSERT INTO webhook_endpoints (owner_wallet, url, events, secret)
+    VALUES ($1,$2,$3,$4)
+    RETURNING ${ENDPOINT_COLUMNS}
+    `,
+    [wallet, cleanUrl, [...new Set(wanted)], secret]
+  );
+  return { ...r.rows[0], secret };
+}
+
+export async function listEndpoints(wallet) {
+  const r = await pool.query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE owner_wallet=$1 ORDER BY id`,
+    [wallet]
+  );
+  return r.rows;
+}
+
+export async function getEndpoint(id, wallet) {
+  const r = await pool.query(
+    `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id=$1 AND owner_wallet=$2`,
+    [id, wallet]
+  );
+  return r.rows[0] || null;
+}
+
+// disabled endpoints stop getting new events; queued deliveries are dropped
+export async function disableEndpoint(id, wallet) {
+  const r = await pool.query(
+    `
+    UPDATE webhook_endpoints SET active=false, disabled_at=NOW()
+    WHERE id=$1 AND owner_wallet=$2 AND active
+    RETURNING ${ENDPOINT_COLUMNS}
+    `,
+    [id, wallet]
+  );
+  if (!r.rows.length) return null;
+
+  await pool.query(
+    "UPDATE webhook_deliveries SET status='CANCELLED', updated_at=NOW() WHERE endpoint_id=$1 AND status='PENDING'",
+    [id]
+  );
+  return r.rows[0];
+}
+
+// ------------------------------
+// EMIT
+// ------------------------------
+
+// Queues `type` for the creator's subscribed endpoints. `db` is the
+// caller's client so the event commits (or rolls back) with the change.
+export async function emitWebhookEvent(db, { type, creatorWallet, data }) {
+  if (!creatorWallet || !WEBHOOK_EVENTS.includes(type)) return 0;
+
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    type,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  const r = await db.query(
+    `
+    INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+    SELECT e.id, $2, $3, $4
+    FROM webhook_endpoints e
+    WHERE e.owner_wallet = $1 AND e.active AND $3 = ANY(e.events)
+    `,
+    [creatorWallet, eventId, type, JSON.stringify(payload)]
+  );
+  return r.rowCount;
+}
+
+// ------------------------------
+// SENDER
+// ------------------------------
+export function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliver(row) {
+  const body = JSON.stringify(row.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  let statusCode = null;
+  let error = null;
+  let responseBody = null;
+
+  try {
+    // IP literals never reach the lookup; the url may predate these checks
+    if (!ALLOW_INSECURE && !parseEndpointUrl(row.url)) throw new Error("endpoint url is not public");
+
+    const r = await axios.post(row.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "CFC-Webhooks/1.0",
+        "X-CFC-Event": row.event_type,
+        "X-CFC-Delivery": String(row.id),
+        "X-CFC-Signature": `t=${timestamp},v1=${signWebhookBody(row.secret, timestamp, body)}`
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      ...SEND_AGENTS,
+      responseType: "text",
+      validateStatus: () => true
+    });
+    statusCode = r.status;
+    responseBody = String(r.data ?? "").slice(0, 1000);
+    if (r.status < 200 || r.status >= 300) error = `HTTP ${r.status}`;
+  } catch (e) {
+    error = String(e?.code || e?.message || e).slice(0, 500);
+  }
+
+  await pool.query(
+    `
+    INSERT INTO webhook_delivery_attempts
+      (delivery_id, attempt, status_code, error, response_body, duration_ms)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    `,
+    [row.id, row.attempts, statusCode, error, responseBody, Date.now() - started]
+  );
+
+  return { ok: !error, statusCode, error };
+}
+
+// Sends due deliveries. Returns { delivered, failed }.
+export async function sendPendingWebhooks({ limit = SEND_BATCH } = {}) {
+  // take due deliveries for this sender; one stuck in SENDING for 10 min
+  // means its sender died mid-request, so it is sent again
+  const claimed = await pool.query(
+    `
+    UPDATE webhook_deliveries d
+    SET status='SENDING', attempts = d.attempts + 1, updated_at=NOW()
+    FROM webhook_endpoints e
+    WHERE e.id = d.endpoint_id
+      AND d.id IN (
+        SELECT id FROM webhook_deliveries
+        WHERE (status='PENDING' AND next_attempt_at <= NOW())
+           OR (status='SENDING' AND updated_at < NOW() - INTERVAL '10 minutes')
+        ORDER BY id
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+    RETURNING d.*, e.url, e.secret
+    `,
+    [limit]
+  );
+
+  let delivered = 0;
+  let failed = 0;
+
+  for (const row of claimed.rows) {
+    const result = await deliver(row);
+
+    if (result.ok) {
+      await pool.query(
+        `
+        UPDATE webhook_deliveries
+        SET status='DELIVERED', last_status_code=$2, last_error=NULL, delivered_at=NOW(), updated_at=NOW()
+        WHERE id=$1
+        `,
+        [row.id, result.statusCode]
+      );
+      delivered++;
+      continue;
+    }
+
+    const giveUp = row.attempts >= MAX_ATTEMPTS;
+    const delayMs = RETRY_BASE_MS * 2 ** (row.attempts - 1);
+
+    await pool.query(
+      `
+      UPDATE webhook_deliveries
+      SET status=$2, last_status_code=$3, last_error=$4,
+          next_attempt_at = NOW() + ($5 || ' milliseconds')::interval,
+          updated_at=NOW()
+      WHERE id=$1
+      `,
+      [row.id, giveUp ? "FAILED" : "PENDING", result.statusCode, result.error, String(delayMs)]
+    );
+    failed++;
+  }
+
+  return { delivered, failed };
+}
+
+// ------------------------------
+// DELIVERY LOGS
+// ------------------------------
+const DELIVERY_COLUMNS = `
+  d.id, d.endpoint_id, d.event_id, d.event_type, d.status, d.attempts,
+  d.next_attempt_at, d.last_status_code, d.last_error, d.delivered_at, d.created_at
+`;
+
+export async function listDeliveries(endpointId, { status, limit, offset }) {
+  const r = await pool.query(
+    `
+    SELECT ${DELIVERY_COLUMNS}
+    FROM webhook_deliveries d
+    WHERE d.endpoint_id = $1
+      AND ($2::text IS NULL OR d.status = $2)
+    ORDER BY d.id DESC
+    LIMIT $3 OFFSET $4
+    `,
+    [endpointId, status || null, limit, offset]
+  );
+  return r.rows;
+}
+
+// one delivery (payload + attempt log), if it belongs to `wallet`
+export async function getDelivery(id, wallet) {
+  const r = await pool.query(
+    `
+    SELECT ${DELIVERY_COLUMNS}, d.payload
+    FROM webhook_deliveries d
+    JOIN webhook_endpoints e ON e.id = d.endpoint_id
+    WHERE d.id = $1 AND e.owner_wallet = $2
+    `,
+    [id, wallet]
+  );
+  if (!r.rows.length) return null;
+
+  // the receiver's response body stays server-side
+  const attempts = await pool.query(
+    `
+    SELECT id, attempt, status_code, error, duration_ms, created_at
+    FROM webhook_delivery_attempts
+    WHERE delivery_id=$1
+    ORDER BY id ASC
+    `,
+    [id]
+  );
+  return { ...r.rows[0], attempts: attempts.rows };
+}
+
+// puts a FAILED delivery (endpoint still active) or a CANCELLED one (its
+// endpoint was disabled; the owner asked for this one) back in the queue
+// with a fresh retry budget; the payload and event id stay the same
+export async function redeliver(id, wallet) {
+  const r = await pool.query(
+    `
+    UPDATE webhook_deliveries d
+    SET status='PENDING', attempts=0, next_attempt_at=NOW(), updated_at=NOW()
+    FROM webhook_endpoints e
+    WHERE e.id = d.endpoint_id
+      AND d.id = $1
+      AND e.owner_wallet = $2
+      AND ((d.status = 'FAILED' AND e.active) OR d.status = 'CANCELLED')
+    RETURNING d.id
+    `,
+    [id, wallet]
+  );
+  return r.rows.length > 0;
+}
@@ -0,0 +1,302 @@
+import xrpl from "xrpl";
+import { pool } from "./db.js";
+import { getXrplClient, lookupTx, nextSequence, xrplRequest } from "./xrplPool.js";
+import { ledgerAmount, listCurrencies, toUnits } from "./currencies.js";
+
+// ------------------------------
+// PAYOUT OUTBOX
+// Token payments are never sent inside an HTTP request. Callers insert a
+// payouts row (in their own transaction); the worker signs it with an
+// explicit Sequence and LastLedgerSequence, stores the signed blob and hash
+// as SUBMITTED *before* submitting, then finalises from the ledger:
+//
+//   PENDING → SUBMITTED → VALIDATED (tesSUCCESS) | FAILED (tec/tem, or
+//   too many expired attempts)
+//
+// After a crash a SUBMITTED row is resubmitted as-is while its
+// LastLedgerSequence is ahead of the validated ledger, and re-signed once
+// the ledger has passed it and a `tx` search over every ledger it could be
+// in (searched_all) comes back empty — so a payment lands at most once.
+// REWARDS_SEED signs (CFC_ISSUER_SEED still works while deployments move over).
+// ------------------------------
+
+const LEDGER_WINDOW = 20; // LastLedgerSequence = current + 20 (~1 min)
+const MAX_ATTEMPTS = 5;
+const SIGN_BATCH = 10;
+
+let payoutSigner = null;
+
+export function payoutWallet() {
+  const seed = process.env.REWARDS_SEED || process.env.CFC_ISSUER_SEED;
+  if (!seed) return null;
+  if (!payoutSigner) payoutSigner = xrpl.Wallet.fromSeed(seed);
+  return payoutSigner;
+}
+
+// Queues a payment. `db` is the caller's client so the payout commits with
+// whatever it pays for.
+export async function enqueuePayout(db, { destination, currency, amount, rewardGrantId }) {
+  const r = await db.query(
+    `
+    INSERT INTO payouts (destination, currency, amount, reward_grant_id)
+    VALUES ($1,$2,$3,$4)
+    RETURNING *
+    `,
+    [destination, currency, String(amount), rewardGrantId || null]
+  );
+  return r.rows[0];
+}
+
+export async function getPayout(id) {
+  const r = await pool.query("SELECT * FROM payouts WHERE id=$1", [id]);
+  return r.rows[0] || null;
+}
+
+// the client-facing view of a payout
+export function payoutView(p) {
+  return {
+    id: p.id,
+    status: p.status,
+    destination: p.destination,
+    currency: p.currency,
+    amount: p.amount,
+    tx_hash: p.status === "PENDING" ? null : p.tx_hash,
+    error: p.error,
+    created_at: p.created_at,
+    validated_at: p.validated_at
+  };
+}
+
+// ------------------------------
+// FINAL STATES
+// ------------------------------
+async function finish(payout, { status, engineResult, error }) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    await db.query(
+      `
+      UPDATE payouts
+      SET status=$2, engine_result=COALESCE($3, engine_result), error=$4,
+          validated_at = CASE WHEN $2 = 'VALIDATED' THEN NOW() ELSE validated_at END,
+          updated_at=NOW()
+      WHERE id=$1
+      `,
+      [payout.id, status, engineResult || null, error || null]
+    );
+
+    if (payout.reward_grant_id) {
+      await db.query(
+        `
+        UPDATE reward_grants
+        SET status=$2, tx_hash=$3, error=$4,
+            sent_at = CASE WHEN $2 = 'SENT' THEN NOW() ELSE sent_at END
+        WHERE id=$1
+        `,
+        [
+          payout.reward_grant_id,
+          status === "VALIDATED" ? "SENT" : "FAILED",
+          payout.tx_hash,
+          error || null
+        ]
+      );
+    }
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+// back to PENDING to be re-signed (the signed tx can no longer apply)
+async function retry(payout, reason) {
+  if (payout.attempts >= MAX_ATTEMPTS) {
+    return finish(payout, { status: "FAILED", error: `gave up after ${payout.attempts} attempts: ${reason}` });
+  }
+
+  await pool.query(
+    `
+    UPDATE payouts
+    SET status='PENDING', tx_blob=NULL, tx_hash=NULL, sequence=NULL,
+        last_ledger_sequence=NULL, signed_ledger_index=NULL, error=$2, updated_at=NOW()
+    WHERE id=$1 AND status='SUBMITTED'
+    `,
+    [payout.id, reason]
+  );
+}
+
+// ------------------------------
+// WORKER
+// ------------------------------
+
+// SUBMITTED: finalise from the ledger, resubmit, or re-sign after expiry.
+// The hash is searched only in the ledgers it could have landed in; a
+// server without all of them can't prove it didn't, so the row waits.
+async function reconcileSubmitted(payout, validatedIndex) {
+  const lastLedger = Number(payout.last_ledger_sequence);
+  const { tx, searchedAll } = await lookupTx(payout.tx_hash, {
+    minLedger: Number(payout.signed_ledger_index || lastLedger - LEDGER_WINDOW),
+    maxLedger: lastLedger
+  });
+
+  if (tx?.validated) {
+    const code = tx.meta?.TransactionResult;
+    return code === "tesSUCCESS"
+      ? finish(payout, { status: "VALIDATED", engineResult: code })
+      : finish(payout, { status: "FAILED", engineResult: code, error: `ledger result ${code}` });
+  }
+
+  if (validatedIndex > lastLedger) {
+    if (searchedAll) return retry(payout, "expired before validation");
+
+    await pool.query(
+      "UPDATE payouts SET error=$2, updated_at=NOW() WHERE id=$1",
+      [payout.id, "expired; waiting for a server with full history of its ledgers"]
+    );
+    return;
+  }
+
+  // still inside its window: the same blob is safe to submit again
+  const r = await xrplRequest({ command: "submit", tx_blob: payout.tx_blob });
+  await pool.query(
+    "UPDATE payouts SET engine_result=$2, updated_at=NOW() WHERE id=$1",
+    [payout.id, r.result.engine_result]
+  );
+}
+
+// PENDING: sign with explicit Sequence / LastLedgerSequence, persist, submit
+async function signAndSubmit(payout, signer, currencies, next) {
+  const cur = currencies.find(c => c.code === payout.currency);
+  if (!cur) {
+    return finish(payout, { status: "FAILED", error: `unknown currency ${payout.currency}` });
+  }
+
+  const client = await getXrplClient();
+  const prepared = await client.autofill({
+    TransactionType: "Payment",
+    Account: signer.address,
+    Destination: payout.destination,
+    Amount: ledgerAmount(cur, toUnits(cur, payout.amount)),
+    Sequence: next.sequence,
+    LastLedgerSequence: next.currentIndex + LEDGER_WINDOW
+  });
+  const signed = signer.sign(prepared);
+
+  // write-ahead: once this commits we always know which hash to look for
+  const claimed = await pool.query(
+    `
+    UPDATE payouts
+    SET status='SUBMITTED', account=$2, sequence=$3, last_ledger_sequence=$4,
+        tx_blob=$5, tx_hash=$6, signed_ledger_index=$7, attempts = attempts + 1,
+        submitted_at=NOW(), updated_at=NOW()
+    WHERE id=$1 AND status='PENDING'
+    `,
+    [
+      payout.id,
+      signer.address,
+      prepared.Sequence,
+      prepared.LastLedgerSequence,
+      signed.tx_blob,
+      signed.hash,
+      next.currentIndex
+    ]
+  );
+  if (!claimed.rowCount) return;
+  next.sequence++;
+
+  const r = await xrplRequest({ command: "submit", tx_blob: signed.tx_blob });
+  const engineResult = r.result.engine_result;
+
+  await pool.query(
+    "UPDATE payouts SET engine_result=$2, updated_at=NOW() WHERE id=$1",
+    [payout.id, engineResult]
+  );
+
+  // malformed: this blob can never apply, and it didn't use the sequence
+  if (engineResult.startsWith("tem")) {
+    next.sequence--;
+    await finish({ ...payout, tx_hash: signed.hash }, { status: "FAILED", engineResult, error: `rejected: ${engineResult}` });
+  }
+}
+
+// highest Sequence still SUBMITTED for the signer, or null
+async function inFlightSequence(signer) {
+  const r = await pool.query(
+    "SELECT MAX(sequence) AS seq FROM payouts WHERE account=$1 AND status='SUBMITTED'",
+    [signer.address]
+  );
+  return r.rows[0].seq;
+}
+
+let running = false;
+
+// One pass: finalise SUBMITTED rows, then sign a batch of PENDING ones.
+// Returns { checked, signed }.
+// A Postgres advisory lock keeps a single signer across server instances.
+export async function processPayouts() {
+  const signer = payoutWallet();
+  if (!signer || running) return { checked: 0, signed: 0 };
+  running = true;
+
+  let lock = null;
+  try {
+    lock = await pool.connect();
+    const got = await lock.query("SELECT pg_try_advisory_lock(hashtext('payout_worker')) AS ok");
+    if (!got.rows[0].ok) return { checked: 0, signed: 0 };
+
+    try {
+      const state = await xrplRequest({ command: "ledger", ledger_index: "validated" });
+      const validatedIndex = Number(state.result.ledger_index);
+
+      const submitted = await pool.query(
+        "SELECT * FROM payouts WHERE status='SUBMITTED' ORDER BY id"
+      );
+      for (const payout of submitted.rows) {
+        try {
+          await reconcileSubmitted(payout, validatedIndex);
+        } catch (e) {
+          console.error("payout reconcile error:", { id: payout.id, error: e?.message || e });
+        }
+      }
+
+      const pending = await pool.query(
+        "SELECT * FROM payouts WHERE status='PENDING' ORDER BY id LIMIT $1",
+        [SIGN_BATCH]
+      );
+      let signed = 0;
+      if (pending.rows.length) {
+        const currencies = await listCurrencies({ includeDisabled: true });
+        const next = await nextSequence(signer.address, await inFlightSequence(signer));
+
+        for (const payout of pending.rows) {
+          try {
+            await signAndSubmit(payout, signer, currencies, next);
+            signed++;
+          } catch (e) {
+            // re-read the sequence next pass rather than guess
+            console.error("payout submit error:", { id: payout.id, error: e?.message || e });
+            break;
+          }
+        }
+      }
+
+      return { checked: submitted.rows.length, signed };
+    } finally {
+      await lock.query("SELECT pg_advisory_unlock(hashtext('payout_worker'))");
+    }
+  } finally {
+    lock?.release();
+    running = false;
+  }
+}
+
+// run a pass soon without making the caller wait for it
+export function kickPayouts() {
+  setImmediate(() => {
+    processPayouts().catch(e => console.error("payout worker error:", e));
+  });
+}
@@ -0,0 +1,174 @@
+import { ledgerError, xrplRequest } from "./xrplPool.js";
+import { fromUnits, isNative, toUnits } from "./currencies.js";
+import { createPayload, trustSetPayload } from "./xaman.js";
+
+// ------------------------------
+// PAYMENT PREFLIGHT
+// Checks a wallet against the validated ledger before we hand out a payload
+// (or queue a payout) that would only fail on-ledger: account_info for the
+// account and its XRP above reserve, account_lines for the issuer trustline.
+//
+// Each check returns null when fine, or
+//   { status: 409, code, error, currency, required, available, trustline? }
+// with codes account_not_found, insufficient_xrp, no_trustline,
+// trustline_frozen, insufficient_balance, trustline_limit. When the fix is a
+// trustline, `trustline` is a ready-to-sign Xaman TrustSet: { uuid, link }.
+// ------------------------------
+
+// limit the TrustSet payloads ask for
+const TRUSTLINE_LIMIT = process.env.TRUSTLINE_DEFAULT_LIMIT || "1000000000";
+
+function failure(cur, code, error, { required = null, available = null } = {}) {
+  return { status: 409, code, error, currency: cur.code, required, available };
+}
+
+// ------------------------------
+// LEDGER READS
+// ------------------------------
+async function accountData(wallet) {
+  try {
+    const r = await xrplRequest({ command: "account_info", account: wallet, ledger_index: "validated" });
+    return r.result.account_data;
+  } catch (e) {
+    if (ledgerError(e) === "actNotFound") return null;
+    throw e;
+  }
+}
+
+// drops of XRP above the account's reserve
+async function spendableDrops(account) {
+  const state = await xrplRequest({ command: "server_state" });
+  const ledger = state.result.state.validated_ledger;
+  const reserve = Number(ledger.reserve_base) + Number(account.OwnerCount) * Number(ledger.reserve_inc);
+  return Number(account.Balance) - reserve;
+}
+
+async function trustLine(wallet, cur) {
+  const r = await xrplRequest({
+    command: "account_lines",
+    account: wallet,
+    peer: cur.issuer,
+    ledger_index: "validated"
+  });
+  return r.result.lines.find(l => l.currency === cur.ledger_code) || null;
+}
+
+// ------------------------------
+// TRUSTLINE FIX
+// ------------------------------
+
+// TrustSet payload for `wallet` → { uuid, link }, or null if Xaman is down
+// (the failure still goes back, just without the one-tap fix)
+export async function trustlinePayload(wallet, cur, { returnTo = "buyer" } = {}) {
+  try {
+    const xumm = await createPayload(trustSetPayload({
+      account: wallet,
+      currency: cur.ledger_code,
+      issuer: cur.issuer,
+      limit: TRUSTLINE_LIMIT,
+      blob: { action: "trust_set", currency: cur.code },
+      returnTo,
+      webhook: false
+    }));
+    return { uuid: xumm.uuid, link: xumm.link };
+  } catch (e) {
+    console.error("trustline payload error:", e?.response?.data || e.message);
+    return null;
+  }
+}
+
+async function withTrustlineFix(result, wallet, cur, { fix, returnTo }) {
+  if (!fix) return result;
+  return { ...result, trustline: await trustlinePayload(wallet, cur, { returnTo }) };
+}
+
+// ------------------------------
+// CHECKS
+// fix: false skips creating TrustSet payloads (background re-checks).
+// ------------------------------
+
+// can `wallet` pay `units` of `cur` (XRP above reserve, or token balance)?
+export async function preflightPayment({ wallet, cur, units, fix = true, returnTo = "buyer" }) {
+  const account = await accountData(wallet);
+  if (!account) return failure(cur, "account_not_found", "Wallet is not activated on the ledger");
+
+  const required = fromUnits(cur, units);
+
+  if (isNative(cur)) {
+    const spendable = await spendableDrops(account);
+    if (spendable >= units) return null;
+    return failure(cur, "insufficient_xrp", "Not enough XRP above the account reserve", {
+      required,
+      available: Math.max(fromUnits(cur, spendable), 0)
+    });
+  }
+
+  const line = await trustLine(wallet, cur);
+  if (!line) {
+    return withTrustlineFix(
+      failure(cur, "no_trustline", `Add a ${cur.code} trustline to this wallet first`, { required, available: 0 }),
+      wallet,
+      cur,
+      { fix, returnTo }
+    );
+  }
+  if (line.freeze || line.freeze_peer) {
+    return failure(cur, "trustline_frozen", `This wallet's ${cur.code} trustline is frozen`, { required });
+  }
+
+  const balance = toUnits(cur, line.balance);
+  if (balance < units) {
+    return failure(cur, "insufficient_balance", `Not enough ${cur.code} in this wallet`, {
+      required,
+      available: Math.max(fromUnits(cur, balance), 0)
+    });
+  }
+  return null;
+}
+
+// can `wallet` receive `units` of `cur` (for payouts from our wallet)?
+export async function preflightReceive({ wallet, cur, units, fix = true, returnTo = "buyer" }) {
+  const required = fromUnits(cur, units);
+
+  if (isNative(cur)) {
+    // an unfunded account can still be created by a large enough payment
+    const account = await accountData(wallet);
+    if (account) return null;
+
+    const state = await xrplRequest({ command: "server_state" });
+    if (units >= Number(state.result.state.validated_ledger.reserve_base)) return null;
+    return failure(cur, "account_not_found", "Wallet is not activated on the ledger", { required });
+  }
+
+  if (wallet === cur.issuer) return null;
+
+  const account = await accountData(wallet);
+  if (!account) return failure(cur, "account_not_found", "Wallet is not activated on the ledger", { required });
+
+  const line = await trustLine(wallet, cur);
+  if (!line) {
+    return withTrustlineFix(
+      failure(cur, "no_trustline", `Add a ${cur.code} trustline to receive ${cur.code}`, { required }),
+      wallet,
+      cur,
+      { fix, returnTo }
+    );
+  }
+  if (line.freeze || line.freeze_peer) {
+    return failure(cur, "trustline_frozen", `This wallet's ${cur.code} trustline is frozen`, { required });
+  }
+
+  const room = Number(line.limit) - Number(line.balance);
+  if (room < required) {
+    return withTrustlineFix(
+      failure(cur, "trustline_limit", `This wallet's ${cur.code} trustline limit is too low`, {
+        required,
+        available: Math.max(room, 0)
+      }),
+      wallet,
+      cur,
+      { fix, returnTo }
+    );
+  }
+  return null;
+}
@@ -0,0 +1,441 @@
+import { pool } from "./db.js";
+import { accountNfts } from "./xrplPool.js";
+import {
+  acceptOfferPayload,
+  cancelOfferPayload,
+  createPayload,
+  sellOfferPayload
+} from "./xaman.js";
+import { findMarketplaceNftByToken } from "./marketRecords.js";
+import { fromUnits, getCurrency, isNative, ledgerAmount, listCurrencies, toUnits } from "./currencies.js";
+import { emitWebhookEvent } from "./partnerWebhooks.js";
+import { preflightPayment, preflightReceive } from "./preflight.js";
+
+// ------------------------------
+// SECONDARY MARKET (holder resale)
+// A wallet holding an edition of a marketplace NFT lists it with its own
+// sell offer (resale_listings, linked to the marketplace_nfts row). Holding
+// is checked on ledger when listing and again before each checkout. The
+// creator's royalty is the token's TransferFee, which the ledger pays out
+// of the sale; quotes show it. A sale is an orders row with sale_mode
+// RESALE, the seller and the buyer; creator_net is the royalty.
+//
+//   PENDING (sell offer payload out) → OPEN → SOLD | CANCELLED
+// ------------------------------
+
+const TRANSFER_FEE_SCALE = 100000; // TransferFee 1 = 0.001%
+const LSF_TRANSFERABLE = 0x8;
+const LSF_TRUSTLINE = 0x4;
+
+// the token as `wallet` holds it on ledger ({ NFTokenID, Flags, TransferFee, Issuer }), or null
+async function heldToken(wallet, nftokenId) {
+  const wanted = String(nftokenId).toUpperCase();
+
+  for await (const n of accountNfts(wallet)) {
+    if (String(n.NFTokenID).toUpperCase() === wanted) return n;
+  }
+  return null;
+}
+
+// ------------------------------
+// QUOTE
+// ------------------------------
+
+// what the buyer pays, the creator's royalty and the seller's net
+export function resaleQuote(cur, listing) {
+  const gross = toUnits(cur, listing.price);
+  const royalty = Math.floor(gross * Number(listing.transfer_fee) / TRANSFER_FEE_SCALE);
+
+  return {
+    currency: cur.code,
+    price: fromUnits(cur, gross),
+    royalty_percent: Number(listing.transfer_fee) / 1000,
+    royalty: fromUnits(cur, royalty),
+    seller_net: fromUnits(cur, gross - royalty),
+    creator_wallet: listing.creator_wallet || null
+  };
+}
+
+// quote for a stored listing (null if its currency is gone from the registry)
+export async function resaleListingQuote(listing) {
+  const cur = (await listCurrencies({ includeDisabled: true })).find(c => c.code === listing.currency);
+  return cur ? resaleQuote(cur, listing) : null;
+}
+
+// ------------------------------
+// READS
+// ------------------------------
+const LISTING_SELECT = `
+  SELECT l.*, n.name, n.image_cid, n.creator_wallet
+  FROM resale_listings l
+  JOIN marketplace_nfts n ON n.id = l.marketplace_nft_id
+`;
+
+export async function getResaleListing(id) {
+  const r = await pool.query(`${LISTING_SELECT} WHERE l.id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+// OPEN listings by default; filter by NFT, seller or status
+export async function listResaleListings({ marketplaceNftId, seller, status, limit, offset }) {
+  const r = await pool.query(
+    `
+    ${LISTING_SELECT}
+    WHERE ($1::int IS NULL OR l.marketplace_nft_id = $1)
+      AND ($2::text IS NULL OR l.seller_wallet = $2)
+      AND l.status = COALESCE($3, 'OPEN')
+    ORDER BY l.price ASC, l.id ASC
+    LIMIT $4 OFFSET $5
+    `,
+    [marketplaceNftId || null, seller || null, status || null, limit, offset]
+  );
+
+  const currencies = await listCurrencies({ includeDisabled: true });
+  return r.rows.map(row => {
+    const cur = currencies.find(c => c.code === row.currency);
+    return { ...row, quote: cur ? resaleQuote(cur, row) : null };
+  });
+}
+
+// ------------------------------
+// SELLER
+// ------------------------------
+
+// Returns { listing, link, quote } or { status, error }.
+export async function createResaleListing({ seller, nftokenId, currency, price }) {
+  const cur = await getCurrency(currency);
+  if (!cur) return { status: 400, error: "Unsupported currency" };
+
+  const units = toUnits(cur, price);
+  if (!(units > 0)) return { status: 400, error: "Invalid price" };
+
+  const nft = await findMarketplaceNftByToken(pool, nftokenId);
+  if (!nft) return { status: 404, error: "Not a marketplace NFT" };
+  if (nft.is_delisted) return { status: 409, error: "This NFT is delisted" };
+  if (nft.creator_wallet === seller) {
+    return { status: 400, error: "Creators list their editions on the primary market" };
+  }
+
+  const token = await heldToken(seller, nftokenId);
+  if (!token) return { status: 403, error: "This wallet doesn't hold that NFT" };
+  if (!(Number(token.Flags) & LSF_TRANSFERABLE)) {
+    return { status: 409, error: "This NFT can only be sold back to its creator" };
+  }
+
+  // with a royalty in a token the issuer must be able to receive it, or the
+  // ledger rejects the sell offer (tecNO_LINE)
+  const transferFee = Number(token.TransferFee || 0);
+  if (transferFee && !isNative(cur) && !(Number(token.Flags) & LSF_TRUSTLINE)) {
+    const royalty = Math.floor(units * transferFee / TRANSFER_FEE_SCALE);
+    const cantReceive = await preflightReceive({ wallet: token.Issuer, cur, units: Math.max(royalty, 1), fix: false });
+    if (cantReceive) {
+      return { status: 409, error: `The creator can't receive ${cur.code} royalties; list in another currency` };
+    }
+  }
+
+  const db = await pool.connect();
+  let listing;
+  try {
+    await db.query("BEGIN");
+
+    // FOR UPDATE below locks nothing when the token has no live listing yet,
+    // so concurrent list requests for it queue here instead
+    await db.query(
+      "SELECT pg_advisory_xact_lock(hashtext($1))",
+      [`resale:${String(token.NFTokenID).toUpperCase()}`]
+    );
+
+    const live = await db.query(
+      `
+      SELECT * FROM resale_listings
+      WHERE UPPER(nftoken_id) = UPPER($1) AND status IN ('PENDING','OPEN')
+      FOR UPDATE
+      `,
+      [token.NFTokenID]
+    );
+    if (live.rows.some(l => l.seller_wallet === seller && l.status === "OPEN")) {
+      await db.query("ROLLBACK");
+      return { status: 409, error: "Already listed; cancel that listing first" };
+    }
+
+    // an unsigned listing of ours, or anything a previous holder left behind
+    await db.query(
+      `
+      UPDATE resale_listings SET status='CANCELLED', closed_at=NOW(), updated_at=NOW()
+      WHERE UPPER(nftoken_id) = UPPER($1) AND status IN ('PENDING','OPEN')
+      `,
+      [token.NFTokenID]
+    );
+
+    const ins = await db.query(
+      `
+      INSERT INTO resale_listings (marketplace_nft_id, nftoken_id, seller_wallet, currency, price, transfer_fee)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      RETURNING *
+      `,
+      [nft.id, String(token.NFTokenID).toUpperCase(), seller, cur.code, String(price), transferFee]
+    );
+    listing = ins.rows[0];
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  const xumm = await createPayload(sellOfferPayload({
+    account: seller,
+    nftokenId: listing.nftoken_id,
+    amount: ledgerAmount(cur, units),
+    blob: { action: "resale_list", resale_listing_id: listing.id },
+    returnTo: "buyer"
+  }));
+
+  await pool.query(
+    "UPDATE resale_listings SET payload_uuid=$2, link=$3, updated_at=NOW() WHERE id=$1",
+    [listing.id, xumm.uuid, xumm.link]
+  );
+
+  return {
+    listing: { ...listing, payload_uuid: xumm.uuid, link: xumm.link },
+    link: xumm.link,
+    quote: resaleQuote(cur, { ...listing, creator_wallet: nft.creator_wallet })
+  };
+}
+
+// Takes a listing down. Returns { ok, cancel_link } (sign to remove the sell
+// offer from the ledger) or { status, error }.
+export async function cancelResaleListing(listing) {
+  const r = await pool.query(
+    `
+    UPDATE resale_listings SET status='CANCELLED', closed_at=NOW(), updated_at=NOW()
+    WHERE id=$1 AND status IN ('PENDING','OPEN')
+    RETURNING *
+    `,
+    [listing.id]
+  );
+  if (!r.rows.length) return { status: 409, error: "Listing is no longer live" };
+
+  const cancelled = r.rows[0];
+  if (!cancelled.sell_offer_index) return { ok: true, cancel_link: null };
+
+  const xumm = await createPayload(cancelOfferPayload({
+    account: cancelled.seller_wallet,
+    offers: [cancelled.sell_offer_index],
+    blob: { action: "resale_cancel", resale_listing_id: cancelled.id },
+    returnTo: "buyer",
+    webhook: false
+  }));
+  return { ok: true, cancel_link: xumm.link };
+}
+
+// ------------------------------
+// BUYER
+// ------------------------------
+
+// Returns { link, quote } or { status, error } (a preflight failure when
+// the buyer can't pay).
+export async function startResalePurchase({ listing, buyer }) {
+  if (listing.status !== "OPEN") return { status: 409, error: "Listing is no longer available" };
+  if (buyer && buyer === listing.seller_wallet) return { status: 400, error: "You can't buy your own listing" };
+
+  const cur = await getCurrency(listing.currency);
+  if (!cur) return { status: 409, error: "Listing currency is no longer enabled" };
+
+  // the seller may have moved the token since listing
+  if (!(await heldToken(listing.seller_wallet, listing.nftoken_id))) {
+    await pool.query(
+      "UPDATE resale_listings SET status='CANCELLED', closed_at=NOW(), updated_at=NOW() WHERE id=$1 AND status='OPEN'",
+      [listing.id]
+    );
+    return { status: 409, error: "Listing is no longer available" };
+  }
+
+  if (buyer) {
+    const cantPay = await preflightPayment({ wallet: buyer, cur, units: toUnits(cur, listing.price) });
+    if (cantPay) return cantPay;
+  }
+
+  const xumm = await createPayload(acceptOfferPayload({
+    ...(buyer ? { account: buyer } : {}),
+    sellOffer: listing.sell_offer_index,
+    blob: { action: "resale_buy", resale_listing_id: listing.id },
+    returnTo: "buyer"
+  }));
+
+  return { link: xumm.link, quote: resaleQuote(cur, listing) };
+}
+
+// ------------------------------
+// WEBHOOK / LISTENER
+// ------------------------------
+
+// the seller's sell offer is on ledger (the listener passes no listingId:
+// a token has at most one live listing). Returns true when the listing opened.
+export async function onResaleOfferSigned({ listingId, account, nftokenId, sellOfferIndex }) {
+  const r = await pool.query(
+    `
+    UPDATE resale_listings
+    SET status='OPEN', sell_offer_index=$4, listed_at=NOW(), updated_at=NOW()
+    WHERE ($1::bigint IS NULL OR id=$1)
+      AND seller_wallet=$2 AND UPPER(nftoken_id)=UPPER($3) AND status='PENDING'
+    `,
+    [listingId || null, account, String(nftokenId), String(sellOfferIndex)]
+  );
+  return r.rowCount > 0;
+}
+
+// listings whose sell offers were cancelled on ledger
+export async function onResaleOffersCancelled(offerIndexes) {
+  if (!offerIndexes?.length) return 0;
+
+  const r = await pool.query(
+    `
+    UPDATE resale_listings SET status='CANCELLED', closed_at=NOW(), updated_at=NOW()
+    WHERE sell_offer_index = ANY($1::text[]) AND status IN ('PENDING','OPEN')
+    `,
+    [offerIndexes.map(String)]
+  );
+  return r.rowCount;
+}
+
+// the seller's PAID order for the resold token; orders recorded before
+// nftoken_id was kept match on the edition alone
+async function transferSellerOrder(db, listing, orderId) {
+  const prior = await db.query(
+    `
+    SELECT id FROM orders
+    WHERE buyer_wallet=$1 AND marketplace_nft_id=$2 AND status='PAID'
+      AND (nftoken_id IS NULL OR UPPER(nftoken_id)=UPPER($3))
+    ORDER BY nftoken_id IS NULL, id ASC
+    LIMIT 1
+    FOR UPDATE
+    `,
+    [listing.seller_wallet, listing.marketplace_nft_id, listing.nftoken_id]
+  );
+  if (!prior.rows.length) return;
+
+  const priorId = prior.rows[0].id;
+  await db.query(
+    "UPDATE orders SET status='TRANSFERRED', status_updated_at=NOW() WHERE id=$1",
+    [priorId]
+  );
+  await db.query(
+    `
+    INSERT INTO order_events (order_id, from_status, to_status, actor, note)
+    VALUES ($1,'PAID','TRANSFERRED','system',$2)
+    `,
+    [priorId, `resold in order #${orderId}`]
+  );
+}
+
+// A resale's sell offer was accepted: write the RESALE order (seller, buyer,
+// royalty) and close the listing. Called by the webhook and the ledger
+// listener. Returns true when the order was recorded now; false when the
+// offer isn't a resale listing or the sale is already recorded.
+export async function settleResale({ sellOfferIndex, buyer, txHash }) {
+  const db = await pool.connect();
+  try {
+    await db.query("BEGIN");
+
+    const r = await db.query(
+      `
+      SELECT l.*, n.name, n.creator_wallet
+      FROM resale_listings l
+      JOIN marketplace_nfts n ON n.id = l.marketplace_nft_id
+      WHERE l.sell_offer_index=$1 AND l.status <> 'SOLD'
+      FOR UPDATE OF l
+      `,
+      [String(sellOfferIndex)]
+    );
+    const listing = r.rows[0];
+    if (!listing) {
+      await db.query("ROLLBACK");
+      return false;
+    }
+
+    // the ledger already moved the token: record it even if we'd cancelled the listing
+    const quote = await resaleListingQuote(listing);
+    const royalty = quote ? quote.royalty : 0;
+
+    const inserted = await db.query(
+      `
+      INSERT INTO orders
+        (marketplace_nft_id, buyer_wallet, seller_wallet, nftoken_id, resale_listing_id,
+         price, currency, tx_hash, sale_mode, gross_amount, platform_fee, creator_net)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'RESALE',$6,0,$9)
+      ON CONFLICT DO NOTHING
+      RETURNING id
+      `,
+      [
+        listing.marketplace_nft_id,
+        buyer,
+        listing.seller_wallet,
+        listing.nftoken_id,
+        listing.id,
+        listing.price,
+        listing.currency,
+        txHash,
+        royalty
+      ]
+    );
+    if (!inserted.rowCount) {
+      await db.query("ROLLBACK");
+      return false;
+    }
+    const orderId = inserted.rows[0].id;
+
+    await db.query(
+      "INSERT INTO order_events (order_id, to_status, actor) VALUES ($1,'PAID','system')",
+      [orderId]
+    );
+
+    // the seller's own order for this edition can no longer be redeemed
+    await transferSellerOrder(db, listing, orderId);
+
+    await db.query(
+      `
+      UPDATE resale_listings
+      SET status='SOLD', buyer_wallet=$2, order_id=$3, closed_at=NOW(), updated_at=NOW()
+      WHERE id=$1
+      `,
+      [listing.id, buyer, orderId]
+    );
+
+    await emitWebhookEvent(db, {
+      type: "order.paid",
+      creatorWallet: listing.creator_wallet,
+      data: {
+        order_id: orderId,
+        marketplace_nft_id: listing.marketplace_nft_id,
+        nftoken_id: listing.nftoken_id,
+        name: listing.name,
+        buyer_wallet: buyer,
+        seller_wallet: listing.seller_wallet,
+        price: String(listing.price),
+        currency: listing.currency,
+        royalty: String(royalty),
+        sale_mode: "RESALE",
+        tx_hash: txHash || null
+      }
+    });
+
+    await db.query("COMMIT");
+    return true;
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+}
+
+// sellers with live listings, for the ledger listener's subscriptions
+export async function resaleSellers() {
+  const r = await pool.query(
+    "SELECT DISTINCT seller_wallet FROM resale_listings WHERE status IN ('PENDING','OPEN')"
+  );
+  return r.rows.map(row => row.seller_wallet);
+}
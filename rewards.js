@@ -0,0 +1,233 @@
+import { pool } from "./db.js";
+import { accountNfts } from "./xrplPool.js";
+import { listCurrencies, toUnits } from "./currencies.js";
+import { enqueuePayout, kickPayouts, payoutView, payoutWallet } from "./payouts.js";
+import { FAUCET_RULE, guardFaucetClaim } from "./faucetGuard.js";
+import { preflightReceive } from "./preflight.js";
+
+// ------------------------------
+// CFC REWARDS ENGINE
+// Rules live in reward_rules (currency, amount, cooldown, eligibility);
+// every award is a row in reward_grants, paid through the payout outbox
+// (payouts.js, which holds the one signing wallet config). The faucet rule
+// also runs the anti-abuse checks in faucetGuard.js.
+//
+// Cooldown: a wallet (or wallet + target, when per_target) can't get a
+// rule again until cooldown_seconds after its last PENDING/SENT grant;
+// NULL cooldown = once ever. FAILED grants don't count.
+//
+// Eligibility (reward_rules.eligibility):
+//   { "type": "any" }
+//   { "type": "created_submission" }            target = submission id the wallet created
+//   { "type": "purchased" }                     target = marketplace NFT the wallet bought
+//   { "type": "owns_nft", "marketplace_nft_id": 12 }  wallet holds an edition on ledger
+//     (without marketplace_nft_id the target is the marketplace NFT)
+// ------------------------------
+
+// ------------------------------
+// RULES
+// ------------------------------
+const RULE_COLUMNS = "id, key, name, currency, amount, cooldown_seconds, per_target, eligibility, enabled";
+
+export async function listRewardRules({ includeDisabled = false } = {}) {
+  const r = await pool.query(
+    `SELECT ${RULE_COLUMNS} FROM reward_rules WHERE ($1 OR enabled) ORDER BY id`,
+    [includeDisabled]
+  );
+  return r.rows;
+}
+
+export async function getRewardRule(key) {
+  const r = await pool.query(
+    `SELECT ${RULE_COLUMNS} FROM reward_rules WHERE key=$1 AND enabled`,
+    [String(key || "")]
+  );
+  return r.rows[0] || null;
+}
+
+// ------------------------------
+// ELIGIBILITY
+// Each check returns null when eligible, or the reason it isn't.
+// ------------------------------
+async function ownsMarketplaceNft(wallet, marketplaceNftId) {
+  const tokens = await pool.query(
+    `
+    SELECT UPPER(nftoken_id) AS id FROM marketplace_nfts WHERE id=$1 AND nftoken_id IS NOT NULL
+    UNION
+    SELECT UPPER(nftoken_id) FROM marketplace_sell_offers WHERE marketplace_nft_id=$1
+    `,
+    [marketplaceNftId]
+  );
+  const wanted = new Set(tokens.rows.map(t => t.id));
+  if (!wanted.size) return false;
+
+  for await (const n of accountNfts(wallet)) {
+    if (wanted.has(String(n.NFTokenID).toUpperCase())) return true;
+  }
+  return false;
+}
+
+const ELIGIBILITY = {
+  any: async () => null,
+
+  created_submission: async (wallet, targetId) => {
+    if (!targetId) return "Missing submission id";
+    const r = await pool.query(
+      "SELECT 1 FROM submissions WHERE id=$1 AND creator_wallet=$2",
+      [Number(targetId), wallet]
+    );
+    return r.rows.length ? null : "Not your submission";
+  },
+
+  purchased: async (wallet, targetId) => {
+    if (!targetId) return "Missing marketplace NFT id";
+    const r = await pool.query(
+      "SELECT 1 FROM orders WHERE buyer_wallet=$1 AND marketplace_nft_id=$2 AND status <> 'REFUNDED' LIMIT 1",
+      [wallet, Number(targetId)]
+    );
+    return r.rows.length ? null : "No valid purchase found";
+  },
+
+  owns_nft: async (wallet, targetId, params) => {
+    const nftId = Number(params.marketplace_nft_id || targetId);
+    if (!nftId) return "Missing marketplace NFT id";
+    return (await ownsMarketplaceNft(wallet, nftId)) ? null : "Wallet doesn't hold this NFT";
+  }
+};
+
+export const ELIGIBILITY_TYPES = Object.keys(ELIGIBILITY);
+
+// ------------------------------
+// CLAIM
+// ------------------------------
+
+// The grant's scope target: the rule's fixed NFT, else what the claimer named.
+function grantTarget(rule, targetId) {
+  const fixed = rule.eligibility?.marketplace_nft_id;
+  if (fixed) return String(fixed);
+  return targetId === undefined || targetId === null || targetId === "" ? null : String(targetId);
+}
+
+// Evaluates `ruleKey` for `wallet` and queues its payout. Returns
+// { grant, payout } (poll the payout id) or { status, error } (400 bad
+// input, 403 not eligible, 404 unknown rule, 409 preflight failure — e.g.
+// no trustline, with a TrustSet link — 429 cooldown, 503 not configured).
+// context: { ip, fingerprint, captchaToken } from the request, for the faucet.
+export async function claimReward({ ruleKey, wallet, targetId, context }) {
+  const rule = await getRewardRule(ruleKey);
+  if (!rule) return { status: 404, error: "Unknown reward" };
+
+  if (rule.key === FAUCET_RULE) {
+    return guardFaucetClaim({ rule, wallet, context }, hooks => grantReward(rule, wallet, targetId, hooks));
+  }
+  return grantReward(rule, wallet, targetId);
+}
+
+// beforeGrant(db): optional last check inside the grant transaction;
+// returns null to go ahead or the { status, error } to refuse with
+async function grantReward(rule, wallet, targetId, { beforeGrant } = {}) {
+  if (!payoutWallet()) return { status: 503, error: "Rewards are not configured" };
+
+  const currencies = await listCurrencies({ includeDisabled: true });
+  const cur = currencies.find(c => c.code === rule.currency);
+  if (!cur) return { status: 503, error: `Reward currency ${rule.currency} is not configured` };
+
+  const check = ELIGIBILITY[rule.eligibility?.type];
+  if (!check) return { status: 503, error: "Reward rule is misconfigured" };
+
+  const target = grantTarget(rule, targetId);
+  if (rule.per_target && !target) return { status: 400, error: "Missing target" };
+
+  const notEligible = await check(wallet, target, rule.eligibility);
+  if (notEligible) return { status: 403, error: notEligible };
+
+  // a payout the wallet can't receive (no trustline) would only fail on-ledger
+  const cantReceive = await preflightReceive({ wallet, cur, units: toUnits(cur, rule.amount) });
+  if (cantReceive) return cantReceive;
+
+  // grant + payout in one transaction; the advisory lock serialises claims per rule + wallet
+  const scopeTarget = rule.per_target ? target : null;
+  const db = await pool.connect();
+  let grant;
+  let payout;
+  try {
+    await db.query("BEGIN");
+    await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`reward:${rule.id}:${wallet}`]);
+
+    const last = await db.query(
+      `
+      SELECT created_at FROM reward_grants
+      WHERE rule_id=$1 AND wallet=$2
+        AND ($3::text IS NULL OR target_id = $3)
+        AND status IN ('PENDING','SENT')
+      ORDER BY created_at DESC
+      LIMIT 1
+      `,
+      [rule.id, wallet, scopeTarget]
+    );
+
+    if (last.rows.length) {
+      const lastAt = new Date(last.rows[0].created_at).getTime();
+      const cooldownMs = rule.cooldown_seconds === null ? Infinity : Number(rule.cooldown_seconds) * 1000;
+      if (Date.now() - lastAt < cooldownMs) {
+        await db.query("ROLLBACK");
+        return {
+          status: 429,
+          error: rule.cooldown_seconds === null ? "Already claimed" : "Reward already claimed; try again later",
+          retry_at: Number.isFinite(cooldownMs) ? new Date(lastAt + cooldownMs) : null
+        };
+      }
+    }
+
+    const refused = beforeGrant ? await beforeGrant(db) : null;
+    if (refused) {
+      await db.query("ROLLBACK");
+      return refused;
+    }
+
+    const ins = await db.query(
+      `
+      INSERT INTO reward_grants (rule_id, wallet, target_id, currency, amount)
+      VALUES ($1,$2,$3,$4,$5)
+      RETURNING *
+      `,
+      [rule.id, wallet, target, rule.currency, rule.amount]
+    );
+    grant = ins.rows[0];
+
+    payout = await enqueuePayout(db, {
+      destination: wallet,
+      currency: rule.currency,
+      amount: rule.amount,
+      rewardGrantId: grant.id
+    });
+
+    await db.query("COMMIT");
+  } catch (e) {
+    await db.query("ROLLBACK");
+    throw e;
+  } finally {
+    db.release();
+  }
+
+  kickPayouts();
+  return { grant, payout: payoutView(payout) };
+}
+
+export async function grantsForWallet(wallet, { limit, offset }) {
+  const r = await pool.query(
+    `
+    SELECT
+      g.id, r.key AS rule, g.target_id, g.currency, g.amount, g.status, g.tx_hash,
+      g.created_at, g.sent_at, p.id AS payout_id, p.status AS payout_status
+    FROM reward_grants g
+    JOIN reward_rules r ON r.id = g.rule_id
+    LEFT JOIN payouts p ON p.reward_grant_id = g.id
+    WHERE g.wallet = $1
+    ORDER BY g.id DESC
+    LIMIT $2 OFFSET $3
+    `,
+    [wallet, limit, offset]
+  );
+  return r.rows;
+}
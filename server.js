@@ -3,10 +3,139 @@
 
 import express from "express";
 import cors from "cors";
-import pg from "pg";
 import dotenv from "dotenv";
-import axios from "axios";
 import xrpl from "xrpl";
+import crypto from "crypto";
+import { pool } from "./db.js";
+import { migrateUp, waitForSchema } from "./migrate.js";
+import {
+  completeSignIn,
+  isOwnWallet,
+  pollSignIn,
+  requireWallet,
+  revokeSession,
+  sessionWallet,
+  startSignIn
+} from "./sessions.js";
+import {
+  createMarketplaceNft,
+  findOpenSellOffer,
+  offerIndexFromMeta,
+  recordMintedTokens,
+  recordPurchase,
+  recordSellOffer
+} from "./marketRecords.js";
+import {
+  getCurrency,
+  listCurrencies,
+  nftPrice,
+  sellOfferAmount,
+  toUnits
+} from "./currencies.js";
+import {
+  batchProgress,
+  cancelListingBatch,
+  findEditions,
+  onBatchOfferSigned,
+  startListingBatch
+} from "./listingBatches.js";
+import {
+  brokerAddress,
+  brokeredSellAmount,
+  processBrokeredMatches,
+  queueBrokeredMatch,
+  startBrokeredSale,
+  wantsBrokered
+} from "./brokeredSales.js";
+import {
+  auctionSummary,
+  bidHistory,
+  cancelAuction,
+  closeDueAuctions,
+  createAuction,
+  getAuction,
+  onBidOfferSigned,
+  placeBid,
+  settleAuction
+} from "./auctions.js";
+import {
+  acceptOffer,
+  counterOffer,
+  expireOffers,
+  getOffer,
+  makeOffer,
+  offersByBuyer,
+  offersForCreator,
+  onCounterSigned,
+  onOfferSigned,
+  rejectOffer,
+  settleOfferSale,
+  withdrawOffer
+} from "./offers.js";
+import { invalidateMarketFeed, marketFeed, parseFeedQuery } from "./marketFeed.js";
+import { creatorStorefront, saveCreatorProfile } from "./creatorProfiles.js";
+import {
+  ORDER_STATUSES,
+  addOrderNote,
+  creatorRedemptions,
+  getOrderFor,
+  orderEvents,
+  transitionOrder
+} from "./orderLifecycle.js";
+import { notifyListingConfirmed, sendPendingNotifications } from "./notifications.js";
+import {
+  createEndpoint,
+  disableEndpoint,
+  emitWebhookEvent,
+  getDelivery,
+  getEndpoint,
+  listDeliveries,
+  listEndpoints,
+  redeliver,
+  sendPendingWebhooks
+} from "./partnerWebhooks.js";
+import { claimReward, grantsForWallet, listRewardRules } from "./rewards.js";
+import { faucetRequestContext } from "./faucetGuard.js";
+import { preflightPayment } from "./preflight.js";
+import {
+  cancelResaleListing,
+  createResaleListing,
+  getResaleListing,
+  listResaleListings,
+  onResaleOfferSigned,
+  resaleListingQuote,
+  settleResale,
+  startResalePurchase
+} from "./resales.js";
+import { getPayout, payoutView, processPayouts } from "./payouts.js";
+import {
+  cancelMintJob,
+  issueNextClaim,
+  latestMintJob,
+  mintJobProgress,
+  mintSettings,
+  onMintClaimSigned,
+  onMintSigned,
+  processMints,
+  startMintJob
+} from "./mintJobs.js";
+import { startLedgerListener } from "./ledgerListener.js";
+import {
+  acceptOfferPayload,
+  createPayload,
+  getPayload,
+  sellOfferPayload
+} from "./xaman.js";
+import { reconcileSellOffers } from "./offerReconciler.js";
+import { createAdminRouter } from "./adminRoutes.js";
+import { creatorEarnings, creatorSales, parseRange } from "./creatorStats.js";
+import {
+  getXrplClient,
+  warmXrplPool,
+  xrplHealth,
+  xrplRequest,
+  xrplSubmitAndWait
+} from "./xrplPool.js";
 async function pollForSellOffer({
   client,
   account,
@@ -36,178 +165,322 @@ if (offers.result?.offers?.length) {
 }
 
 dotenv.config();
-const PLATFORM_FEE_PERCENT = 0.05;
-const CREATOR_PERCENT = 0.95;
 
-const { Pool } = pg;
- 
 // ------------------------------
-// DATABASE
+// SCHEMA GATE
+// Tables come from migrations/ (npm run migrate). Nothing listens until the
+// DB is at the version this build expects. MIGRATE_ON_BOOT=true applies
+// pending migrations first.
 // ------------------------------
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
- 
+const dbReady = (process.env.MIGRATE_ON_BOOT === "true" ? migrateUp() : Promise.resolve())
+  .then(() => waitForSchema());
+
 // ------------------------------
-// INIT TABLES
-// ------------------------------
-async function initDB() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS marketplace_nfts (
-      id SERIAL PRIMARY KEY,
-      submission_id INTEGER,
-      name TEXT,
-      description TEXT,
-      category TEXT,
-      image_cid TEXT,
-      metadata_cid TEXT,
-      price_xrp TEXT,
-      price_rlusd TEXT,
-      creator_wallet TEXT,
-      terms TEXT,
-      website TEXT,
-      quantity INTEGER,
-      sold_count INTEGER DEFAULT 0,
-      minted BOOLEAN DEFAULT true,
-      sold BOOLEAN DEFAULT false,
-      created_at TIMESTAMP DEFAULT NOW()
-    );
-  `);
-   await pool.query(`
-    ALTER TABLE marketplace_nfts
-    ADD COLUMN IF NOT EXISTS nftoken_id TEXT;
-  `);
-  await pool.query(`
-    ALTER TABLE marketplace_nfts
-    ADD COLUMN IF NOT EXISTS is_delisted BOOLEAN DEFAULT false;
-  `);
-    await pool.query(`
-    ALTER TABLE marketplace_nfts
-    ADD COLUMN IF NOT EXISTS sell_offer_index_xrp TEXT;
-  `);
-
-  await pool.query(`
-    ALTER TABLE marketplace_nfts
-    ADD COLUMN IF NOT EXISTS sell_offer_index_rlusd TEXT;
-  `);
-
-  await pool.query(`
-    ALTER TABLE marketplace_nfts
-    ADD COLUMN IF NOT EXISTS sell_offer_index TEXT;
-  `);
-    await pool.query(`
-    CREATE TABLE IF NOT EXISTS marketplace_sell_offers (
-      id SERIAL PRIMARY KEY,
-      marketplace_nft_id INTEGER NOT NULL,
-      nftoken_id TEXT NOT NULL,
-      sell_offer_index TEXT NOT NULL,
-      currency TEXT NOT NULL,
-      status TEXT DEFAULT 'OPEN',
-      created_at TIMESTAMP DEFAULT NOW()
-    );
-  `);
-
-  // sell_offer_index must be unique (one offer index = one ledger object)
-  await pool.query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS marketplace_sell_offers_offer_uq
-    ON marketplace_sell_offers (sell_offer_index);
-  `);
-
-  // prevent duplicate rows for same NFT token listing
-  await pool.query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS marketplace_sell_offers_token_uq
-    ON marketplace_sell_offers (marketplace_nft_id, nftoken_id, currency);
-  `);
-
-  // fast lookup for Pay buttons
-  await pool.query(`
-    CREATE INDEX IF NOT EXISTS marketplace_sell_offers_open_idx
-    ON marketplace_sell_offers (marketplace_nft_id, currency, status, created_at);
-  `);
-  await pool.query(`
-  CREATE TABLE IF NOT EXISTS faucet_claims (
-    wallet TEXT PRIMARY KEY,
-    last_claim_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-  );
-`);
+// XRPL LEDGER LISTENER (set LEDGER_LISTENER=off to disable)
+// ------------------------------
+if (process.env.LEDGER_LISTENER !== "off") {
+  dbReady
+    .then(() => startLedgerListener())
+    .catch(e => console.error("ledger listener start error:", e));
 }
 
-async function initOrdersDB() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id SERIAL PRIMARY KEY,
-      marketplace_nft_id INTEGER NOT NULL,
-      buyer_wallet TEXT NOT NULL,
-      buyer_email TEXT,
-      price NUMERIC(20,8) NOT NULL,
-      currency TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'PAID',
-      xumm_payload_uuid TEXT,
-      tx_hash TEXT,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
-  `);
-
-  await pool.query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS orders_unique_payload
-    ON orders (xumm_payload_uuid)
-    WHERE xumm_payload_uuid IS NOT NULL;
-  `);
-
-  await pool.query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS orders_unique_tx
-    ON orders (tx_hash)
-    WHERE tx_hash IS NOT NULL;
-  `);
-
-  await pool.query(`
-    CREATE INDEX IF NOT EXISTS orders_buyer_wallet_idx
-    ON orders (buyer_wallet);
-  `);
+// ------------------------------
+// SELL OFFER RECONCILIATION (RECONCILE_INTERVAL_MS=0 to disable)
+// ------------------------------
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS ?? 15 * 60 * 1000);
+
+if (RECONCILE_INTERVAL_MS > 0) {
+  setInterval(async () => {
+    try {
+      await dbReady;
+      const report = await reconcileSellOffers({ dryRun: false });
+      if (report.changes.length) {
+        invalidateMarketFeed();
+        console.log("RECONCILE_APPLIED", { checked: report.checked, changed: report.changes.length });
+      }
+    } catch (e) {
+      console.error("reconcile error:", e);
+    }
+  }, RECONCILE_INTERVAL_MS);
+}
+
+// ------------------------------
+// AUCTION CLOSER + OFFER EXPIRY (AUCTION_SWEEP_MS=0 to disable)
+// ------------------------------
+const AUCTION_SWEEP_MS = Number(process.env.AUCTION_SWEEP_MS ?? 60 * 1000);
+
+if (AUCTION_SWEEP_MS > 0) {
+  setInterval(async () => {
+    try {
+      await dbReady;
+      await closeDueAuctions();
+      await expireOffers();
+    } catch (e) {
+      console.error("auction sweep error:", e);
+    }
+  }, AUCTION_SWEEP_MS);
+}
+
+// ------------------------------
+// EMAIL NOTIFICATION SENDER (NOTIFY_SWEEP_MS=0 to disable)
+// ------------------------------
+const NOTIFY_SWEEP_MS = Number(process.env.NOTIFY_SWEEP_MS ?? 30 * 1000);
+
+if (NOTIFY_SWEEP_MS > 0) {
+  setInterval(async () => {
+    try {
+      await dbReady;
+      const { sent, failed } = await sendPendingNotifications();
+      if (sent || failed) console.log("NOTIFICATIONS_SENT", { sent, failed });
+    } catch (e) {
+      console.error("notification sweep error:", e);
+    }
+  }, NOTIFY_SWEEP_MS);
+}
+
+// ------------------------------
+// OUTBOUND WEBHOOK SENDER (WEBHOOK_SWEEP_MS=0 to disable)
+// ------------------------------
+const WEBHOOK_SWEEP_MS = Number(process.env.WEBHOOK_SWEEP_MS ?? 15 * 1000);
+
+if (WEBHOOK_SWEEP_MS > 0) {
+  setInterval(async () => {
+    try {
+      await dbReady;
+      const { delivered, failed } = await sendPendingWebhooks();
+      if (delivered || failed) console.log("WEBHOOKS_SENT", { delivered, failed });
+    } catch (e) {
+      console.error("webhook sweep error:", e);
+    }
+  }, WEBHOOK_SWEEP_MS);
+}
+
+// ------------------------------
+// PAYOUT WORKER (PAYOUT_SWEEP_MS=0 to disable)
+// Also runs right after boot so SUBMITTED payouts from before a restart
+// are finalised or resubmitted.
+// ------------------------------
+const PAYOUT_SWEEP_MS = Number(process.env.PAYOUT_SWEEP_MS ?? 10 * 1000);
+
+async function payoutSweep() {
+  try {
+    await dbReady;
+    const { checked, signed } = await processPayouts();
+    if (checked || signed) console.log("PAYOUTS_PROCESSED", { checked, signed });
+  } catch (e) {
+    console.error("payout sweep error:", e);
+  }
 }
 
-initDB();
-initOrdersDB();
+if (PAYOUT_SWEEP_MS > 0) {
+  payoutSweep();
+  setInterval(payoutSweep, PAYOUT_SWEEP_MS);
+}
 
 // ------------------------------
-// SIMPLE IN-MEMORY CACHE (STEP 8A)
+// BROKERED MATCH WORKER (BROKER_SWEEP_MS=0 to disable; idle without XRPL_BROKER_SEED)
+// Webhooks only queue matches; this signs them and finalises the ones in
+// flight, including any left MATCHING by a restart.
 // ------------------------------
-let marketAllCache = {
-  ts: 0,
-  data: null
-};
-const MARKET_ALL_TTL_MS = 10_000; // 10 seconds
+const BROKER_SWEEP_MS = Number(process.env.BROKER_SWEEP_MS ?? 10 * 1000);
+
+async function brokerSweep() {
+  try {
+    await dbReady;
+    const { checked, signed } = await processBrokeredMatches();
+    if (checked || signed) console.log("BROKERED_MATCHES_PROCESSED", { checked, signed });
+  } catch (e) {
+    console.error("brokered match sweep error:", e);
+  }
+}
+
+if (BROKER_SWEEP_MS > 0) {
+  brokerSweep();
+  setInterval(brokerSweep, BROKER_SWEEP_MS);
+}
 
 // ------------------------------
-// HELPERS
+// PLATFORM MINT WORKER (MINT_SWEEP_MS=0 to disable; idle without XRPL_MINTER_SEED)
 // ------------------------------
-function parsePrice(raw) {
-  if (!raw) return NaN;
-  if (typeof raw === "number") return raw;
-  const cleaned = raw.replace(/[^0-9.]/g, "");
-  return Number(cleaned);
+const MINT_SWEEP_MS = Number(process.env.MINT_SWEEP_MS ?? 10 * 1000);
+
+async function mintSweep() {
+  try {
+    await dbReady;
+    const { checked, signed, closed, offered } = await processMints();
+    if (closed) invalidateMarketFeed();
+    if (checked || signed || closed || offered) {
+      console.log("MINTS_PROCESSED", { checked, signed, closed, offered });
+    }
+  } catch (e) {
+    console.error("mint sweep error:", e);
+  }
+}
+
+if (MINT_SWEEP_MS > 0) {
+  mintSweep();
+  setInterval(mintSweep, MINT_SWEEP_MS);
+}
+
+// ------------------------------
+// XAMAN WEBHOOK VERIFICATION
+// ------------------------------
+const XAMAN_WEBHOOK_MAX_AGE_MS = 5 * 60 * 1000; // 5 minutes
+
+// Xaman signs `timestamp + raw body` with HMAC-SHA1, keyed by the app secret without dashes
+function hasValidXamanSignature(req) {
+  const timestamp = req.get("x-xumm-request-timestamp");
+  const signature = req.get("x-xumm-request-signature");
+  const secret = String(process.env.XUMM_API_SECRET || "").replace(/-/g, "");
+
+  if (!timestamp || !signature || !secret || req.rawBody === undefined) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha1", secret)
+    .update(timestamp + req.rawBody)
+    .digest("hex");
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature).toLowerCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// header is unix seconds; tolerate milliseconds too
+function xamanCallbackTime(req) {
+  const raw = Number(req.get("x-xumm-request-timestamp"));
+  if (!Number.isFinite(raw)) return NaN;
+  return raw < 1e12 ? raw * 1000 : raw;
+}
+
+async function auditXamanWebhook(req, decision, reason = null) {
+  const p = req.body || {};
+  try {
+    await pool.query(
+      `
+      INSERT INTO xaman_webhook_audit
+        (payload_uuid, callback_ts, decision, reason, remote_ip, body)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      `,
+      [
+        p?.meta?.payload_uuidv4 || p?.payloadResponse?.payload_uuidv4 || null,
+        Number.isFinite(xamanCallbackTime(req)) ? xamanCallbackTime(req) : null,
+        decision,
+        reason,
+        req.ip || null,
+        JSON.stringify(p)
+      ]
+    );
+  } catch (e) {
+    console.error("webhook audit error:", e);
+  }
+}
+
+// Returns { ok: true, uuid, payload } with the payload as Xaman reports it,
+// or { ok: false, status, reason }. On success the payload uuid is claimed in
+// xaman_webhook_receipts, so the same callback can never be acted on twice.
+async function verifyXamanWebhook(req) {
+  const p = req.body || {};
+
+  if (!hasValidXamanSignature(req)) {
+    return { ok: false, status: 401, reason: "invalid signature" };
+  }
+
+  const callbackTs = xamanCallbackTime(req);
+  if (!Number.isFinite(callbackTs) || Math.abs(Date.now() - callbackTs) > XAMAN_WEBHOOK_MAX_AGE_MS) {
+    return { ok: false, status: 401, reason: "stale or missing timestamp" };
+  }
+
+  const uuid = p?.meta?.payload_uuidv4 || p?.payloadResponse?.payload_uuidv4;
+  if (!uuid) {
+    return { ok: false, status: 400, reason: "missing payload uuid" };
+  }
+
+  const seen = await pool.query(
+    "SELECT 1 FROM xaman_webhook_receipts WHERE payload_uuid=$1",
+    [uuid]
+  );
+  if (seen.rows.length) {
+    // 200 so Xaman stops retrying
+    return { ok: false, status: 200, reason: "replayed payload" };
+  }
+
+  if (p?.payloadResponse?.signed !== true) {
+    return { ok: false, status: 200, reason: "payload not signed" };
+  }
+
+  let payload;
+  try {
+    payload = await getPayload(uuid);
+  } catch (e) {
+    console.error("webhook payload fetch error:", e?.response?.data || e.message);
+    return { ok: false, status: 502, reason: "payload lookup failed" };
+  }
+
+  if (
+    payload?.meta?.uuid !== uuid ||
+    payload?.meta?.signed !== true ||
+    !payload?.response?.txid ||
+    (p?.payloadResponse?.txid && payload.response.txid !== p.payloadResponse.txid)
+  ) {
+    return { ok: false, status: 400, reason: "payload does not match Xaman record" };
+  }
+
+  const claimed = await pool.query(
+    `
+    INSERT INTO xaman_webhook_receipts (payload_uuid, callback_ts)
+    VALUES ($1,$2)
+    ON CONFLICT DO NOTHING
+    RETURNING payload_uuid
+    `,
+    [uuid, callbackTs]
+  );
+  if (!claimed.rowCount) {
+    return { ok: false, status: 200, reason: "replayed payload" };
+  }
+
+  return { ok: true, uuid, payload };
 }
 
 // ------------------------------
 // APP
 // ------------------------------
 const app = express();
-app.use(express.json());
+
+// behind a load balancer: TRUST_PROXY=1 (hops), true, or a subnet list, so
+// req.ip is the client (faucet limits, webhook audit)
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+app.use(express.json({
+  // keep the exact bytes for webhook signature checks
+  verify: (req, _res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  }
+}));
 app.use(cors());
 
 // ------------------------------
 // LIST ON MARKETPLACE (POLLING-ONLY, SAFE)
 // ------------------------------
 app.post("/api/list-on-marketplace", async (req, res) => {
-  let xrplClient;
-
   try {
     const { marketplace_nft_id, currency } = req.body;
-    console.log("LIST_START", { marketplace_nft_id, currency });
+    const brokered = wantsBrokered(req.body.brokered);
+    console.log("LIST_START", { marketplace_nft_id, currency, brokered });
 
     if (!marketplace_nft_id || !currency) {
       return res.status(400).json({ error: "Missing params" });
     }
+    if (!(await getCurrency(currency))) {
+      return res.status(400).json({ error: "Unsupported currency" });
+    }
+    if (brokered && !brokerAddress()) {
+      return res.status(400).json({ error: "Brokered sales are not configured" });
+    }
 
     const r = await pool.query(
   `
@@ -216,8 +489,6 @@ app.post("/api/list-on-marketplace", async (req, res) => {
   m.submission_id,
   m.creator_wallet,
   m.metadata_cid,
-  m.price_xrp,
-  m.price_rlusd,
   m.nftoken_id,
   s.nftoken_ids
 FROM marketplace_nfts m
@@ -235,12 +506,6 @@ console.log("LIST_DB_OK", { rows: r.rowCount, nft: r.rows?.[0]?.id, submission_i
 
     const nft = r.rows[0];
 
-    // Connect XRPL
-    console.log("LIST_XRPL_CONNECTING", { XRPL_NETWORK: process.env.XRPL_NETWORK });
-    xrplClient = new xrpl.Client(process.env.XRPL_NETWORK);
-    await xrplClient.connect();
-    console.log("LIST_XRPL_CONNECTED");
-
 const ids = Array.isArray(nft.nftoken_ids)
   ? nft.nftoken_ids
   : JSON.parse(nft.nftoken_ids || "[]");
@@ -266,78 +531,39 @@ const alreadyListed = new Set(
   existing.rows.map(r => String(r.nftoken_id).toUpperCase())
 );
 
-let ledgerNFT; // <-- ADD THIS ONCE, before both paths
+  // single edition; quantity > 1 drops use POST /api/list-on-marketplace/batch
+  const matching = (await findEditions(nft.creator_wallet, nft.metadata_cid))
+    .filter(id => !alreadyListed.has(id));
 
-  // 🔁 batch / quantity >1 logic (disabled, preserved)
-  const acct = await xrplClient.request({
-    command: "account_nfts",
-    account: nft.creator_wallet
-  });
-
-  const expectedURI = xrpl
-    .convertStringToHex(`ipfs://${nft.metadata_cid}`)
-    .toUpperCase();
-const matching = acct.result.account_nfts.filter(n =>
-  n.NFTokenID &&
-  !alreadyListed.has(String(n.NFTokenID).toUpperCase()) &&
-  n.URI?.toUpperCase() === expectedURI
-);
- 
   if (!matching.length) {
     return res.status(400).json({ error: "Correct NFT not found on XRPL" });
   }
 
-  ledgerNFT = matching.sort((a, b) =>
-    a.NFTokenID.localeCompare(b.NFTokenID)
-  )[0];
+  const ledgerNFT = { NFTokenID: matching[0] };
 
-    const Amount =
-      currency === "XRP"
-        ? String(Math.floor(Number(nft.price_xrp) * 1_000_000))
-        : {
-            currency: "524C555344000000000000000000000000000000",
-            issuer: process.env.RLUSD_ISSUER,
-            value: String(nft.price_rlusd)
-          };
+    // brokered: the creator asks for their net and only the broker may accept
+    const Amount = brokered
+      ? await brokeredSellAmount(pool, nft.id, currency)
+      : await sellOfferAmount(pool, nft.id, currency);
+    if (!Amount) {
+      return res.status(400).json({ error: `No ${currency} price set for this NFT` });
+    }
 
     // 🔹 CREATE SELL OFFER (NO PRE-CHECK)
     console.log("LIST_XAMAN_POSTING");
-    const xumm = await axios.post(
-      "https://xumm.app/api/v1/platform/payload",
-      {
-        txjson: {
-          TransactionType: "NFTokenCreateOffer",
-          Account: nft.creator_wallet,
-         NFTokenID: String(ledgerNFT.NFTokenID),
-          Amount,
-          Flags: 1
-        },
-        options: {
-  submit: true,
-  webhook: "https://cfc-nft-shared-mint-backend.onrender.com/api/xaman/webhook",
-  return_url: {
-    web: "https://centerforcreators.com/nft-creator",
-    app: "https://centerforcreators.com/nft-creator"
-  }
-        },
-        custom_meta: {
-  blob: {
-    marketplace_nft_id: marketplace_nft_id,
-    currency
-  }
-}
+    const xumm = await createPayload(sellOfferPayload({
+      account: nft.creator_wallet,
+      nftokenId: ledgerNFT.NFTokenID,
+      amount: Amount,
+      destination: brokered ? brokerAddress() : undefined,
+      blob: {
+        marketplace_nft_id: marketplace_nft_id,
+        currency
       },
-      {
-        headers: {
-          "X-API-Key": process.env.XUMM_API_KEY,
-          "X-API-Secret": process.env.XUMM_API_SECRET
-        }
-      }
-    );
-
+      returnTo: "creator"
+    }));
 
-
-    return res.json({ link: xumm.data.next.always });
+    return res.json({ link: xumm.link });
 
   } catch (e) {
    console.error("LIST_ERROR_MESSAGE", e?.message);
@@ -345,10 +571,77 @@ console.error("LIST_ERROR_RESPONSE", e?.response?.status, e?.response?.data);
 console.error("LIST_ERROR_STACK", e?.stack);
 
     return res.status(500).json({ error: "List failed" });
-  } finally {
-    if (xrplClient) {
-      try { await xrplClient.disconnect(); } catch {}
+  }
+});
+
+// ------------------------------
+// BATCH LISTING (QUANTITY > 1)
+// ------------------------------
+app.post("/api/list-on-marketplace/batch", requireWallet, async (req, res) => {
+  try {
+    const { marketplace_nft_id, currency, count } = req.body;
+
+    if (!marketplace_nft_id || !currency) {
+      return res.status(400).json({ error: "Missing params" });
+    }
+    if (!(await getCurrency(currency))) {
+      return res.status(400).json({ error: "Unsupported currency" });
+    }
+    if (count !== undefined && !(Number.isInteger(Number(count)) && Number(count) > 0)) {
+      return res.status(400).json({ error: "Invalid count" });
+    }
+
+    const r = await pool.query("SELECT * FROM marketplace_nfts WHERE id=$1", [marketplace_nft_id]);
+    if (!r.rows.length) {
+      return res.status(404).json({ error: "Marketplace NFT not found" });
+    }
+    if (r.rows[0].creator_wallet !== req.wallet) {
+      return res.status(403).json({ error: "Not your NFT" });
+    }
+
+    const brokered = wantsBrokered(req.body.brokered);
+    if (brokered && !brokerAddress()) {
+      return res.status(400).json({ error: "Brokered sales are not configured" });
+    }
+
+    const result = await startListingBatch({ nft: r.rows[0], currency, count, brokered });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (e) {
+    console.error("batch list error:", e?.response?.data || e);
+    res.status(500).json({ error: "Batch list failed" });
+  }
+});
+
+app.get("/api/listing-batches/:id", requireWallet, async (req, res) => {
+  try {
+    // only the batch's creator gets to make us poll Xaman for its payloads
+    const batch = await batchProgress(Number(req.params.id));
+    if (!batch || batch.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res.json(await batchProgress(batch.id, { refresh: true }));
+  } catch (e) {
+    console.error("batch progress error:", e?.response?.data || e);
+    res.status(500).json({ error: "Failed to load batch" });
+  }
+});
+
+app.post("/api/listing-batches/:id/cancel", requireWallet, async (req, res) => {
+  try {
+    const progress = await batchProgress(Number(req.params.id));
+    if (!progress || progress.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Batch not found" });
     }
+
+    await cancelListingBatch(progress.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("batch cancel error:", e);
+    res.status(500).json({ error: "Failed to cancel batch" });
   }
 });
 
@@ -370,50 +663,38 @@ app.post("/api/add-nft", async (req, res) => {
       creator_wallet,
       terms,
       website,
-      quantity
+      quantity,
+      prices
     } = req.body;
 
     if (!submission_id || !name || !metadata_cid || !creator_wallet) {
       return res.status(400).json({ error: "Missing required fields" });
     }
 
-  await pool.query(
-  `
-  INSERT INTO marketplace_nfts
-  (
-    submission_id,
-    name,
-    description,
-    category,
-    image_cid,
-    metadata_cid,
-    price_xrp,
-    price_rlusd,
-    creator_wallet,
-    terms,
-    website,
-    quantity,
-    minted
-  )
-  VALUES
-  ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,true)
-  ON CONFLICT DO NOTHING
-  `,
-  [
-    submission_id,
-    name,
-    description || "",
-    category || "all",
-    image_cid || null,
-    metadata_cid,
-    price_xrp || null,
-    price_rlusd || null,
-    creator_wallet,
-    terms || "",
-    website || "",
-    Number(quantity || 1)
-  ]
-);
+    // the mint pipeline already created this submission's row
+    const piped = await pool.query(
+      "SELECT marketplace_nft_id FROM mint_jobs WHERE submission_id=$1 AND marketplace_nft_id IS NOT NULL",
+      [submission_id]
+    );
+    if (piped.rows.length) {
+      return res.json({ ok: true, marketplace_nft_id: piped.rows[0].marketplace_nft_id });
+    }
+
+    await createMarketplaceNft(pool, {
+      submission_id,
+      name,
+      description,
+      category,
+      image_cid,
+      metadata_cid,
+      price_xrp,
+      price_rlusd,
+      creator_wallet,
+      terms,
+      website,
+      quantity,
+      prices
+    });
 
     res.json({ ok: true });
   } catch (e) {
@@ -422,52 +703,195 @@ app.post("/api/add-nft", async (req, res) => {
   }
 });
 
+// ------------------------------
+// MINT PIPELINE (submission → N editions → marketplace row)
+// ------------------------------
+const MINT_LISTING_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "image_cid",
+  "price_xrp",
+  "price_rlusd",
+  "prices",
+  "terms",
+  "website"
+];
+
+// { submission_id, quantity, taxon, royalty_percent, transferable, burnable,
+//   platform_minter, ...listing fields for the marketplace row }
+app.post("/api/mint", requireWallet, async (req, res) => {
+  try {
+    const { submission_id, quantity, taxon, royalty_percent, transferable, burnable, platform_minter } = req.body;
+
+    if (!submission_id) {
+      return res.status(400).json({ error: "Missing params" });
+    }
+
+    const s = await pool.query("SELECT * FROM submissions WHERE id=$1", [submission_id]);
+    if (!s.rows.length) {
+      return res.status(404).json({ error: "Submission not found" });
+    }
+    if (s.rows[0].creator_wallet !== req.wallet) {
+      return res.status(403).json({ error: "Not your submission" });
+    }
+
+    const settings = mintSettings({ taxon, royaltyPercent: royalty_percent, transferable, burnable });
+    if (settings.error) {
+      return res.status(settings.status).json({ error: settings.error });
+    }
+
+    const result = await startMintJob({
+      submission: s.rows[0],
+      quantity,
+      settings,
+      platformMinter: platform_minter === true || platform_minter === "true",
+      listing: Object.fromEntries(MINT_LISTING_FIELDS.map(f => [f, req.body[f]]))
+    });
+    if (result.error) {
+      const { status, ...refusal } = result;
+      return res.status(status).json(refusal);
+    }
+
+    invalidateMarketFeed();
+    res.json(result);
+  } catch (e) {
+    console.error("mint error:", e?.response?.data || e);
+    res.status(500).json({ error: "Mint failed" });
+  }
+});
+
+// latest job for a submission: GET /api/mint?submission_id=
+app.get("/api/mint", requireWallet, async (req, res) => {
+  try {
+    const jobId = req.query.submission_id ? await latestMintJob(Number(req.query.submission_id)) : null;
+    const job = jobId ? await mintJobProgress(jobId) : null;
+    if (!job || job.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Mint not found" });
+    }
+    res.json(await mintJobProgress(job.id, { refresh: true }));
+  } catch (e) {
+    console.error("mint progress error:", e?.response?.data || e);
+    res.status(500).json({ error: "Failed to load mint" });
+  }
+});
+
+app.get("/api/mint/:id", requireWallet, async (req, res) => {
+  try {
+    // only the job's creator gets to make us poll Xaman and the ledger
+    const job = await mintJobProgress(Number(req.params.id));
+    if (!job || job.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Mint not found" });
+    }
+    res.json(await mintJobProgress(job.id, { refresh: true }));
+  } catch (e) {
+    console.error("mint progress error:", e?.response?.data || e);
+    res.status(500).json({ error: "Failed to load mint" });
+  }
+});
+
+// platform-minted editions: accept payload for the next transfer offer
+app.post("/api/mint/:id/claim", requireWallet, async (req, res) => {
+  try {
+    const progress = await mintJobProgress(Number(req.params.id));
+    if (!progress || progress.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Mint not found" });
+    }
+    if (!progress.minter_wallet) {
+      return res.status(400).json({ error: "Editions minted from your wallet are already there" });
+    }
+
+    const item = await issueNextClaim(progress.id);
+    if (!item) {
+      return res.status(409).json({ error: "No editions are waiting to be claimed" });
+    }
+    res.json({ ok: true, item_id: item.id, link: item.link });
+  } catch (e) {
+    console.error("mint claim error:", e?.response?.data || e);
+    res.status(500).json({ error: "Claim failed" });
+  }
+});
+
+app.post("/api/mint/:id/cancel", requireWallet, async (req, res) => {
+  try {
+    const progress = await mintJobProgress(Number(req.params.id));
+    if (!progress || progress.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Mint not found" });
+    }
+    if (!(await cancelMintJob(progress.id))) {
+      return res.status(409).json({ error: "Mint is not running" });
+    }
+
+    invalidateMarketFeed();
+    res.json(await mintJobProgress(progress.id));
+  } catch (e) {
+    console.error("mint cancel error:", e);
+    res.status(500).json({ error: "Failed to cancel mint" });
+  }
+});
+
  
 // ------------------------------
 // GET ALL NFTs (CACHED — STEP 8A)
 // ------------------------------
-app.get("/api/market/all", async (_, res) => {
+// Query params: q (full-text over name/description), category, creator,
+// currency, min_price / max_price (in `currency`), sold_out=true|false,
+// sort=newest|price_asc|price_desc|best_selling, market=all|primary|secondary,
+// limit, cursor. Each item carries resale_listings ({ CODE: { listings, lowest } }).
+// Returns { items, next_cursor }. Without any params the old frontend still
+// gets every primary listing as a plain array.
+app.get("/api/market/all", async (req, res) => {
+  const legacy = Object.keys(req.query).length === 0;
+
   try {
-    const now = Date.now();
-
-    if (marketAllCache.data && (now - marketAllCache.ts) < MARKET_ALL_TTL_MS) {
-      return res.json(marketAllCache.data);
-    }
-
-  const r = await pool.query(`
-  SELECT
-    n.*,
-    n.quantity AS quantity_remaining,
-    (GREATEST(COALESCE(n.quantity,0),0)=0) AS sold_out,
-    (
-      SELECT COUNT(*)
-      FROM marketplace_sell_offers o
-      WHERE o.marketplace_nft_id = n.id
-        AND o.currency = 'XRP'
-        AND COALESCE(o.status,'OPEN')='OPEN'
-    )::int AS xrp_open_offers
-  FROM marketplace_nfts n
-  WHERE n.minted = true
-    AND n.sold = false
-    AND COALESCE(n.is_delisted, false) = false
-  ORDER BY n.created_at DESC
-`);
-
-    marketAllCache = { ts: now, data: r.rows };
-    res.json(r.rows);
- } catch (e) {
-  console.error("market/all error:", e);
-  return res.json([]);
-}
+    const params = await parseFeedQuery(req.query);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
 
+    // legacy: one unpaginated page of primary listings
+    const page = await marketFeed(legacy ? { ...params, market: "primary", limit: null } : params);
+    res.json(legacy ? page.items : page);
+  } catch (e) {
+    console.error("market/all error:", e);
+    return legacy ? res.json([]) : res.status(500).json({ error: "Failed to load market" });
+  }
 });
 
 // ------------------------------
-// PAY XRP (FIXED)
+// CURRENCIES (enabled registry rows)
 // ------------------------------
-app.post("/api/market/pay-xrp", async (req, res) => {
+app.get("/api/currencies", async (_, res) => {
+  try {
+    const rows = await listCurrencies();
+    res.json(rows.map(c => ({
+      code: c.code,
+      display_name: c.display_name,
+      issuer: c.issuer,
+      decimals: c.decimals
+    })));
+  } catch (e) {
+    console.error("currencies error:", e);
+    res.status(500).json({ error: "Failed to load currencies" });
+  }
+});
+
+// ------------------------------
+// PAY (any registry currency)
+// The buyer (session wallet, or body.wallet for older clients) is
+// preflighted first: a missing trustline or short balance comes back as a
+// 409 with a code, and a TrustSet link when that's the fix.
+// ------------------------------
+async function marketPay(req, res) {
   try {
     const { id } = req.body;
+    const buyer = (await sessionWallet(req)) ||
+      (xrpl.isValidClassicAddress(String(req.body.wallet || "")) ? req.body.wallet : null);
+
+    const cur = await getCurrency(req.body.currency);
+    if (!cur) {
+      return res.status(400).json({ error: "Unsupported currency" });
+    }
 
     const nftRes = await pool.query(
       "SELECT * FROM marketplace_nfts WHERE id=$1",
@@ -478,221 +902,553 @@ app.post("/api/market/pay-xrp", async (req, res) => {
       return res.status(404).json({ error: "NFT not found" });
     }
 
-    // pull the oldest OPEN XRP sell offer for this marketplace NFT
-    const offerRes = await pool.query(
-      `
-      SELECT sell_offer_index
-      FROM marketplace_sell_offers
-      WHERE marketplace_nft_id = $1
-        AND currency = 'XRP'
-        AND COALESCE(status,'OPEN') = 'OPEN'
-      ORDER BY created_at ASC
-      LIMIT 1
-      `,
-      [id]
-    );
+    // pull the oldest OPEN sell offer in this currency
+    const offer = await findOpenSellOffer(pool, id, cur.code);
+
+    if (!offer) {
+      return res.status(400).json({ error: `No ${cur.code} sell offer set for this NFT.` });
+    }
+
+    const price = buyer ? await nftPrice(pool, id, cur.code) : null;
+    if (price !== null) {
+      const cantPay = await preflightPayment({ wallet: buyer, cur, units: toUnits(cur, price) });
+      if (cantPay) {
+        const { status, ...refusal } = cantPay;
+        return res.status(status).json(refusal);
+      }
+    }
 
-    if (!offerRes.rows.length) {
-      return res.status(400).json({ error: "No XRP sell offer set for this NFT." });
+    // brokered listing: buyer signs a buy offer, the broker matches it
+    if (offer.destination) {
+      return res.json(await startBrokeredSale({ nft: nftRes.rows[0], offer, currency: cur.code }));
     }
 
-    const sellOfferIndex = String(offerRes.rows[0].sell_offer_index);
+    const sellOfferIndex = String(offer.sell_offer_index);
 
-    const payload = {
-      txjson: {
-        TransactionType: "NFTokenAcceptOffer",
-        NFTokenSellOffer: sellOfferIndex
+    const xumm = await createPayload(acceptOfferPayload({
+      sellOffer: sellOfferIndex,
+      blob: {
+        nft_id: id,
+        sell_offer_index: sellOfferIndex,
+        currency: cur.code
       },
-      options: {
-        submit: true,
-        webhook: "https://cfc-nft-shared-mint-backend.onrender.com/api/xaman/webhook",
-       return_url: {
-  web: "https://centerforcreators.com/learn-and-earn-experience",
-  app: "https://centerforcreators.com/learn-and-earn-experience"
+      returnTo: "buyer"
+    }));
+
+    return res.json({ link: xumm.link });
+  } catch (e) {
+    console.error("pay error:", e?.response?.data || e.message);
+    return res.status(500).json({ error: "Buy failed" });
+  }
 }
-      },
-      custom_meta: {
-        blob: {
-          nft_id: id,
-          sell_offer_index: sellOfferIndex,
-          currency: "XRP"
-        }
-      }
-    };
-
-    const xumm = await axios.post(
-      "https://xumm.app/api/v1/platform/payload",
-      payload,
-      {
-        headers: {
-          "X-API-Key": process.env.XUMM_API_KEY,
-          "X-API-Secret": process.env.XUMM_API_SECRET
-        }
-      }
+
+app.post("/api/market/pay", marketPay);
+
+// aliases for older frontend calls (keeps existing UI working)
+for (const [path, currency] of [
+  ["/api/market/pay-xrp", "XRP"],
+  ["/api/pay-xrp", "XRP"],
+  ["/api/market/pay-rlusd", "RLUSD"]
+]) {
+  app.post(path, (req, res) => {
+    req.body = { ...req.body, currency };
+    return marketPay(req, res);
+  });
+}
+
+// ------------------------------
+// AUCTIONS
+// ------------------------------
+app.post("/api/auctions", requireWallet, async (req, res) => {
+  try {
+    const { marketplace_nft_id, nftoken_id, currency, reserve_price } = req.body;
+    const startsAt = req.body.starts_at ? new Date(req.body.starts_at) : new Date();
+    const endsAt = new Date(req.body.ends_at);
+
+    if (!marketplace_nft_id || !currency || !(Number(reserve_price) > 0)) {
+      return res.status(400).json({ error: "Missing params" });
+    }
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      return res.status(400).json({ error: "Invalid date" });
+    }
+    if (endsAt <= startsAt || endsAt <= new Date()) {
+      return res.status(400).json({ error: "ends_at must be after starts_at and in the future" });
+    }
+
+    const r = await pool.query("SELECT * FROM marketplace_nfts WHERE id=$1", [marketplace_nft_id]);
+    if (!r.rows.length) {
+      return res.status(404).json({ error: "Marketplace NFT not found" });
+    }
+    if (r.rows[0].creator_wallet !== req.wallet) {
+      return res.status(403).json({ error: "Not your NFT" });
+    }
+
+    const auction = await createAuction({
+      nft: r.rows[0],
+      nftokenId: nftoken_id,
+      currency,
+      reservePrice: reserve_price,
+      startsAt,
+      endsAt
+    });
+    if (auction.error) {
+      return res.status(400).json({ error: auction.error });
+    }
+
+    res.json(auction);
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Edition is already on auction" });
+    }
+    console.error("auction create error:", e);
+    res.status(500).json({ error: "Failed to create auction" });
+  }
+});
+
+app.get("/api/auctions", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const r = await pool.query(
+      `
+      SELECT a.id, a.marketplace_nft_id, a.nftoken_id, a.creator_wallet, a.currency,
+             a.reserve_price, a.starts_at, a.ends_at, a.status,
+             n.name, n.image_cid,
+             (
+               SELECT MAX(b.amount) FROM bids b
+               WHERE b.auction_id = a.id AND b.status='ACTIVE'
+             ) AS high_bid
+      FROM auctions a
+      JOIN marketplace_nfts n ON n.id = a.marketplace_nft_id
+      WHERE a.status = COALESCE($1, 'ACTIVE')
+      ORDER BY a.ends_at ASC
+      LIMIT $2 OFFSET $3
+      `,
+      [req.query.status ? String(req.query.status).toUpperCase() : null, limit, offset]
     );
+    res.json(r.rows);
+  } catch (e) {
+    console.error("auctions list error:", e);
+    res.status(500).json({ error: "Failed to load auctions" });
+  }
+});
 
-    return res.json({ link: xumm.data.next.always });
+app.get("/api/auctions/:id", async (req, res) => {
+  try {
+    const summary = await auctionSummary(Number(req.params.id), { viewer: await sessionWallet(req) });
+    if (!summary) {
+      return res.status(404).json({ error: "Auction not found" });
+    }
+    res.json(summary);
   } catch (e) {
-    console.error("pay-xrp error:", e?.response?.data || e.message);
-    return res.status(500).json({ error: "Buy failed" });
+    console.error("auction load error:", e);
+    res.status(500).json({ error: "Failed to load auction" });
   }
 });
 
-// alias for older frontend calls (keeps existing UI working)
-app.post("/api/pay-xrp", (req, res) => {
-  req.url = "/api/market/pay-xrp";
-  return app._router.handle(req, res);
+app.get("/api/auctions/:id/bids", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    res.json(await bidHistory(Number(req.params.id), {
+      viewer: await sessionWallet(req),
+      limit,
+      offset
+    }));
+  } catch (e) {
+    console.error("bid history error:", e);
+    res.status(500).json({ error: "Failed to load bids" });
+  }
 });
 
+app.post("/api/auctions/:id/bids", requireWallet, async (req, res) => {
+  try {
+    if (!(Number(req.body.amount) > 0)) {
+      return res.status(400).json({ error: "Invalid amount" });
+    }
+
+    const auction = await getAuction(Number(req.params.id));
+    if (!auction) {
+      return res.status(404).json({ error: "Auction not found" });
+    }
+
+    const result = await placeBid({ auction, bidder: req.wallet, amount: req.body.amount });
+    if (result.error) {
+      const { status = 400, ...refusal } = result;
+      return res.status(status).json(refusal);
+    }
+
+    res.json(result);
+  } catch (e) {
+    console.error("bid error:", e?.response?.data || e);
+    res.status(500).json({ error: "Bid failed" });
+  }
+});
+
+app.post("/api/auctions/:id/cancel", requireWallet, async (req, res) => {
+  try {
+    const auction = await getAuction(Number(req.params.id));
+    if (!auction || auction.creator_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Auction not found" });
+    }
+
+    if (!(await cancelAuction(auction.id))) {
+      return res.status(409).json({ error: "Auction already has bids or has ended" });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("auction cancel error:", e);
+    res.status(500).json({ error: "Failed to cancel auction" });
+  }
+});
 
 // ------------------------------
-// PAY RLUSD (WORKING)
+// MAKE AN OFFER / COUNTER
 // ------------------------------
-app.post("/api/market/pay-rlusd", async (req, res) => {
+app.post("/api/market/:id/offers", requireWallet, async (req, res) => {
   try {
-    const { id } = req.body;
+    const { currency, amount, ttl_hours } = req.body;
+    if (!currency || !(Number(amount) > 0)) {
+      return res.status(400).json({ error: "Missing params" });
+    }
 
     const r = await pool.query(
-      "SELECT * FROM marketplace_nfts WHERE id=$1",
-      [id]
+      "SELECT * FROM marketplace_nfts WHERE id=$1 AND COALESCE(is_delisted,false)=false",
+      [Number(req.params.id)]
     );
-
     if (!r.rows.length) {
       return res.status(404).json({ error: "NFT not found" });
     }
 
-   const nft = r.rows[0];
-
-const offerRes = await pool.query(
-  `
-  SELECT sell_offer_index
-  FROM marketplace_sell_offers
-  WHERE marketplace_nft_id = $1
-    AND currency = 'RLUSD'
-    AND COALESCE(status,'OPEN') = 'OPEN'
-  ORDER BY created_at ASC
-  LIMIT 1
-  `,
-  [id]
-);
+    const result = await makeOffer({ nft: r.rows[0], buyer: req.wallet, currency, amount, ttlHours: ttl_hours });
+    if (result.error) {
+      const { status = 400, ...refusal } = result;
+      return res.status(status).json(refusal);
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("make offer error:", e?.response?.data || e);
+    res.status(500).json({ error: "Offer failed" });
+  }
+});
 
-if (!offerRes.rows.length) {
-  return res.status(400).json({
-    error: "No RLUSD sell offer set for this NFT."
-  });
-}
+app.get("/api/creators/:wallet/offers", requireWallet, async (req, res) => {
+  if (!isOwnWallet(req, req.params.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
 
-const sellOfferIndex = String(offerRes.rows[0].sell_offer_index);
+  try {
+    res.json(await offersForCreator(req.wallet, {
+      status: req.query.status ? String(req.query.status).toUpperCase() : null,
+      marketplaceNftId: req.query.marketplace_nft_id ? Number(req.query.marketplace_nft_id) : null,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("creator offers error:", e);
+    res.status(500).json({ error: "Failed to load offers" });
+  }
+});
 
-    const payload = {
-      txjson: {
-        TransactionType: "NFTokenAcceptOffer",
-       NFTokenSellOffer: sellOfferIndex
-      },
-      options: {
-  submit: true,
-  webhook: "https://cfc-nft-shared-mint-backend.onrender.com/api/xaman/webhook",
-  return_url: {
-    web: "https://centerforcreators.com/nft-creator",
-    app: "https://centerforcreators.com/nft-creator"
+app.get("/api/offers/mine", requireWallet, async (req, res) => {
+  try {
+    res.json(await offersByBuyer(req.wallet, {
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("my offers error:", e);
+    res.status(500).json({ error: "Failed to load offers" });
   }
-      },
-      custom_meta: {
-        blob: {
-          nft_id: id
-        }
+});
+
+// creator actions: accept | reject | counter ({ amount })
+for (const action of ["accept", "reject", "counter"]) {
+  app.post(`/api/offers/:id/${action}`, requireWallet, async (req, res) => {
+    try {
+      const offer = await getOffer(Number(req.params.id));
+      if (!offer || offer.creator_wallet !== req.wallet) {
+        return res.status(404).json({ error: "Offer not found" });
       }
-    };
-
-    const xumm = await axios.post(
-      "https://xumm.app/api/v1/platform/payload",
-      payload,
-      {
-        headers: {
-          "X-API-Key": process.env.XUMM_API_KEY,
-          "X-API-Secret": process.env.XUMM_API_SECRET
+
+      let result;
+      if (action === "accept") result = await acceptOffer(offer);
+      if (action === "reject") result = await rejectOffer(offer);
+      if (action === "counter") {
+        if (!(Number(req.body.amount) > 0)) {
+          return res.status(400).json({ error: "Invalid amount" });
         }
+        result = await counterOffer(offer, req.body.amount);
       }
-    );
 
-    res.json({ link: xumm.data.next.always });
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+      res.json(result);
+    } catch (e) {
+      console.error(`offer ${action} error:`, e?.response?.data || e);
+      res.status(500).json({ error: `Failed to ${action} offer` });
+    }
+  });
+}
+
+app.post("/api/offers/:id/withdraw", requireWallet, async (req, res) => {
+  try {
+    const offer = await getOffer(Number(req.params.id));
+    if (!offer || offer.buyer_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Offer not found" });
+    }
+
+    const result = await withdrawOffer(offer);
+    if (!result) {
+      return res.status(409).json({ error: "Offer can no longer be withdrawn" });
+    }
+    res.json(result);
   } catch (e) {
-    console.error(e);
+    console.error("offer withdraw error:", e?.response?.data || e);
+    res.status(500).json({ error: "Failed to withdraw offer" });
+  }
+});
+
+// ------------------------------
+// RESALE (secondary market: holders list editions they own)
+// ------------------------------
+app.get("/api/resale/listings", async (req, res) => {
+  try {
+    res.json(await listResaleListings({
+      marketplaceNftId: req.query.marketplace_nft_id ? Number(req.query.marketplace_nft_id) : null,
+      seller: req.query.seller ? String(req.query.seller) : null,
+      status: req.query.status ? String(req.query.status).toUpperCase() : null,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("resale listings error:", e);
+    res.status(500).json({ error: "Failed to load listings" });
+  }
+});
+
+app.get("/api/resale/listings/:id", async (req, res) => {
+  try {
+    const listing = await getResaleListing(Number(req.params.id));
+    if (!listing) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+    res.json({ ...listing, quote: await resaleListingQuote(listing) });
+  } catch (e) {
+    console.error("resale listing error:", e);
+    res.status(500).json({ error: "Failed to load listing" });
+  }
+});
+
+// { nftoken_id, currency, price } — the session wallet must hold the token
+app.post("/api/resale/listings", requireWallet, async (req, res) => {
+  try {
+    const { nftoken_id, currency, price } = req.body;
+    if (!/^[0-9A-Fa-f]{64}$/.test(String(nftoken_id || "")) || !currency || !(Number(price) > 0)) {
+      return res.status(400).json({ error: "Missing params" });
+    }
+
+    const result = await createResaleListing({ seller: req.wallet, nftokenId: nftoken_id, currency, price });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("resale list error:", e?.response?.data || e);
+    res.status(500).json({ error: "List failed" });
+  }
+});
+
+// accept payload for the listing's sell offer; the buyer (session wallet,
+// or body.wallet) is preflighted like /api/market/pay
+app.post("/api/resale/listings/:id/buy", async (req, res) => {
+  try {
+    const listing = await getResaleListing(Number(req.params.id));
+    if (!listing) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
+
+    const buyer = (await sessionWallet(req)) ||
+      (xrpl.isValidClassicAddress(String(req.body.wallet || "")) ? req.body.wallet : null);
+
+    const result = await startResalePurchase({ listing, buyer });
+    if (result.error) {
+      const { status, ...refusal } = result;
+      if (status === 409) invalidateMarketFeed();
+      return res.status(status).json(refusal);
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("resale buy error:", e?.response?.data || e);
     res.status(500).json({ error: "Buy failed" });
   }
 });
-app.post("/api/admin/create-sell-offer", async (req, res) => {
+
+app.post("/api/resale/listings/:id/cancel", requireWallet, async (req, res) => {
   try {
-    const { id, currency } = req.body;
+    const listing = await getResaleListing(Number(req.params.id));
+    if (!listing || listing.seller_wallet !== req.wallet) {
+      return res.status(404).json({ error: "Listing not found" });
+    }
 
-    const r = await pool.query(
-      "SELECT id, nftoken_id, creator_wallet, price_xrp, price_rlusd FROM marketplace_nfts WHERE id=$1",
-      [id]
-    );
+    const result = await cancelResaleListing(listing);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    invalidateMarketFeed();
+    res.json(result);
+  } catch (e) {
+    console.error("resale cancel error:", e?.response?.data || e);
+    res.status(500).json({ error: "Failed to cancel listing" });
+  }
+});
 
-    if (!r.rows.length) {
-      return res.status(404).json({ error: "NFT not found" });
+// ------------------------------
+// OUTBOUND WEBHOOKS (creator's own endpoints)
+// ------------------------------
+
+// { url, events? } — the response carries the signing secret, once
+app.post("/api/webhooks", requireWallet, async (req, res) => {
+  try {
+    const result = await createEndpoint(req.wallet, req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
+    res.json(result);
+  } catch (e) {
+    console.error("webhook create error:", e);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
 
-    const nft = r.rows[0];
+app.get("/api/webhooks", requireWallet, async (req, res) => {
+  try {
+    res.json(await listEndpoints(req.wallet));
+  } catch (e) {
+    console.error("webhook list error:", e);
+    res.status(500).json({ error: "Failed to load webhooks" });
+  }
+});
 
+app.post("/api/webhooks/:id/disable", requireWallet, async (req, res) => {
+  try {
+    const endpoint = await disableEndpoint(Number(req.params.id), req.wallet);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json(endpoint);
+  } catch (e) {
+    console.error("webhook disable error:", e);
+    res.status(500).json({ error: "Failed to disable webhook" });
+  }
+});
 
-    let amount;
-    if (currency === "XRP") {
-      amount = String(Math.floor(Number(nft.price_xrp) * 1_000_000));
-    } else {
-      amount = {
-        currency: "524C555344000000000000000000000000000000",
-        issuer: process.env.RLUSD_ISSUER,
-        value: String(nft.price_rlusd)
-      };
-    }
-
-    const payload = {
-      txjson: {
-        TransactionType: "NFTokenCreateOffer",
-        Account: nft.creator_wallet,
-        NFTokenID: nft.nftoken_id,
-        Amount: amount,
-        Flags: 1
-      },
-      options: {
-        submit: true
-      },
-      custom_meta: {
-  blob: {
-    marketplace_nft_id: marketplace_nft_id,
-    currency
+// ?status=PENDING|DELIVERED|FAILED|CANCELLED, ?limit=&offset=
+app.get("/api/webhooks/:id/deliveries", requireWallet, async (req, res) => {
+  try {
+    const endpoint = await getEndpoint(Number(req.params.id), req.wallet);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json(await listDeliveries(endpoint.id, {
+      status: req.query.status ? String(req.query.status).toUpperCase() : null,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("webhook deliveries error:", e);
+    res.status(500).json({ error: "Failed to load deliveries" });
   }
-}
-    };
-
-    const xumm = await axios.post(
-      "https://xumm.app/api/v1/platform/payload",
-      payload,
-      {
-        headers: {
-          "X-API-Key": process.env.XUMM_API_KEY,
-          "X-API-Secret": process.env.XUMM_API_SECRET
-        }
-      }
-    );
+});
 
-    res.json({ link: xumm.data.next.always });
+app.get("/api/webhooks/deliveries/:id", requireWallet, async (req, res) => {
+  try {
+    const delivery = await getDelivery(Number(req.params.id), req.wallet);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json(delivery);
+  } catch (e) {
+    console.error("webhook delivery error:", e);
+    res.status(500).json({ error: "Failed to load delivery" });
+  }
+});
 
+app.post("/api/webhooks/deliveries/:id/redeliver", requireWallet, async (req, res) => {
+  try {
+    if (!(await redeliver(Number(req.params.id), req.wallet))) {
+      return res.status(409).json({ error: "Only failed deliveries on an active webhook, or cancelled ones, can be redelivered" });
+    }
+    res.json({ ok: true });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "Failed to create sell offer" });
+    console.error("webhook redeliver error:", e);
+    res.status(500).json({ error: "Redeliver failed" });
   }
 });
 
+// ------------------------------
+// ADMIN API (role-guarded, audited)
+// ------------------------------
+app.use("/api/admin", createAdminRouter({
+  onMarketChange: () => {
+    invalidateMarketFeed();
+  }
+}));
+
+// ------------------------------
+// WALLET SIGN-IN (Xaman SignIn → session token)
+// ------------------------------
+app.post("/api/auth/signin", async (_, res) => {
+  try {
+    res.json(await startSignIn());
+  } catch (e) {
+    console.error("signin error:", e?.response?.data || e.message);
+    res.status(500).json({ error: "Sign-in failed" });
+  }
+});
+
+// poll until status is SIGNED; the token is only returned once
+app.get("/api/auth/signin/:uuid", async (req, res) => {
+  try {
+    const result = await pollSignIn(req.params.uuid);
+    if (result.status === "NOT_FOUND") {
+      return res.status(404).json({ error: "Unknown sign-in" });
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("signin poll error:", e?.response?.data || e.message);
+    res.status(500).json({ error: "Sign-in check failed" });
+  }
+});
+
+app.get("/api/auth/me", requireWallet, (req, res) => {
+  res.json({ wallet: req.wallet });
+});
+
+app.post("/api/auth/logout", requireWallet, async (req, res) => {
+  try {
+    await revokeSession(req.sessionToken);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("logout error:", e);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
 
 // ------------------------------
 // GET ORDERS BY WALLET
 // ------------------------------
-app.get("/api/orders/by-wallet/:wallet", async (req, res) => {
+app.get("/api/orders/by-wallet/:wallet", requireWallet, async (req, res) => {
   const { wallet } = req.params;
 
+  if (!isOwnWallet(req, wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
+
  const r = await pool.query(
   `
  SELECT 
@@ -711,10 +1467,84 @@ JOIN submissions s ON s.id = n.submission_id
   [req.params.wallet]
 );
 
-  res.json(r.rows);
+  res.json(r.rows);
+});
+
+// ------------------------------
+// CREATOR SALES & EARNINGS (own wallet only)
+// ?from=&to= (ISO dates, to exclusive), ?limit=&offset=, earnings also ?interval=day|week
+// ------------------------------
+app.get("/api/creators/:wallet/sales", requireWallet, async (req, res) => {
+  if (!isOwnWallet(req, req.params.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    res.json(await creatorSales(req.params.wallet, range));
+  } catch (e) {
+    console.error("creator sales error:", e);
+    res.status(500).json({ error: "Failed to load sales" });
+  }
+});
+
+app.get("/api/creators/:wallet/earnings", requireWallet, async (req, res) => {
+  if (!isOwnWallet(req, req.params.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    res.json(await creatorEarnings(req.params.wallet, { ...range, interval: req.query.interval }));
+  } catch (e) {
+    console.error("creator earnings error:", e);
+    res.status(500).json({ error: "Failed to load earnings" });
+  }
+});
+
+// ------------------------------
+// CREATOR PROFILE & STOREFRONT
+// GET is public; edits need a session for that wallet
+// ------------------------------
+app.get("/api/creators/:wallet", async (req, res) => {
+  if (!xrpl.isValidClassicAddress(req.params.wallet)) {
+    return res.status(400).json({ error: "Invalid wallet" });
+  }
+
+  try {
+    res.json(await creatorStorefront(req.params.wallet));
+  } catch (e) {
+    console.error("creator storefront error:", e);
+    res.status(500).json({ error: "Failed to load creator" });
+  }
+});
+
+app.post("/api/creators/:wallet/profile", requireWallet, async (req, res) => {
+  if (!isOwnWallet(req, req.params.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
+
+  try {
+    const result = await saveCreatorProfile(req.wallet, req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (e) {
+    console.error("creator profile error:", e);
+    res.status(500).json({ error: "Failed to save profile" });
+  }
 });
 
-app.post("/api/market/toggle-delist", async (req, res) => {
+app.post("/api/market/toggle-delist", requireWallet, async (req, res) => {
   try {
     const { submission_id, delist } = req.body;
 
@@ -722,13 +1552,45 @@ app.post("/api/market/toggle-delist", async (req, res) => {
       return res.status(400).json({ error: "Invalid submission_id" });
     }
 
-    await pool.query(
-      "UPDATE marketplace_nfts SET is_delisted=$1 WHERE submission_id=$2",
-      [!!delist, Number(submission_id)]
-    );
+    // creators can only delist their own NFTs; the webhook event commits with the change
+    const db = await pool.connect();
+    try {
+      await db.query("BEGIN");
+
+      const u = await db.query(
+        `
+        UPDATE marketplace_nfts SET is_delisted=$1
+        WHERE submission_id=$2 AND creator_wallet=$3
+        RETURNING id, name, nftoken_id
+        `,
+        [!!delist, Number(submission_id), req.wallet]
+      );
+
+      if (!u.rowCount) {
+        await db.query("ROLLBACK");
+        return res.status(403).json({ error: "Not your NFT" });
+      }
+
+      if (delist) {
+        for (const nft of u.rows) {
+          await emitWebhookEvent(db, {
+            type: "listing.delisted",
+            creatorWallet: req.wallet,
+            data: { marketplace_nft_id: nft.id, nftoken_id: nft.nftoken_id, name: nft.name, by: "creator" }
+          });
+        }
+      }
+
+      await db.query("COMMIT");
+    } catch (e) {
+      await db.query("ROLLBACK");
+      throw e;
+    } finally {
+      db.release();
+    }
 
     // clear cache so it reflects instantly
-    marketAllCache = { ts: 0, data: null };
+    invalidateMarketFeed();
 
     res.json({ ok: true });
   } catch (e) {
@@ -740,294 +1602,304 @@ app.post("/api/market/toggle-delist", async (req, res) => {
 // ------------------------------
 // STEP 5 — REDEEM REQUEST
 // ------------------------------
-app.post("/api/orders/redeem", async (req, res) => {
-  const { order_id, wallet, email } = req.body;
+app.post("/api/orders/redeem", requireWallet, async (req, res) => {
+  const { order_id, email, note } = req.body;
 
-  if (!order_id || !wallet || !email) {
-    return res.status(400).json({ error: "Missing required fields" });
+  if (!isOwnWallet(req, req.body.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
   }
 
-  const r = await pool.query(
-    `
-    UPDATE orders
-    SET status='REDEEM_REQUESTED',
-        buyer_email=$1
-    WHERE id=$2 AND buyer_wallet=$3 AND status='PAID'
-    RETURNING id
-    `,
-    [email, order_id, wallet]
-  );
-
-  if (!r.rows.length) {
-    return res.status(400).json({ error: "Invalid order or already redeemed" });
+  if (!order_id || !email) {
+    return res.status(400).json({ error: "Missing required fields" });
   }
 
-  res.json({ ok: true });
-
-});
-app.post("/api/faucet-claim", async (req, res) => {
-  const { wallet } = req.body || {};
+  try {
+    const result = await transitionOrder({
+      orderId: order_id,
+      to: "REDEEM_REQUESTED",
+      actor: { wallet: req.wallet },
+      note,
+      extra: { buyerEmail: email }
+    });
 
-  if (!wallet) {
-    return res.status(400).json({ ok: false, error: "Missing wallet" });
+    if (result.error) {
+      return res.status(400).json({ error: "Invalid order or already redeemed" });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("redeem error:", e);
+    res.status(500).json({ error: "Redeem failed" });
   }
+});
 
-  const db = await pool.connect();
-  let previousClaim = null;
-  let hadExistingRow = false;
+// ------------------------------
+// ORDER LIFECYCLE (buyer or the item's creator)
+// ------------------------------
 
+// { status, note?, attachments? }; buyer: REFUND_REQUESTED,
+// creator: IN_PROGRESS | FULFILLED | REJECTED
+app.post("/api/orders/:id/transition", requireWallet, async (req, res) => {
   try {
-    await db.query("BEGIN");
-
-    const existing = await db.query(
-      `SELECT last_claim_at
-       FROM faucet_claims
-       WHERE wallet = $1
-       FOR UPDATE`,
-      [wallet]
-    );
-
-    if (existing.rows.length) {
-      hadExistingRow = true;
-      previousClaim = existing.rows[0].last_claim_at;
-
-      const last = new Date(previousClaim).getTime();
-      const now = Date.now();
-      const hours24 = 24 * 60 * 60 * 1000;
-
-      if (now - last < hours24) {
-        await db.query("ROLLBACK");
-        return res.json({ ok: false, error: "Faucet already claimed (24h limit)" });
-      }
+    const result = await transitionOrder({
+      orderId: req.params.id,
+      to: req.body.status,
+      actor: { wallet: req.wallet },
+      note: req.body.note,
+      attachments: req.body.attachments
+    });
 
-      await db.query(
-        `UPDATE faucet_claims
-         SET last_claim_at = NOW()
-         WHERE wallet = $1`,
-        [wallet]
-      );
-    } else {
-      await db.query(
-        `INSERT INTO faucet_claims (wallet, last_claim_at)
-         VALUES ($1, NOW())`,
-        [wallet]
-      );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-
-    await db.query("COMMIT");
+    res.json(result);
   } catch (e) {
-    await db.query("ROLLBACK");
-    db.release();
-    console.error("faucet lock error:", e);
-    return res.status(500).json({ ok: false, error: "Faucet lock failed" });
+    console.error("order transition error:", e);
+    res.status(500).json({ error: "Order update failed" });
   }
+});
 
-  db.release();
-
+app.post("/api/orders/:id/notes", requireWallet, async (req, res) => {
   try {
-    const xrplClient = new xrpl.Client(process.env.XRPL_NETWORK || "wss://s1.ripple.com");
-    await xrplClient.connect();
-
-    const issuerWallet = xrpl.Wallet.fromSeed(process.env.CFC_ISSUER_SEED);
-
-    const tx = {
-      TransactionType: "Payment",
-      Account: issuerWallet.address,
-      Destination: wallet,
-      Amount: {
-        currency: process.env.CFC_CURRENCY,
-        issuer: process.env.CFC_ISSUER,
-        value: "25"
-      }
-    };
-
-    const prepared = await xrplClient.autofill(tx);
-    const signed = issuerWallet.sign(prepared);
-    const result = await xrplClient.submitAndWait(signed.tx_blob);
-    await xrplClient.disconnect();
+    const result = await addOrderNote({
+      orderId: req.params.id,
+      actor: { wallet: req.wallet },
+      note: req.body.note,
+      attachments: req.body.attachments
+    });
 
-    if (result.result.meta.TransactionResult !== "tesSUCCESS") {
-      throw new Error("XRPL payment failed");
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-
-    return res.json({ ok: true });
+    res.json(result.event);
   } catch (e) {
-    const undo = await pool.connect();
-    try {
-      await undo.query("BEGIN");
-
-      if (hadExistingRow) {
-        await undo.query(
-          `UPDATE faucet_claims
-           SET last_claim_at = $2
-           WHERE wallet = $1`,
-          [wallet, previousClaim]
-        );
-      } else {
-        await undo.query(
-          `DELETE FROM faucet_claims
-           WHERE wallet = $1`,
-          [wallet]
-        );
-      }
-
-      await undo.query("COMMIT");
-    } catch (undoErr) {
-      await undo.query("ROLLBACK");
-      console.error("faucet rollback error:", undoErr);
-    } finally {
-      undo.release();
-    }
-
-    console.error("faucet payment error:", e);
-    return res.status(500).json({ ok: false, error: "Faucet payment failed" });
+    console.error("order note error:", e);
+    res.status(500).json({ error: "Failed to add note" });
   }
 });
-// ------------------------------
-const PORT = process.env.PORT || 5000;
-// -------------------------------
-// ONE-TIME NFT REWARD CLAIM (100 CFC) — creates Xaman SignIn
-// -------------------------------
-app.post("/api/claim-nft-reward", async (req, res) => {
-  try {
-    const { wallet, submission_id } = req.body || {};
 
-    if (!wallet || !submission_id) {
-      return res.status(400).json({ ok: false, error: "Missing wallet or submission_id" });
+app.get("/api/orders/:id/events", requireWallet, async (req, res) => {
+  try {
+    const order = await getOrderFor(req.params.id, { wallet: req.wallet });
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
     }
+    res.json({ order, events: await orderEvents(order.id) });
+  } catch (e) {
+    console.error("order events error:", e);
+    res.status(500).json({ error: "Failed to load order history" });
+  }
+});
 
-   const { rows } = await pool.query(
-  `SELECT 1 FROM nft_reward_claims 
-   WHERE wallet=$1 
-   AND claimed_at > NOW() - INTERVAL '24 hours'`,
-  [wallet]
-);
+// ?status= (default: REDEEM_REQUESTED and IN_PROGRESS), ?limit=&offset=
+app.get("/api/creators/:wallet/redemptions", requireWallet, async (req, res) => {
+  if (!isOwnWallet(req, req.params.wallet)) {
+    return res.status(403).json({ error: "Wallet does not match session" });
+  }
 
-if (rows.length) {
-  return res.json({ ok: false, error: "Already claimed in last 24h" });
-}
+  const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+  if (status && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
 
-   const issuer = process.env.ISSUER_CLASSIC || process.env.CFC_ISSUER;
-const seed = process.env.ISSUER_SEED || process.env.CREATOR_SEED;
-const currency = process.env.CFC_CURRENCY || "CFC";
+  try {
+    res.json(await creatorRedemptions(req.wallet, {
+      status,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("creator redemptions error:", e);
+    res.status(500).json({ error: "Failed to load redemptions" });
+  }
+});
 
-    const xrplClient = new xrpl.Client(process.env.RIPPLED_URL || "wss://s1.ripple.com");
-    await xrplClient.connect();
+// ------------------------------
+// CFC REWARDS (rules in reward_rules, see rewards.js)
+// ------------------------------
+function sendRewardResult(res, result) {
+  if (result.error) {
+    const { status, ...refusal } = result;
+    return res.status(status).json({ ok: false, ...refusal });
+  }
+  res.json({ ok: true, grant: result.grant, payout: result.payout, payout_id: result.payout.id });
+}
 
-    const faucetWallet = xrpl.Wallet.fromSeed(seed);
+app.get("/api/rewards/rules", async (_, res) => {
+  try {
+    const rules = await listRewardRules();
+    res.json(rules.map(r => ({
+      key: r.key,
+      name: r.name,
+      currency: r.currency,
+      amount: r.amount,
+      cooldown_seconds: r.cooldown_seconds,
+      per_target: r.per_target,
+      eligibility: r.eligibility.type
+    })));
+  } catch (e) {
+    console.error("reward rules error:", e);
+    res.status(500).json({ error: "Failed to load rewards" });
+  }
+});
 
-    const tx = {
-      TransactionType: "Payment",
-      Account: faucetWallet.address,
-      Destination: wallet,
-      Amount: { currency, issuer, value: "100" }
-    };
+// { rule, target_id?, captcha_token? } (+ X-Client-Fingerprint for the faucet)
+app.post("/api/rewards/claim", requireWallet, async (req, res) => {
+  try {
+    sendRewardResult(res, await claimReward({
+      ruleKey: req.body?.rule,
+      wallet: req.wallet,
+      targetId: req.body?.target_id,
+      context: faucetRequestContext(req)
+    }));
+  } catch (e) {
+    console.error("reward claim error:", e);
+    res.status(500).json({ ok: false, error: "Claim failed" });
+  }
+});
 
-    const filled = await xrplClient.autofill(tx);
-    const signed = faucetWallet.sign(filled);
-    const result = await xrplClient.submitAndWait(signed.tx_blob);
+// poll a payout the claim returned: PENDING → SUBMITTED → VALIDATED | FAILED
+app.get("/api/payouts/:id", requireWallet, async (req, res) => {
+  try {
+    const payout = await getPayout(Number(req.params.id));
+    if (!payout || payout.destination !== req.wallet) {
+      return res.status(404).json({ error: "Payout not found" });
+    }
+    res.json(payoutView(payout));
+  } catch (e) {
+    console.error("payout status error:", e);
+    res.status(500).json({ error: "Failed to load payout" });
+  }
+});
 
-    await xrplClient.disconnect();
+app.get("/api/rewards/grants", requireWallet, async (req, res) => {
+  try {
+    res.json(await grantsForWallet(req.wallet, {
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+      offset: Math.max(Number(req.query.offset) || 0, 0)
+    }));
+  } catch (e) {
+    console.error("reward grants error:", e);
+    res.status(500).json({ error: "Failed to load rewards" });
+  }
+});
 
-    // ✅ INSERT FIRST (ALWAYS runs)
-await pool.query(
-  `INSERT INTO nft_reward_claims (wallet, submission_id, last_claim_at)
-   VALUES ($1, $2, NOW())`,
-  [wallet, submission_id]
-);
+// the marketplace NFT a submission was listed as
+async function marketplaceNftForSubmission(submissionId) {
+  const id = Number(submissionId);
+  if (!Number.isInteger(id) || id <= 0) return { status: 400, error: "Missing submissionId" };
 
-// THEN check XRPL result
-if (result.result.meta.TransactionResult !== "tesSUCCESS") {
-  return res.status(500).json({ ok: false, error: "XRPL payment failed" });
+  const r = await pool.query(
+    "SELECT id FROM marketplace_nfts WHERE submission_id=$1 ORDER BY id ASC LIMIT 1",
+    [id]
+  );
+  if (!r.rows.length) return { status: 404, error: "NFT not found" };
+  return { targetId: r.rows[0].id };
 }
-    res.json({ ok: true });
 
-  } catch (e) {
-    console.error("claim-nft-reward error:", e);
-    res.status(500).json({ ok: false, error: "Claim failed" });
-  }
-});
+// older frontend calls, now rules in the engine:
+// faucet-claim → faucet, claim-nft-reward { submission_id } → nft_reward,
+// reward-claim { submissionId } → purchase_reward on that submission's NFT
+for (const [path, ruleKey, resolveTarget] of [
+  ["/api/faucet-claim", "faucet", async () => ({ targetId: null })],
+  ["/api/claim-nft-reward", "nft_reward", async body => ({ targetId: body?.submission_id })],
+  ["/api/reward-claim", "purchase_reward", body => marketplaceNftForSubmission(body?.submissionId)]
+]) {
+  app.post(path, requireWallet, async (req, res) => {
+    if (!isOwnWallet(req, req.body?.wallet)) {
+      return res.status(403).json({ ok: false, error: "Wallet does not match session" });
+    }
 
+    try {
+      const target = await resolveTarget(req.body);
+      if (target.error) return sendRewardResult(res, target);
+
+      sendRewardResult(res, await claimReward({
+        ruleKey,
+        wallet: req.wallet,
+        targetId: target.targetId,
+        context: faucetRequestContext(req)
+      }));
+    } catch (e) {
+      console.error(`${ruleKey} claim error:`, e);
+      res.status(500).json({ ok: false, error: "Claim failed" });
+    }
+  });
+}
 
+// ------------------------------
+const PORT = process.env.PORT || 5000;
 // ------------------------------
 // XAMAN WEBHOOK (SELL OFFER + PURCHASE — QUANTITY SAFE)
 // ------------------------------
 app.post("/api/xaman/webhook", async (req, res) => {
   const client = await pool.connect();
+  let claimedUuid = null;
 
   try {
     const p = req.body;
-const response = p?.payloadResponse;
-const metaBlob = p?.custom_meta?.blob;
     console.log("WEBHOOK_RAW_BODY", JSON.stringify(p, null, 2));
 
-    // ✅ only act on signed successful payloads
- 
-if (
-  response?.signed !== true ||
-  !response?.txid
-) {
-  return res.json({ ok: true });
-}
-    const txid = response.txid;
- // ------------------------------
-// CLAIM NFT CFC REWARD (ONE-TIME)
-// ------------------------------
-if (metaBlob?.action === "claim_nft_reward") {
-  const { wallet, submission_id } = metaBlob;
-
-  // Prevent double-claim
-const { rows } = await pool.query(
-  `SELECT 1 FROM nft_reward_claims 
-   WHERE wallet=$1 
-   AND last_claim_at > NOW() - INTERVAL '24 hours'`,
-  [wallet]
-);
-
-  if (rows.length) {
-    return res.json({ ok: true }); // already claimed
-  }
+    // ✅ only act on signed payloads that Xaman itself confirms
+    const verified = await verifyXamanWebhook(req);
+    if (!verified.ok) {
+      await auditXamanWebhook(req, "REJECTED", verified.reason);
+      return res.status(verified.status).json({ ok: verified.status === 200, error: verified.reason });
+    }
 
-  // Send 100 CFC (reuse existing issuer logic)
-  const clientXRPL = new xrpl.Client(process.env.XRPL_NETWORK);
-  await clientXRPL.connect();
+    claimedUuid = verified.uuid;
+    await auditXamanWebhook(req, "ACCEPTED");
 
-  const issuerWallet = xrpl.Wallet.fromSeed(process.env.CFC_ISSUER_SEED);
+    // trust Xaman's copy of the payload, not the posted body
+    const response = verified.payload.response;
+    const metaBlob = verified.payload.custom_meta?.blob;
+    const txid = response.txid;
 
-  const tx = {
-    TransactionType: "Payment",
-    Account: issuerWallet.address,
-    Destination: wallet,
-    Amount: {
-      currency: process.env.CFC_CURRENCY,
-      issuer: process.env.CFC_ISSUER,
-      value: "100"
+    // ------------------------------
+    // WALLET SIGN-IN
+    // ------------------------------
+    if (metaBlob?.action === "signin") {
+      await completeSignIn(verified.uuid, verified.payload);
+      return res.json({ ok: true });
     }
-  };
 
-  const prepared = await clientXRPL.autofill(tx);
-  const signed = issuerWallet.sign(prepared);
-  await clientXRPL.submitAndWait(signed.tx_blob);
-  await clientXRPL.disconnect();
-
-  // Record claim
-  await pool.query(
-    `
-    INSERT INTO nft_reward_claims (wallet, submission_id)
-    VALUES ($1, $2)
-    `,
-    [wallet, submission_id]
-  );
+ // ------------------------------
+// CLAIM NFT CFC REWARD (signed in Xaman; the signer is the claimer)
+// ------------------------------
+if (metaBlob?.action === "claim_nft_reward") {
+  const result = await claimReward({
+    ruleKey: "nft_reward",
+    wallet: response.account,
+    targetId: metaBlob.submission_id
+  });
+  // the signer isn't waiting on this response; keep the refusal for support
+  if (result.error) {
+    console.warn("NFT_REWARD_REFUSED", {
+      wallet: response.account,
+      submission_id: metaBlob.submission_id,
+      status: result.status,
+      error: result.error
+    });
+  }
+  return res.json({ ok: true });
+}
 
+// ------------------------------
+// MINT PIPELINE: a creator-signed edition; issues the next payload
+// ------------------------------
+if (metaBlob?.action === "mint" && metaBlob.mint_item_id) {
+  await onMintSigned({
+    itemId: metaBlob.mint_item_id,
+    txHash: txid,
+    userToken: verified.payload.application?.issued_user_token
+  });
+  invalidateMarketFeed();
   return res.json({ ok: true });
 }
-  
+
 // ------------------------------
 // SAVE MINTED NFT (NFTokenMint) — REQUIRED
 // ------------------------------
 if (p?.txjson?.TransactionType === "NFTokenMint") {
-  const metaBlob = p?.custom_meta?.blob;
-
   if (metaBlob?.submission_id && p?.meta?.AffectedNodes) {
     const minted = p.meta.AffectedNodes
       .filter(n => n.CreatedNode?.LedgerEntryType === "NFTokenPage")
@@ -1036,14 +1908,7 @@ if (p?.txjson?.TransactionType === "NFTokenMint") {
       );
 
     if (minted.length) {
-      await pool.query(
-        `
-        UPDATE submissions
-        SET nftoken_ids = COALESCE(nftoken_ids, '[]'::jsonb) || $1::jsonb
-        WHERE id = $2
-        `,
-        [JSON.stringify(minted), metaBlob.submission_id]
-      );
+      await recordMintedTokens(pool, metaBlob.submission_id, minted);
     }
   }
 
@@ -1052,19 +1917,17 @@ if (p?.txjson?.TransactionType === "NFTokenMint") {
 
   // ------------------------------
 // SAVE SELL OFFER (NFTokenCreateOffer) — XRPL FETCH (REQUIRED)
+// (the ledger listener records the same events if this lookup fails)
 // ------------------------------
 
 let tx = null;
 
 try {
-  const c = new xrpl.Client(process.env.XRPL_NETWORK);
-  await c.connect();
-  const r = await c.request({
+  const r = await xrplRequest({
     command: "tx",
     transaction: txid,
     binary: false
   });
-  await c.disconnect();
   tx = r.result;
 } catch (e) {
   console.warn("XRPL tx lookup failed (non-fatal):", e?.data?.error || e.message);
@@ -1073,34 +1936,109 @@ if (!tx || tx.meta?.TransactionResult !== "tesSUCCESS") {
   return res.json({ ok: true });
 }
 if (tx?.TransactionType === "NFTokenCreateOffer") {
-  const nodes = tx.meta?.AffectedNodes || [];
+  const offerIndex = offerIndexFromMeta(tx.meta);
+
+  // make-an-offer: buyer's buy offer / creator's counter sell offer
+  if (metaBlob?.action === "offer_made" && metaBlob.offer_id && offerIndex) {
+    await onOfferSigned({
+      offerId: metaBlob.offer_id,
+      account: tx.Account,
+      buyOfferIndex: offerIndex,
+      userToken: verified.payload.application?.issued_user_token
+    });
+    return res.json({ ok: true });
+  }
+  if (metaBlob?.action === "offer_counter" && metaBlob.offer_id && offerIndex) {
+    await onCounterSigned({ offerId: metaBlob.offer_id, account: tx.Account, sellOfferIndex: offerIndex });
+    return res.json({ ok: true });
+  }
+
+  // auction bid: check the buy offer against the ledger
+  if (metaBlob?.action === "auction_bid") {
+    if (metaBlob.bid_id && offerIndex) {
+      await onBidOfferSigned({
+        bidId: metaBlob.bid_id,
+        buyOfferIndex: offerIndex,
+        userToken: verified.payload.application?.issued_user_token
+      });
+    }
+    return res.json({ ok: true });
+  }
+
+  // holder resale: the seller's sell offer is live
+  if (metaBlob?.action === "resale_list") {
+    if (metaBlob.resale_listing_id && offerIndex) {
+      const opened = await onResaleOfferSigned({
+        listingId: metaBlob.resale_listing_id,
+        account: tx.Account,
+        nftokenId: tx.NFTokenID,
+        sellOfferIndex: offerIndex
+      });
+      if (opened) invalidateMarketFeed();
+    }
+    return res.json({ ok: true });
+  }
 
-  const offerIndex =
-    nodes.find(n => n.CreatedNode?.LedgerEntryType === "NFTokenOffer")
-      ?.CreatedNode?.LedgerIndex ||
-    nodes.find(n => n.ModifiedNode?.LedgerEntryType === "NFTokenOffer")
-      ?.ModifiedNode?.LedgerIndex ||
-    null;
+  // brokered checkout: the buyer's buy offer is live, queue the broker's match
+  if (metaBlob?.action === "brokered_buy") {
+    if (metaBlob.brokered_sale_id && offerIndex) {
+      await queueBrokeredMatch({
+        saleId: metaBlob.brokered_sale_id,
+        buyer: tx.Account,
+        buyOfferIndex: offerIndex
+      });
+    }
+    return res.json({ ok: true });
+  }
 
   if (
     metaBlob?.marketplace_nft_id &&
     offerIndex &&
     tx?.NFTokenID
   ) {
-    await pool.query(
-      `
-      INSERT INTO marketplace_sell_offers
-        (marketplace_nft_id, nftoken_id, sell_offer_index, currency, status)
-      VALUES ($1,$2,$3,$4,'OPEN')
-      ON CONFLICT DO NOTHING
-      `,
-      [
-        metaBlob.marketplace_nft_id,
-        String(tx.NFTokenID),
-        String(offerIndex),
-        metaBlob.currency || "XRP"
-      ]
-    );
+    const recorded = await recordSellOffer(pool, {
+      marketplaceNftId: metaBlob.marketplace_nft_id,
+      nftokenId: tx.NFTokenID,
+      sellOfferIndex: offerIndex,
+      currency: metaBlob.currency,
+      destination: tx.Destination
+    });
+
+    if (recorded) {
+      const owner = await pool.query(
+        "SELECT name, creator_wallet FROM marketplace_nfts WHERE id=$1",
+        [metaBlob.marketplace_nft_id]
+      );
+      await emitWebhookEvent(pool, {
+        type: "offer.created",
+        creatorWallet: owner.rows[0]?.creator_wallet,
+        data: {
+          marketplace_nft_id: Number(metaBlob.marketplace_nft_id),
+          nftoken_id: tx.NFTokenID,
+          name: owner.rows[0]?.name,
+          sell_offer_index: String(offerIndex),
+          currency: metaBlob.currency || "XRP",
+          amount: tx.Amount,
+          destination: tx.Destination || null
+        }
+      });
+
+      await notifyListingConfirmed(pool, {
+        marketplaceNftId: metaBlob.marketplace_nft_id,
+        currency: metaBlob.currency,
+        sellOfferIndex: offerIndex,
+        batchId: metaBlob.batch_id
+      });
+    }
+
+    // batch listing: hand the creator the next edition's payload
+    if (metaBlob.batch_item_id) {
+      await onBatchOfferSigned({
+        batchItemId: metaBlob.batch_item_id,
+        sellOfferIndex: offerIndex,
+        userToken: verified.payload.application?.issued_user_token
+      });
+    }
   }
 
   return res.json({ ok: true });
@@ -1111,73 +2049,69 @@ if (tx.TransactionType !== "NFTokenAcceptOffer") {
   return res.json({ ok: true });
 }
 
-const buyer = tx.Account;
-if (!metaBlob?.nft_id || !buyer) {
+// negotiated sale: creator accepted the buy offer, or buyer accepted the counter
+if (metaBlob?.action === "offer_accept" || metaBlob?.action === "counter_accept") {
+  await settleOfferSale({
+    buyOfferIndex: tx.NFTokenBuyOffer,
+    sellOfferIndex: tx.NFTokenSellOffer,
+    txHash: txid
+  });
+  invalidateMarketFeed();
   return res.json({ ok: true });
 }
 
-    await client.query("BEGIN");
-
-    const nftRes = await client.query(
-      "SELECT * FROM marketplace_nfts WHERE id=$1 FOR UPDATE",
-      [metaBlob.nft_id]
-    );
-
-    if (!nftRes.rows.length || nftRes.rows[0].quantity <= 0) {
-      await client.query("ROLLBACK");
-      return res.json({ ok: true });
-    }
-
-    const nft = nftRes.rows[0];
+// auction: the creator accepted the winning bid (the buyer is the bid's owner)
+if (metaBlob?.action === "auction_accept") {
+  if (tx.NFTokenBuyOffer) {
+    await settleAuction({ buyOfferIndex: tx.NFTokenBuyOffer, txHash: txid });
+    invalidateMarketFeed();
+  }
+  return res.json({ ok: true });
+}
 
-    const inserted = await client.query(
-      `
-      INSERT INTO orders
-        (marketplace_nft_id, buyer_wallet, price, currency, tx_hash)
-      VALUES ($1,$2,$3,$4,$5)
-      ON CONFLICT DO NOTHING
-      RETURNING id
-      `,
-      [
-        nft.id,
-        buyer,
-        metaBlob.currency === "RLUSD" ? nft.price_rlusd : nft.price_xrp,
-        metaBlob.currency,
-        txid
-      ]
-    );
+// mint pipeline: the creator claimed a platform-minted edition
+if (metaBlob?.action === "mint_claim") {
+  if (metaBlob.mint_item_id) {
+    await onMintClaimSigned({
+      itemId: metaBlob.mint_item_id,
+      userToken: verified.payload.application?.issued_user_token
+    });
+  }
+  return res.json({ ok: true });
+}
 
-    if (inserted.rowCount === 0) {
-      await client.query("ROLLBACK");
-      return res.json({ ok: true });
-    }
+// resale: the buyer took a holder's listing (the seller comes from the listing)
+if (metaBlob?.action === "resale_buy") {
+  if (tx.NFTokenSellOffer) {
+    await settleResale({ sellOfferIndex: tx.NFTokenSellOffer, buyer: tx.Account, txHash: txid });
+    invalidateMarketFeed();
+  }
+  return res.json({ ok: true });
+}
 
-    await client.query(
-      `
-      UPDATE marketplace_nfts
-      SET quantity = quantity - 1,
-          sold_count = sold_count + 1
-      WHERE id = $1
-      `,
-      [nft.id]
-    );
+const buyer = tx.Account;
+if (!metaBlob?.nft_id || !buyer) {
+  return res.json({ ok: true });
+}
 
-    if (metaBlob?.sell_offer_index) {
-      await client.query(
-        `
-        UPDATE marketplace_sell_offers
-        SET status='USED'
-        WHERE sell_offer_index=$1
-        `,
-        [String(metaBlob.sell_offer_index)]
-      );
-    }
+    await recordPurchase(client, {
+      marketplaceNftId: metaBlob.nft_id,
+      buyer,
+      currency: metaBlob.currency,
+      txHash: txid,
+      sellOfferIndex: metaBlob.sell_offer_index || tx.NFTokenSellOffer
+    });
 
-    await client.query("COMMIT");
     res.json({ ok: true });
 
   } catch (e) {
     await client.query("ROLLBACK");
+    // release the replay claim so Xaman's retry can be processed
+    if (claimedUuid) {
+      await pool
+        .query("DELETE FROM xaman_webhook_receipts WHERE payload_uuid=$1", [claimedUuid])
+        .catch(() => {});
+    }
     console.error("❌ webhook error:", e);
     res.status(500).json({ error: "webhook failed" });
   } finally {
@@ -1226,67 +2160,23 @@ app.post("/agent", async (req, res) => {
     });
   }
 });
-app.post("/api/reward-claim", async (req, res) => {
-  const { wallet, submissionId } = req.body;
-
-  if (!wallet || !submissionId) {
-    return res.status(400).json({ error: "Missing params" });
-  }
-
-  try {
-    // ✅ Check purchase + not already claimed
-    const orderCheck = await pool.query(
-      `SELECT id, reward_claimed FROM orders 
-       WHERE buyer_wallet = $1 
-       AND marketplace_nft_id = $2 
-       LIMIT 1`,
-      [wallet, submissionId]
-    );
-
-    if (!orderCheck.rows.length) {
-      return res.status(403).json({ error: "No valid purchase found" });
-    }
-
-    if (orderCheck.rows[0].reward_claimed) {
-      return res.status(400).json({ error: "Already claimed" });
-    }
-
-    // ✅ Send 100 CFC
-    const client = new xrpl.Client(process.env.XRPL_NETWORK);
-    await client.connect();
-
-    const sender = xrpl.Wallet.fromSeed(process.env.FAUCET_SEED);
-
-    const tx = {
-      TransactionType: "Payment",
-      Account: sender.address,
-      Destination: wallet,
-      Amount: {
-        currency: "CFC",
-        issuer: "rsxUkmjnAn8PRDz8RYrPusb9mTDYn5NqG8",
-        value: "100"
-      }
-    };
-
-    const prepared = await client.autofill(tx);
-    const signed = sender.sign(prepared);
-    await client.submitAndWait(signed.tx_blob);
-
-    await client.disconnect();
-
-    // ✅ Mark as claimed
-    await pool.query(
-      `UPDATE orders SET reward_claimed = TRUE WHERE id = $1`,
-      [orderCheck.rows[0].id]
-    );
+// ------------------------------
+// HEALTH
+// ------------------------------
+app.get("/api/health/xrpl", (_, res) => {
+  const health = xrplHealth();
+  res.status(health.ok ? 200 : 503).json(health);
+});
 
-    return res.json({ success: true });
+warmXrplPool();
 
-  } catch (err) {
-    console.error("Reward claim error:", err);
-    return res.status(500).json({ error: "Failed to send reward" });
-  }
-});
-app.listen(PORT, () => {
-  console.log("Marketplace backend running on port", PORT);
-});
+dbReady
+  .then(version => {
+    app.listen(PORT, () => {
+      console.log("Marketplace backend running on port", PORT, { schema: version });
+    });
+  })
+  .catch(e => {
+    console.error("schema check failed:", e);
+    process.exit(1);
+  });
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import { pool } from "./db.js";
+import { createPayload, getPayload, signInPayload } from "./xaman.js";
+
+// ------------------------------
+// WALLET SESSIONS
+// The wallet proves ownership by signing a Xaman SignIn payload. Once the
+// signature is confirmed (webhook or polling) the poller gets a bearer token
+// bound to that wallet. requireWallet puts the wallet on req.wallet.
+// ------------------------------
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 24 * 7) * 60 * 60 * 1000;
+const SIGNIN_MAX_AGE_MS = 15 * 60 * 1000; // unclaimed sign-ins expire after 15 min
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export async function startSignIn() {
+  const xumm = await createPayload(signInPayload({
+    blob: { action: "signin" }
+  }));
+
+  await pool.query(
+    "INSERT INTO auth_signins (payload_uuid) VALUES ($1)",
+    [xumm.uuid]
+  );
+
+  return { uuid: xumm.uuid, link: xumm.link };
+}
+
+// called by the webhook once verifyXamanWebhook has confirmed the payload
+export async function completeSignIn(uuid, payload) {
+  const wallet = payload?.response?.account;
+  if (!wallet) return false;
+
+  const r = await pool.query(
+    `
+    UPDATE auth_signins
+    SET status='SIGNED', wallet=$2, resolved_at=NOW()
+    WHERE payload_uuid=$1 AND status='PENDING'
+    `,
+    [uuid, wallet]
+  );
+  return r.rowCount > 0;
+}
+
+async function refreshFromXaman(row) {
+  const payload = await getPayload(row.payload_uuid);
+
+  if (payload?.meta?.signed === true && payload?.response?.account) {
+    await completeSignIn(row.payload_uuid, payload);
+    return { ...row, status: "SIGNED", wallet: payload.response.account };
+  }
+
+  if (payload?.meta?.resolved || payload?.meta?.cancelled || payload?.meta?.expired) {
+    await pool.query(
+      "UPDATE auth_signins SET status='REJECTED', resolved_at=NOW() WHERE payload_uuid=$1 AND status='PENDING'",
+      [row.payload_uuid]
+    );
+    return { ...row, status: "REJECTED" };
+  }
+
+  return row;
+}
+
+// Polling endpoint logic. Hands out the session token exactly once.
+export async function pollSignIn(uuid) {
+  const r = await pool.query("SELECT * FROM auth_signins WHERE payload_uuid=$1", [uuid]);
+  if (!r.rows.length) return { status: "NOT_FOUND" };
+
+  let row = r.rows[0];
+
+  if (row.status === "PENDING") {
+    if (Date.now() - new Date(row.created_at).getTime() > SIGNIN_MAX_AGE_MS) {
+      return { status: "EXPIRED" };
+    }
+    row = await refreshFromXaman(row);
+  }
+
+  if (row.status !== "SIGNED") return { status: row.status };
+
+  const claimed = await pool.query(
+    `
+    UPDATE auth_signins
+    SET session_issued_at=NOW()
+    WHERE payload_uuid=$1 AND session_issued_at IS NULL
+    RETURNING wallet
+    `,
+    [uuid]
+  );
+  if (!claimed.rows.length) return { status: "CLAIMED" };
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await pool.query(
+    `
+    INSERT INTO wallet_sessions (token_hash, wallet, signin_uuid, expires_at)
+    VALUES ($1,$2,$3,$4)
+    `,
+    [hashToken(token), claimed.rows[0].wallet, uuid, expiresAt]
+  );
+
+  return { status: "SIGNED", wallet: claimed.rows[0].wallet, token, expires_at: expiresAt };
+}
+
+export async function revokeSession(token) {
+  await pool.query(
+    "UPDATE wallet_sessions SET revoked_at=NOW() WHERE token_hash=$1 AND revoked_at IS NULL",
+    [hashToken(token)]
+  );
+}
+
+function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme?.toLowerCase() === "bearer" && token ? token : null;
+}
+
+// wallet behind the request's bearer token, or null
+export async function sessionWallet(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  const r = await pool.query(
+    `
+    SELECT wallet
+    FROM wallet_sessions
+    WHERE token_hash=$1
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    `,
+    [hashToken(token)]
+  );
+  return r.rows[0]?.wallet || null;
+}
+
+// ------------------------------
+// MIDDLEWARE
+// ------------------------------
+export async function requireWallet(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Sign in required" });
+    }
+
+    const wallet = await sessionWallet(req);
+    if (!wallet) {
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    req.wallet = wallet;
+    req.sessionToken = token;
+    next();
+  } catch (e) {
+    console.error("session lookup error:", e);
+    res.status(500).json({ error: "Session check failed" });
+  }
+}
+
+// a wallet named in the body/path must be the signed-in wallet
+export function isOwnWallet(req, wallet) {
+  return !wallet || wallet === req.wallet;
+}
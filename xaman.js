@@ -0,0 +1,254 @@
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ------------------------------
+// XAMAN PAYLOAD SERVICE
+// Builders for every transaction we ask users to sign, plus one place that
+// talks to the Xaman platform API. Point XAMAN_API_URL at the local mock
+// (node xamanMock.js) to run the whole flow without Xaman.
+// ------------------------------
+
+export const XAMAN_API_URL = process.env.XAMAN_API_URL || "https://xumm.app/api/v1/platform";
+
+export const XAMAN_WEBHOOK_URL =
+  process.env.XAMAN_WEBHOOK_URL ||
+  "https://cfc-nft-shared-mint-backend.onrender.com/api/xaman/webhook";
+
+// where Xaman sends the user after signing, per frontend page
+export const RETURN_URLS = {
+  creator: process.env.XAMAN_RETURN_URL_CREATOR || "https://centerforcreators.com/nft-creator",
+  buyer: process.env.XAMAN_RETURN_URL_BUYER || "https://centerforcreators.com/learn-and-earn-experience"
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 300;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ------------------------------
+// TRANSPORT
+// A transport is { request({ method, path, data }) -> { status, data } }.
+// ------------------------------
+export function createHttpTransport({
+  baseUrl = XAMAN_API_URL,
+  apiKey = process.env.XUMM_API_KEY,
+  apiSecret = process.env.XUMM_API_SECRET
+} = {}) {
+  return {
+    async request({ method, path, data }) {
+      const r = await axios.request({
+        method,
+        url: `${baseUrl}${path}`,
+        data,
+        headers: {
+          "X-API-Key": apiKey,
+          "X-API-Secret": apiSecret
+        },
+        validateStatus: () => true
+      });
+      return { status: r.status, data: r.data };
+    }
+  };
+}
+
+let transport = createHttpTransport();
+
+export function setXamanTransport(next) {
+  transport = next;
+}
+
+// retries 5xx and network errors; 4xx fail immediately
+async function call(method, path, data) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const r = await transport.request({ method, path, data });
+      if (r.status < 400) return r.data;
+
+      const err = new Error(`Xaman ${method} ${path} failed (${r.status})`);
+      err.response = { status: r.status, data: r.data };
+      if (r.status < 500) throw err;
+      lastError = err;
+    } catch (e) {
+      if (e.response && e.response.status < 500) throw e;
+      lastError = e;
+    }
+
+    if (attempt < MAX_ATTEMPTS) await sleep(RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+
+  throw lastError;
+}
+
+// ------------------------------
+// API
+// ------------------------------
+
+// returns Xaman's create response; `link` is the deeplink the frontend opens
+export async function createPayload(payload) {
+  const data = await call("post", "/payload", payload);
+  return { ...data, link: data?.next?.always };
+}
+
+export async function getPayload(uuid) {
+  return call("get", `/payload/${encodeURIComponent(uuid)}`);
+}
+
+// ------------------------------
+// BUILDERS
+// ------------------------------
+function required(fields) {
+  for (const [name, value] of Object.entries(fields)) {
+    if (value === undefined || value === null || value === "") {
+      throw new Error(`Missing ${name} for Xaman payload`);
+    }
+  }
+}
+
+/**
+ * @param {object} txjson
+ * @param {object} [opts]
+ * @param {object} [opts.blob] custom_meta.blob, echoed back on the webhook
+ * @param {"creator"|"buyer"} [opts.returnTo]
+ * @param {boolean} [opts.webhook] false to skip the webhook callback
+ * @param {string} [opts.userToken] Xaman user token; the payload is pushed to that device
+ */
+function wrap(txjson, { blob, returnTo = "creator", webhook = true, submit = true, userToken } = {}) {
+  const returnUrl = RETURN_URLS[returnTo] || RETURN_URLS.creator;
+  const payload = {
+    txjson,
+    options: {
+      submit,
+      ...(webhook ? { webhook: XAMAN_WEBHOOK_URL } : {}),
+      return_url: { web: returnUrl, app: returnUrl }
+    }
+  };
+  if (blob) payload.custom_meta = { blob };
+  if (userToken) payload.user_token = userToken;
+  return payload;
+}
+
+/**
+ * NFTokenCreateOffer with tfSellNFToken.
+ * @param {{ account: string, nftokenId: string, amount: string|object,
+ *   destination?: string, expiration?: number, blob?: object, returnTo?: string }} p
+ */
+export function sellOfferPayload({ account, nftokenId, amount, destination, expiration, ...opts }) {
+  required({ account, nftokenId, amount });
+  return wrap({
+    TransactionType: "NFTokenCreateOffer",
+    Account: account,
+    NFTokenID: String(nftokenId),
+    Amount: amount,
+    Flags: 1,
+    ...(destination ? { Destination: destination } : {}),
+    ...(expiration ? { Expiration: expiration } : {})
+  }, opts);
+}
+
+/**
+ * NFTokenCreateOffer buy offer (no flags) on a token held by `owner`.
+ * @param {{ account?: string, owner: string, nftokenId: string, amount: string|object,
+ *   expiration?: number, blob?: object, returnTo?: string }} p
+ */
+export function buyOfferPayload({ account, owner, nftokenId, amount, expiration, ...opts }) {
+  required({ owner, nftokenId, amount });
+  return wrap({
+    TransactionType: "NFTokenCreateOffer",
+    ...(account ? { Account: account } : {}),
+    Owner: owner,
+    NFTokenID: String(nftokenId),
+    Amount: amount,
+    Flags: 0,
+    ...(expiration ? { Expiration: expiration } : {})
+  }, opts);
+}
+
+/**
+ * NFTokenAcceptOffer. Pass sellOffer, buyOffer, or both (+ brokerFee) for a brokered match.
+ * @param {{ account?: string, sellOffer?: string, buyOffer?: string,
+ *   brokerFee?: string|object, blob?: object, returnTo?: string }} p
+ */
+export function acceptOfferPayload({ account, sellOffer, buyOffer, brokerFee, ...opts }) {
+  if (!sellOffer && !buyOffer) throw new Error("Missing sellOffer or buyOffer for Xaman payload");
+  return wrap({
+    TransactionType: "NFTokenAcceptOffer",
+    ...(account ? { Account: account } : {}),
+    ...(sellOffer ? { NFTokenSellOffer: String(sellOffer) } : {}),
+    ...(buyOffer ? { NFTokenBuyOffer: String(buyOffer) } : {}),
+    ...(brokerFee ? { NFTokenBrokerFee: brokerFee } : {})
+  }, opts);
+}
+
+/**
+ * NFTokenCancelOffer.
+ * @param {{ account?: string, offers: string[], blob?: object, returnTo?: string }} p
+ */
+export function cancelOfferPayload({ account, offers, ...opts }) {
+  if (!offers?.length) throw new Error("Missing offers for Xaman payload");
+  return wrap({
+    TransactionType: "NFTokenCancelOffer",
+    ...(account ? { Account: account } : {}),
+    NFTokenOffers: offers.map(String)
+  }, opts);
+}
+
+/**
+ * NFTokenMint. `uri` is the plain string (e.g. ipfs://cid); it is hex-encoded here.
+ * @param {{ account?: string, uri: string, taxon?: number, transferFee?: number,
+ *   flags?: number, issuer?: string, blob?: object, returnTo?: string }} p
+ */
+export function mintPayload({ account, uri, taxon = 0, transferFee, flags = 0, issuer, ...opts }) {
+  required({ uri });
+  return wrap({
+    TransactionType: "NFTokenMint",
+    ...(account ? { Account: account } : {}),
+    URI: Buffer.from(uri, "utf8").toString("hex").toUpperCase(),
+    NFTokenTaxon: Number(taxon),
+    Flags: Number(flags),
+    ...(transferFee ? { TransferFee: Number(transferFee) } : {}),
+    ...(issuer ? { Issuer: issuer } : {})
+  }, opts);
+}
+
+/**
+ * TrustSet towards `issuer` (tfSetNoRipple, as wallets do for end users).
+ * `currency` is the ledger currency code.
+ * @param {{ account?: string, currency: string, issuer: string, limit: string,
+ *   blob?: object, returnTo?: string, webhook?: boolean }} p
+ */
+export function trustSetPayload({ account, currency, issuer, limit, ...opts }) {
+  required({ currency, issuer, limit });
+  return wrap({
+    TransactionType: "TrustSet",
+    ...(account ? { Account: account } : {}),
+    LimitAmount: { currency, issuer, value: String(limit) },
+    Flags: 0x00020000 // tfSetNoRipple
+  }, opts);
+}
+
+/**
+ * AccountSet naming `minter` as the account's authorized NFTokenMinter
+ * (asfAuthorizedNFTokenMinter), so it can mint with Issuer = account.
+ * @param {{ account?: string, minter: string, blob?: object, returnTo?: string }} p
+ */
+export function authorizeMinterPayload({ account, minter, ...opts }) {
+  required({ minter });
+  return wrap({
+    TransactionType: "AccountSet",
+    ...(account ? { Account: account } : {}),
+    NFTokenMinter: minter,
+    SetFlag: 10 // asfAuthorizedNFTokenMinter
+  }, opts);
+}
+
+/**
+ * SignIn (no transaction is submitted; proves wallet ownership).
+ * @param {{ blob?: object, returnTo?: string }} [p]
+ */
+export function signInPayload(opts = {}) {
+  return wrap({ TransactionType: "SignIn" }, { ...opts, submit: false });
+}
@@ -0,0 +1,206 @@
+import express from "express";
+import axios from "axios";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import xrpl from "xrpl";
+
+dotenv.config();
+
+// ------------------------------
+// LOCAL XAMAN STAND-IN (dev only)
+// Implements the two platform API calls we use (create / get payload) and
+// lets you "sign" a payload, which fires a signed webhook like Xaman does.
+//
+//   node xamanMock.js
+//   XAMAN_API_URL=http://localhost:4010/api/v1/platform  (backend env)
+//
+// Sign:  POST /sign/:uuid  { "account": "r...", "seed": "s..." }
+// With a (testnet) seed the txjson is really submitted, so the backend's
+// tx lookup sees it. Without one a random txid is used.
+// Reject: POST /sign/:uuid { "reject": true }
+// ------------------------------
+
+const PORT = process.env.XAMAN_MOCK_PORT || 4010;
+const BASE_URL = process.env.XAMAN_MOCK_URL || `http://localhost:${PORT}`;
+// overrides the payload's own webhook so a local backend gets the callback
+const WEBHOOK_OVERRIDE = process.env.XAMAN_MOCK_WEBHOOK_URL;
+
+const payloads = new Map();
+
+function signWebhook(timestamp, body) {
+  const secret = String(process.env.XUMM_API_SECRET || "").replace(/-/g, "");
+  return crypto.createHmac("sha1", secret).update(timestamp + body).digest("hex");
+}
+
+// the GET /payload/:uuid shape (the subset we read)
+function payloadView(p) {
+  return {
+    meta: {
+      exists: true,
+      uuid: p.uuid,
+      signed: p.signed,
+      resolved: p.resolved,
+      cancelled: false,
+      expired: false,
+      submit: !!p.request.options?.submit
+    },
+    application: { name: "xaman-mock" },
+    payload: {
+      tx_type: p.request.txjson?.TransactionType,
+      request_json: p.request.txjson,
+      created_at: p.createdAt
+    },
+    response: p.resolved
+      ? {
+          txid: p.txid,
+          account: p.account,
+          dispatched_result: p.dispatchedResult,
+          resolved_at: p.resolvedAt
+        }
+      : { txid: null, account: null },
+    custom_meta: p.request.custom_meta || {}
+  };
+}
+
+async function submitForReal(txjson, seed) {
+  const client = new xrpl.Client(process.env.XRPL_NETWORK || "wss://s.altnet.rippletest.net:51233");
+  await client.connect();
+  try {
+    const wallet = xrpl.Wallet.fromSeed(seed);
+    const prepared = await client.autofill({ ...txjson, Account: txjson.Account || wallet.address });
+    const signed = wallet.sign(prepared);
+    const result = await client.submitAndWait(signed.tx_blob);
+    return { txid: result.result.hash, account: wallet.address, result: result.result.meta?.TransactionResult };
+  } finally {
+    await client.disconnect();
+  }
+}
+
+async function fireWebhook(p) {
+  const url = WEBHOOK_OVERRIDE || p.request.options?.webhook || "http://localhost:5000/api/xaman/webhook";
+  const body = JSON.stringify({
+    meta: {
+      url,
+      application_uuidv4: "00000000-0000-4000-8000-000000000000",
+      payload_uuidv4: p.uuid,
+      opened_by_deeplink: false
+    },
+    custom_meta: p.request.custom_meta || {},
+    payloadResponse: {
+      payload_uuidv4: p.uuid,
+      reference_call_uuidv4: crypto.randomUUID(),
+      signed: p.signed,
+      user_token: false,
+      return_url: p.request.options?.return_url || {},
+      txid: p.txid
+    },
+    userToken: null
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const r = await axios.post(url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-xumm-request-timestamp": timestamp,
+        "x-xumm-request-signature": signWebhook(timestamp, body)
+      },
+      validateStatus: () => true
+    });
+    return { url, status: r.status, data: r.data };
+  } catch (e) {
+    // the payload stays resolved; the caller sees why the callback didn't land
+    console.warn("mock webhook delivery failed:", url, e.message);
+    return { url, error: e.message };
+  }
+}
+
+const app = express();
+app.use(express.json());
+
+// ------------------------------
+// PLATFORM API
+// ------------------------------
+app.post("/api/v1/platform/payload", (req, res) => {
+  if (!req.body?.txjson?.TransactionType) {
+    return res.status(400).json({ error: { reference: "mock", code: 602 } });
+  }
+
+  const uuid = crypto.randomUUID();
+  payloads.set(uuid, {
+    uuid,
+    request: req.body,
+    signed: false,
+    resolved: false,
+    createdAt: new Date().toISOString()
+  });
+
+  res.json({
+    uuid,
+    next: { always: `${BASE_URL}/sign/${uuid}` },
+    refs: {
+      qr_png: `${BASE_URL}/sign/${uuid}`,
+      websocket_status: null
+    },
+    pushed: false
+  });
+});
+
+app.get("/api/v1/platform/payload/:uuid", (req, res) => {
+  const p = payloads.get(req.params.uuid);
+  if (!p) return res.status(404).json({ error: { reference: "mock", code: 404 } });
+  res.json(payloadView(p));
+});
+
+// ------------------------------
+// SIMULATED WALLET
+// ------------------------------
+app.get("/sign/:uuid", (req, res) => {
+  const p = payloads.get(req.params.uuid);
+  if (!p) return res.status(404).send("Unknown payload");
+
+  res.type("html").send(`<!doctype html>
+<h1>Xaman mock</h1>
+<pre>${JSON.stringify(p.request.txjson, null, 2).replace(/</g, "&lt;")}</pre>
+<p>Signed: ${p.signed} / Resolved: ${p.resolved}</p>
+<p>POST /sign/${p.uuid} with {"account":"r...","seed":"s..."} or {"reject":true}</p>`);
+});
+
+app.post("/sign/:uuid", async (req, res) => {
+  const p = payloads.get(req.params.uuid);
+  if (!p) return res.status(404).json({ error: "Unknown payload" });
+  if (p.resolved) return res.status(409).json({ error: "Payload already resolved" });
+
+  try {
+    const { account, seed, txid, reject } = req.body || {};
+
+    p.resolved = true;
+    p.resolvedAt = new Date().toISOString();
+    p.signed = !reject;
+
+    if (p.signed) {
+      const isSignIn = p.request.txjson.TransactionType === "SignIn";
+
+      if (seed && !isSignIn && p.request.options?.submit) {
+        const real = await submitForReal(p.request.txjson, seed);
+        p.txid = real.txid;
+        p.account = real.account;
+        p.dispatchedResult = real.result;
+      } else {
+        p.txid = txid || crypto.randomBytes(32).toString("hex").toUpperCase();
+        p.account = account || (seed ? xrpl.Wallet.fromSeed(seed).address : null);
+        p.dispatchedResult = isSignIn ? null : "tesSUCCESS";
+      }
+    }
+
+    const webhook = await fireWebhook(p);
+    res.json({ ok: true, payload: payloadView(p), webhook });
+  } catch (e) {
+    console.error("mock sign error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log("Xaman mock running on", BASE_URL);
+});
@@ -0,0 +1,281 @@
+import xrpl from "xrpl";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ------------------------------
+// XRPL CONNECTION MANAGER
+// A small pool of persistent xrpl.Client connections shared by every route.
+// Each slot fails over across XRPL_ENDPOINTS, reconnects with backoff when a
+// socket drops, and every request carries a timeout.
+// ------------------------------
+
+const POOL_SIZE = Math.max(Number(process.env.XRPL_POOL_SIZE || 2), 1);
+const REQUEST_TIMEOUT_MS = Number(process.env.XRPL_REQUEST_TIMEOUT_MS || 15_000);
+const CONNECT_TIMEOUT_MS = Number(process.env.XRPL_CONNECT_TIMEOUT_MS || 5_000);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10_000;
+const ACCOUNT_NFTS_PAGE = 400;
+
+// XRPL_ENDPOINTS="wss://a,wss://b"; falls back to the single-endpoint vars routes used to read
+export function xrplEndpoints() {
+  const list = String(process.env.XRPL_ENDPOINTS || "")
+    .split(",")
+    .map(u => u.trim())
+    .filter(Boolean);
+
+  if (list.length) return list;
+  return [process.env.XRPL_NETWORK || process.env.RIPPLED_URL || "wss://s1.ripple.com"];
+}
+
+function backoff(failures) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(failures - 1, 0), BACKOFF_MAX_MS);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+class ManagedConnection {
+  constructor(endpoints, slot, { onConnect } = {}) {
+    this.endpoints = endpoints;
+    this.slot = slot;
+    this.endpointIdx = Number.isInteger(slot) ? slot % endpoints.length : 0;
+    this.onConnect = onConnect;
+    this.client = null;
+    this.pending = null;
+    this.failures = 0;
+    this.nextAttemptAt = 0;
+    this.lastError = null;
+    this.connectedAt = null;
+    this.closed = false;
+  }
+
+  get endpoint() {
+    return this.endpoints[this.endpointIdx];
+  }
+
+  isConnected() {
+    return !!this.client?.isConnected();
+  }
+
+  ensure() {
+    if (this.isConnected()) return Promise.resolve(this.client);
+    if (!this.pending) {
+      this.pending = this.connectWithFailover().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  // one pass over every endpoint, starting from the current one
+  async connectWithFailover() {
+    for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+      const wait = this.nextAttemptAt - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      const url = this.endpoint;
+      const client = new xrpl.Client(url, {
+        connectionTimeout: CONNECT_TIMEOUT_MS,
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      try {
+        await client.connect();
+        this.watch(client);
+        this.client = client;
+        this.failures = 0;
+        this.nextAttemptAt = 0;
+        this.connectedAt = new Date().toISOString();
+        console.log("XRPL_POOL_CONNECTED", { slot: this.slot, url });
+        this.onConnect?.(client);
+        return client;
+      } catch (e) {
+        this.failures++;
+        this.lastError = e?.message || String(e);
+        this.nextAttemptAt = Date.now() + backoff(this.failures);
+        this.endpointIdx = (this.endpointIdx + 1) % this.endpoints.length;
+        console.warn("XRPL_POOL_CONNECT_FAILED", { slot: this.slot, url, error: this.lastError });
+        try { await client.disconnect(); } catch {}
+      }
+    }
+
+    throw new Error("No XRPL endpoint reachable");
+  }
+
+  // drop the client on an unexpected close and reconnect in the background
+  watch(client) {
+    client.on("disconnected", code => {
+      if (this.client !== client || this.closed) return;
+
+      this.client = null;
+      this.failures++;
+      this.lastError = `disconnected (${code})`;
+      this.nextAttemptAt = Date.now() + backoff(this.failures);
+      this.endpointIdx = (this.endpointIdx + 1) % this.endpoints.length;
+      client.disconnect().catch(() => {});
+
+      this.ensure().catch(e => console.warn("XRPL_POOL_RECONNECT_FAILED", { slot: this.slot, error: e.message }));
+    });
+  }
+
+  async close() {
+    this.closed = true;
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      try { await client.disconnect(); } catch {}
+    }
+  }
+
+  health() {
+    return {
+      slot: this.slot,
+      endpoint: this.endpoint,
+      connected: this.isConnected(),
+      failures: this.failures,
+      last_error: this.lastError,
+      connected_at: this.connectedAt
+    };
+  }
+}
+
+let connections = null;
+let cursor = 0;
+
+function slots() {
+  if (!connections) {
+    const endpoints = xrplEndpoints();
+    connections = Array.from({ length: POOL_SIZE }, (_, i) => new ManagedConnection(endpoints, i));
+  }
+  return connections;
+}
+
+// A connection of its own (subscriptions can't share a pooled socket) with
+// the same endpoint failover and reconnects. onConnect(client) runs for
+// every new socket, so handlers and subscriptions can be set up again.
+export function openXrplConnection({ name, onConnect }) {
+  const conn = new ManagedConnection(xrplEndpoints(), name, { onConnect });
+  conn.ensure().catch(e => console.warn("XRPL_POOL_CONNECT_FAILED", { slot: name, error: e.message }));
+  return conn;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A connected, shared client. Never disconnect it — it goes back to the pool.
+export async function getXrplClient({ timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const all = slots();
+
+  // round-robin over live connections first
+  for (let i = 0; i < all.length; i++) {
+    const conn = all[(cursor + i) % all.length];
+    if (conn.isConnected()) {
+      cursor = (cursor + i + 1) % all.length;
+      return conn.client;
+    }
+  }
+
+  const conn = all[cursor];
+  cursor = (cursor + 1) % all.length;
+  return withTimeout(conn.ensure(), timeoutMs, "XRPL connect");
+}
+
+export async function xrplRequest(request, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const client = await getXrplClient({ timeoutMs });
+  return withTimeout(client.request(request), timeoutMs, `XRPL ${request.command}`);
+}
+
+// rippled's error code from a failed request (e.g. actNotFound), or null
+export function ledgerError(e) {
+  return e?.data?.error || e?.data?.error_code || null;
+}
+
+// Every NFToken `account` holds on the validated ledger, one account_nfts
+// page at a time (an account that doesn't exist holds none). Callers that
+// only need one token can break out and skip the remaining pages.
+export async function* accountNfts(account) {
+  let marker;
+  do {
+    let r;
+    try {
+      r = await xrplRequest({
+        command: "account_nfts",
+        account,
+        limit: ACCOUNT_NFTS_PAGE,
+        ledger_index: "validated",
+        ...(marker ? { marker } : {})
+      });
+    } catch (e) {
+      if (ledgerError(e) === "actNotFound") return;
+      throw e;
+    }
+
+    yield* r.result.account_nfts;
+    marker = r.result.marker;
+  } while (marker);
+}
+
+// Looks a transaction up within [minLedger, maxLedger]. Returns { tx } when
+// the server has it (validated or not), else { tx: null, searchedAll }:
+// searchedAll is only true when the server holds every ledger in the range,
+// i.e. "not found" really means the tx never made it into one.
+export async function lookupTx(hash, { minLedger, maxLedger } = {}) {
+  const range = minLedger && maxLedger ? { min_ledger: minLedger, max_ledger: maxLedger } : {};
+  try {
+    const r = await xrplRequest({ command: "tx", transaction: hash, ...range });
+    return { tx: r.result, searchedAll: true };
+  } catch (e) {
+    if (ledgerError(e) !== "txnNotFound") throw e;
+    const searched = e?.data?.searched_all ?? e?.data?.result?.searched_all;
+    return { tx: null, searchedAll: searched === true };
+  }
+}
+
+// Sequence for `account`'s next signed tx: the ledger's, or one past
+// `inFlight` (the highest Sequence the caller has signed and not yet seen
+// validated). currentIndex is the open ledger, for LastLedgerSequence.
+export async function nextSequence(account, inFlight = null) {
+  const [acct, ledger] = await Promise.all([
+    xrplRequest({ command: "account_info", account, ledger_index: "current" }),
+    xrplRequest({ command: "ledger_current" })
+  ]);
+
+  const ledgerSeq = Number(acct.result.account_data.Sequence);
+  const ours = inFlight === null ? 0 : Number(inFlight) + 1;
+  return { sequence: Math.max(ledgerSeq, ours), currentIndex: Number(ledger.result.ledger_current_index) };
+}
+
+// autofill + sign + submitAndWait on a pooled connection
+export async function xrplSubmitAndWait(tx, wallet, { timeoutMs = 60_000 } = {}) {
+  const client = await getXrplClient();
+  const prepared = await client.autofill(tx);
+  const signed = wallet.sign(prepared);
+  return withTimeout(client.submitAndWait(signed.tx_blob), timeoutMs, "XRPL submit");
+}
+
+// open every slot at boot so the first checkout doesn't pay for the handshake
+export function warmXrplPool() {
+  for (const conn of slots()) {
+    conn.ensure().catch(e => console.warn("XRPL_POOL_WARM_FAILED", { slot: conn.slot, error: e.message }));
+  }
+}
+
+export function xrplHealth() {
+  const all = slots().map(c => c.health());
+  return {
+    ok: all.some(c => c.connected),
+    endpoints: xrplEndpoints(),
+    connections: all
+  };
+}
+
+export async function closeXrplPool() {
+  if (!connections) return;
+  await Promise.all(connections.map(c => c.close()));
+  connections = null;
+}